@@ -0,0 +1,1611 @@
+import {StorageAdapter} from "./StorageAdapter.js";
+
+/**
+ * Ejecuto una función en la próxima vuelta del event loop, luego de las microtareas pendientes
+ * @type {function(function(): void): void}
+ */
+const schedule = typeof setImmediate === 'function' ? setImmediate : (fn) => setTimeout(fn, 0);
+
+// Orden entre los tipos de clave, igual al de IndexedDB
+const TYPES = Object.freeze({number: 0, date: 1, string: 2, binary: 3, array: 4});
+
+/**
+ * Obtengo el tipo de una clave, nulo si no es una clave válida
+ * @param {*} key
+ * @returns {string|null}
+ */
+function keyType(key) {
+    if (typeof key === 'number') {
+        return Number.isNaN(key) ? null : 'number';
+    }
+    if (typeof key === 'string') {
+        return 'string';
+    }
+    if (key instanceof Date) {
+        return Number.isNaN(key.getTime()) ? null : 'date';
+    }
+    if (key instanceof ArrayBuffer || ArrayBuffer.isView(key)) {
+        return 'binary';
+    }
+    if (Array.isArray(key)) {
+        return key.every((k) => keyType(k) !== null) ? 'array' : null;
+    }
+    return null;
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} key
+ * @returns {Uint8Array}
+ */
+function bytes(key) {
+    return key instanceof ArrayBuffer ? new Uint8Array(key) : new Uint8Array(key.buffer, key.byteOffset, key.byteLength);
+}
+
+/**
+ * Comparo dos claves con el orden de IndexedDB: número < fecha < string < binario < array
+ * @param {*} a
+ * @param {*} b
+ * @returns {number} - -1, 0 o 1
+ * @throws {DOMException} - DataError si alguna no es una clave válida
+ */
+function compare(a, b) {
+
+    let type_a = keyType(a);
+    let type_b = keyType(b);
+    if (type_a === null || type_b === null) {
+        throw new DOMException('El valor ' + String(type_a === null ? a : b) + ' no es una clave válida.', 'DataError');
+    }
+    if (type_a !== type_b) {
+        return TYPES[type_a] < TYPES[type_b] ? -1 : 1;
+    }
+
+    switch (type_a) {
+        case 'date':
+            return Math.sign(a.getTime() - b.getTime());
+        case 'binary': {
+            let x = bytes(a);
+            let y = bytes(b);
+            for (let i = 0; i < Math.min(x.length, y.length); i++) {
+                if (x[i] !== y[i]) {
+                    return x[i] < y[i] ? -1 : 1;
+                }
+            }
+            return Math.sign(x.length - y.length);
+        }
+        case 'array':
+            for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                let order = compare(a[i], b[i]);
+                if (order !== 0) {
+                    return order;
+                }
+            }
+            return Math.sign(a.length - b.length);
+        default:
+            return a < b ? -1 : (a > b ? 1 : 0);
+    }
+}
+
+/**
+ * Copio una clave para que no se pueda modificar la guardada
+ * @param {*} key
+ * @returns {*}
+ */
+function copy(key) {
+    return key !== null && typeof key === 'object' ? structuredClone(key) : key;
+}
+
+/**
+ * Evalúo un keyPath sobre un valor, undefined si el valor no posee el camino
+ * @param {*} value
+ * @param {string|string[]} keyPath
+ * @returns {*}
+ */
+function evaluate(value, keyPath) {
+
+    if (Array.isArray(keyPath)) {
+        let keys = [];
+        for (let path of keyPath) {
+            let key = evaluate(value, path);
+            if (typeof key === 'undefined') {
+                return undefined;
+            }
+            keys.push(key);
+        }
+        return keys;
+    }
+    if (keyPath === '') {
+        return value;
+    }
+
+    let current = value;
+    for (let part of keyPath.split('.')) {
+        if (current === null || typeof current === 'undefined' || !(part in Object(current))) {
+            return undefined;
+        }
+        current = current[part];
+    }
+    return current;
+}
+
+/**
+ * Asigno una clave generada a un valor en su keyPath
+ * @param {Object} value
+ * @param {string} keyPath
+ * @param {number} key
+ */
+function inject(value, keyPath, key) {
+    let parts = keyPath.split('.');
+    let last = parts.pop();
+    let target = value;
+    for (let part of parts) {
+        if (!(part in target)) {
+            target[part] = {};
+        }
+        target = target[part];
+    }
+    target[last] = key;
+}
+
+/**
+ * Busco en entradas ordenadas por clave y clave primaria la primera posterior(o igual si es inclusivo) a una
+ * posición, si no se da la clave primaria solo se compara la clave
+ * @param {{key: *, primaryKey: *}[]} entries
+ * @param {*} key
+ * @param {*} primaryKey
+ * @param {boolean} inclusive
+ * @returns {number}
+ */
+function bisect(entries, key, primaryKey, inclusive) {
+
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        let middle = (low + high) >> 1;
+        let entry = entries[middle];
+        let order = compare(entry.key, key);
+        if (order === 0 && typeof primaryKey !== 'undefined') {
+            order = compare(entry.primaryKey, primaryKey);
+        }
+        if (order > 0 || (inclusive && order === 0)) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * Lista de nombres ordenada con contains, como las DOMStringList de IndexedDB
+ * @param {Iterable<string>} names
+ * @returns {string[]}
+ */
+function nameList(names) {
+    let list = Array.from(names).sort();
+    list.contains = (name) => list.includes(name);
+    return list;
+}
+
+/**
+ * Rango de claves del adaptador en memoria, con la misma interfaz que IDBKeyRange
+ */
+export class MemoryKeyRange {
+
+    /**
+     * @param {*} lower
+     * @param {*} upper
+     * @param {boolean} [lowerOpen=false]
+     * @param {boolean} [upperOpen=false]
+     */
+    constructor(lower, upper, lowerOpen = false, upperOpen = false) {
+        this.lower = lower;
+        this.upper = upper;
+        this.lowerOpen = lowerOpen;
+        this.upperOpen = upperOpen;
+    }
+
+    static only(value) {
+        compare(value, value);
+        return new MemoryKeyRange(copy(value), copy(value));
+    }
+
+    static bound(lower, upper, lowerOpen = false, upperOpen = false) {
+        let order = compare(lower, upper);
+        if (order > 0 || (order === 0 && (lowerOpen || upperOpen))) {
+            throw new DOMException('El límite inferior del rango es mayor a su límite superior.', 'DataError');
+        }
+        return new MemoryKeyRange(copy(lower), copy(upper), !!lowerOpen, !!upperOpen);
+    }
+
+    static lowerBound(lower, open = false) {
+        compare(lower, lower);
+        return new MemoryKeyRange(copy(lower), undefined, !!open, true);
+    }
+
+    static upperBound(upper, open = false) {
+        compare(upper, upper);
+        return new MemoryKeyRange(undefined, copy(upper), true, !!open);
+    }
+
+    /**
+     * @param {*} key
+     * @returns {boolean}
+     */
+    includes(key) {
+        if (typeof this.lower !== 'undefined') {
+            let order = compare(key, this.lower);
+            if (order < 0 || (order === 0 && this.lowerOpen)) {
+                return false;
+            }
+        }
+        if (typeof this.upper !== 'undefined') {
+            let order = compare(key, this.upper);
+            if (order > 0 || (order === 0 && this.upperOpen)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Obtengo el rango correspondiente a un parámetro de consulta: nulo, una clave o un rango
+     * @param {*} query
+     * @returns {MemoryKeyRange|null}
+     * @throws {DOMException} - DataError si no es una clave ni un rango
+     */
+    static from(query) {
+        if (query === null || typeof query === 'undefined') {
+            return null;
+        }
+        if (query instanceof MemoryKeyRange) {
+            return query;
+        }
+        if (typeof query === 'object' && 'lowerOpen' in query && 'upperOpen' in query) {
+            return new MemoryKeyRange(query.lower, query.upper, query.lowerOpen, query.upperOpen);
+        }
+        return MemoryKeyRange.only(query);
+    }
+
+    /**
+     * Obtengo las posiciones [desde, hasta) de las entradas ordenadas que caen dentro de un rango
+     * @param {{key: *}[]} entries
+     * @param {MemoryKeyRange|null} range
+     * @returns {number[]}
+     */
+    static slice(entries, range) {
+        if (range === null) {
+            return [0, entries.length];
+        }
+        let start = typeof range.lower === 'undefined' ? 0 : bisect(entries, range.lower, undefined, !range.lowerOpen);
+        let end = typeof range.upper === 'undefined' ? entries.length : bisect(entries, range.upper, undefined, range.upperOpen);
+        return [start, Math.max(start, end)];
+    }
+}
+
+/**
+ * Índice de una tabla en memoria, entradas {key, primaryKey} ordenadas por clave y clave primaria
+ */
+class MemoryIndexData {
+
+    /**
+     * @param {string} name
+     * @param {string|string[]} keyPath
+     * @param {boolean} unique
+     * @param {boolean} multiEntry
+     */
+    constructor(name, keyPath, unique, multiEntry) {
+        this.name = name;
+        this.keyPath = keyPath;
+        this.unique = unique;
+        this.multiEntry = multiEntry;
+        /** @type {{key: *, primaryKey: *}[]} */
+        this.entries = [];
+    }
+
+    /**
+     * Obtengo las claves del índice para un valor, ninguna si el valor no posee una clave válida
+     * @param {*} value
+     * @returns {*[]}
+     */
+    keys(value) {
+        let key = evaluate(value, this.keyPath);
+        if (this.multiEntry && Array.isArray(key)) {
+            let keys = [];
+            for (let k of key) {
+                if (keyType(k) !== null && !keys.some((other) => compare(other, k) === 0)) {
+                    keys.push(k);
+                }
+            }
+            return keys;
+        }
+        return keyType(key) !== null ? [key] : [];
+    }
+
+    /**
+     * Verifico si alguna clave de un valor ya la posee otra entrada
+     * @param {*} value
+     * @param {*} primaryKey
+     * @returns {boolean}
+     */
+    collides(value, primaryKey) {
+        for (let key of this.keys(value)) {
+            let [start, end] = MemoryKeyRange.slice(this.entries, MemoryKeyRange.only(key));
+            for (let i = start; i < end; i++) {
+                if (compare(this.entries[i].primaryKey, primaryKey) !== 0) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    add(value, primaryKey) {
+        for (let key of this.keys(value)) {
+            this.entries.splice(bisect(this.entries, key, primaryKey, true), 0, {key: key, primaryKey: primaryKey});
+        }
+    }
+
+    remove(value, primaryKey) {
+        for (let key of this.keys(value)) {
+            let i = bisect(this.entries, key, primaryKey, true);
+            if (i < this.entries.length && compare(this.entries[i].key, key) === 0 && compare(this.entries[i].primaryKey, primaryKey) === 0) {
+                this.entries.splice(i, 1);
+            }
+        }
+    }
+
+    /** @returns {MemoryIndexData} */
+    copy() {
+        let index = new MemoryIndexData(this.name, this.keyPath, this.unique, this.multiEntry);
+        index.entries = [...this.entries];
+        return index;
+    }
+}
+
+/**
+ * Datos de una tabla en memoria, entradas {key, primaryKey, value} ordenadas por clave
+ */
+class MemoryTableData {
+
+    /**
+     * @param {string} name
+     * @param {string|string[]|null} keyPath
+     * @param {boolean} autoIncrement
+     */
+    constructor(name, keyPath, autoIncrement) {
+        this.name = name;
+        this.keyPath = keyPath;
+        this.autoIncrement = autoIncrement;
+        // Próxima clave del generador de claves autoincrementales
+        this.current = 1;
+        /** @type {{key: *, primaryKey: *, value: *}[]} */
+        this.records = [];
+        /** @type {Map<string, MemoryIndexData>} */
+        this.indexes = new Map();
+    }
+
+    /**
+     * @param {*} key
+     * @returns {{key: *, primaryKey: *, value: *}|undefined}
+     */
+    find(key) {
+        let i = bisect(this.records, key, undefined, true);
+        return i < this.records.length && compare(this.records[i].key, key) === 0 ? this.records[i] : undefined;
+    }
+
+    /**
+     * Escribo un valor ya clonado, generando su clave si hace falta
+     * @param {*} value
+     * @param {*} key - clave explícita, sin definir si la tabla tiene keyPath o se debe generar
+     * @param {boolean} overwrite - si se puede pisar una entrada existente
+     * @returns {*} - la clave de la entrada
+     * @throws {DOMException} - ConstraintError si la clave o un índice único ya existen
+     */
+    write(value, key, overwrite) {
+
+        if (this.keyPath !== null) {
+            key = evaluate(value, this.keyPath);
+        }
+        if (typeof key === 'undefined') {
+            if (this.current > Number.MAX_SAFE_INTEGER) {
+                throw new DOMException('Se agotó el generador de claves de la tabla ' + this.name + '.', 'ConstraintError');
+            }
+            key = this.current++;
+            if (this.keyPath !== null) {
+                inject(value, this.keyPath, key);
+            }
+        } else if (this.autoIncrement && typeof key === 'number' && key >= this.current) {
+            this.current = Math.floor(key) + 1;
+        }
+
+        let existing = this.find(key);
+        if (existing && !overwrite) {
+            throw new DOMException('Ya existe una entrada con la clave ' + String(key) + ' en la tabla ' + this.name + '.', 'ConstraintError');
+        }
+        for (let index of this.indexes.values()) {
+            if (index.unique && index.collides(value, key)) {
+                throw new DOMException('El índice único ' + index.name + ' de la tabla ' + this.name + ' ya posee ' +
+                    'esa clave.', 'ConstraintError');
+            }
+        }
+
+        if (existing) {
+            for (let index of this.indexes.values()) {
+                index.remove(existing.value, key);
+            }
+            existing.value = value;
+        } else {
+            this.records.splice(bisect(this.records, key, undefined, true), 0, {key: key, primaryKey: key, value: value});
+        }
+        for (let index of this.indexes.values()) {
+            index.add(value, key);
+        }
+        return key;
+    }
+
+    /**
+     * Elimino las entradas de un rango
+     * @param {MemoryKeyRange} range
+     */
+    delete(range) {
+        let [start, end] = MemoryKeyRange.slice(this.records, range);
+        for (let record of this.records.splice(start, end - start)) {
+            for (let index of this.indexes.values()) {
+                index.remove(record.value, record.key);
+            }
+        }
+    }
+
+    clear() {
+        this.records = [];
+        for (let index of this.indexes.values()) {
+            index.entries = [];
+        }
+    }
+
+    /**
+     * Copio la tabla, los valores se comparten ya que nunca se modifican
+     * @returns {MemoryTableData}
+     */
+    copy() {
+        let table = new MemoryTableData(this.name, this.keyPath, this.autoIncrement);
+        table.current = this.current;
+        table.records = this.records.map((record) => Object.assign({}, record));
+        table.indexes = new Map(Array.from(this.indexes, ([name, index]) => [name, index.copy()]));
+        return table;
+    }
+
+    /**
+     * Restauro el contenido de la tabla desde una copia
+     * @param {MemoryTableData} table
+     */
+    restore(table) {
+        this.current = table.current;
+        this.records = table.records;
+        this.indexes = table.indexes;
+    }
+}
+
+/**
+ * Una db en memoria con sus tablas, conexiones abiertas y transacciones en curso
+ */
+class MemoryDatabase {
+
+    /** @param {string} name */
+    constructor(name) {
+        this.name = name;
+        this.version = 0;
+        /** @type {Map<string, MemoryTableData>} */
+        this.stores = new Map();
+        /** @type {Set<MemoryConnection>} */
+        this.connections = new Set();
+        /**
+         * Transacciones sin terminar, en el orden en que se crearon
+         * @type {MemoryTransaction[]}
+         */
+        this.transactions = [];
+        /** @type {function(): void[]} */
+        this.waiting = [];
+    }
+
+    /**
+     * Quito una transacción terminada y despierto a las que estaban esperando por ella
+     * @param {MemoryTransaction} transaction
+     */
+    finish(transaction) {
+        this.transactions = this.transactions.filter((t) => t !== transaction);
+        this.#wake();
+    }
+
+    /**
+     * Quito una conexión cerrada
+     * @param {MemoryConnection} connection
+     */
+    release(connection) {
+        this.connections.delete(connection);
+        this.#wake();
+    }
+
+    /**
+     * Espero hasta que no queden conexiones abiertas ni transacciones en curso
+     * @returns {Promise<void>}
+     */
+    idle() {
+        if (this.connections.size === 0 && this.transactions.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => this.waiting.push(resolve)).then(() => this.idle());
+    }
+
+    #wake() {
+        for (let transaction of this.transactions) {
+            transaction.wake();
+        }
+        let waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach((resolve) => resolve());
+    }
+}
+
+/**
+ * Cursor sobre una tabla o un índice en memoria
+ */
+class MemoryCursor {
+
+    /** @type {MemoryStore|MemoryIndex} */
+    #source;
+    /** @type {MemoryTransaction} */
+    #transaction;
+    /** @type {MemoryKeyRange|null} */
+    #range;
+    /** @type {boolean} */
+    #forward;
+    /** @type {boolean} */
+    #unique;
+    /** @type {boolean} */
+    #pending = false;
+    /** @type {boolean} */
+    #finished = false;
+
+    /**
+     * @param {MemoryStore|MemoryIndex} source
+     * @param {MemoryTransaction} transaction
+     * @param {MemoryKeyRange|null} range
+     * @param {IDBCursorDirection} direction
+     */
+    constructor(source, transaction, range, direction) {
+        this.#source = source;
+        this.#transaction = transaction;
+        this.#range = range;
+        this.direction = direction;
+        this.#forward = direction === 'next' || direction === 'nextunique';
+        this.#unique = direction === 'nextunique' || direction === 'prevunique';
+        this.key = undefined;
+        this.primaryKey = undefined;
+        this.value = undefined;
+    }
+
+    get source() {
+        return this.#source;
+    }
+
+    /**
+     * Me muevo a la siguiente entrada que cumpla con las condiciones dadas
+     * @param {*} [target] - clave a la que llegar
+     * @param {*} [targetPrimaryKey] - clave primaria a la que llegar dentro de la clave
+     * @returns {MemoryCursor|null}
+     */
+    move(target = undefined, targetPrimaryKey = undefined) {
+
+        let entries = this.#source.entries();
+        let started = typeof this.key !== 'undefined';
+        let range = this.#range;
+        let i;
+
+        if (this.#forward) {
+            i = range === null ? 0 : MemoryKeyRange.slice(entries, range)[0];
+            if (started) {
+                i = Math.max(i, this.#unique ? bisect(entries, this.key, undefined, false) : bisect(entries, this.key, this.primaryKey, false));
+            }
+            if (typeof target !== 'undefined') {
+                i = Math.max(i, bisect(entries, target, targetPrimaryKey, true));
+            }
+        } else {
+            i = (range === null ? entries.length : MemoryKeyRange.slice(entries, range)[1]) - 1;
+            if (started) {
+                i = Math.min(i, (this.#unique ? bisect(entries, this.key, undefined, true) : bisect(entries, this.key, this.primaryKey, true)) - 1);
+            }
+            if (typeof target !== 'undefined') {
+                i = Math.min(i, bisect(entries, target, targetPrimaryKey, false) - 1);
+            }
+            // En prevunique la entrada de cada clave es la de menor clave primaria
+            if (this.#unique && i >= 0) {
+                i = bisect(entries, entries[i].key, undefined, true);
+            }
+        }
+
+        let entry = entries[i];
+        if (i < 0 || typeof entry === 'undefined' || (range !== null && !range.includes(entry.key))) {
+            this.#finished = true;
+            this.key = undefined;
+            this.primaryKey = undefined;
+            this.value = undefined;
+            return null;
+        }
+
+        this.key = entry.key;
+        this.primaryKey = entry.primaryKey;
+        this.value = this.#source.valueOf(entry);
+        return this;
+    }
+
+    /**
+     * Encolo un movimiento del cursor en la transacción
+     * @param {function(): MemoryCursor|null} fn
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    #step(fn) {
+        if (this.#pending || this.#finished) {
+            throw new DOMException('El cursor ya se está moviendo o terminó su recorrido.', 'InvalidStateError');
+        }
+        this.#pending = true;
+        return this.#transaction.request(() => {
+            this.#pending = false;
+            return fn();
+        });
+    }
+
+    /**
+     * @param {*} [key] - clave a la que avanzar
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    continue(key = undefined) {
+        if (typeof key !== 'undefined') {
+            let order = compare(key, this.key);
+            if (this.#forward ? order <= 0 : order >= 0) {
+                throw new DOMException('La clave dada no está en la dirección del cursor.', 'DataError');
+            }
+        }
+        return this.#step(() => this.move(copy(key)));
+    }
+
+    /**
+     * @param {number} count
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    advance(count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new TypeError('La cantidad a avanzar debe ser un entero mayor a 0.');
+        }
+        return this.#step(() => {
+            let cursor = this;
+            for (let i = 0; i < count && cursor !== null; i++) {
+                cursor = this.move();
+            }
+            return cursor;
+        });
+    }
+
+    /**
+     * @param {*} key
+     * @param {*} primaryKey
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    continuePrimaryKey(key, primaryKey) {
+        if (!(this.#source instanceof MemoryIndex) || this.#unique) {
+            throw new DOMException('continuePrimaryKey solo se puede usar en cursores de índices con dirección next o prev.',
+                'InvalidAccessError');
+        }
+        let order = compare(key, this.key) || compare(primaryKey, this.primaryKey);
+        if (this.#forward ? order <= 0 : order >= 0) {
+            throw new DOMException('La posición dada no está en la dirección del cursor.', 'DataError');
+        }
+        return this.#step(() => this.move(copy(key), copy(primaryKey)));
+    }
+
+    /**
+     * Piso la entrada actual
+     * @param {*} value
+     * @returns {Promise<*>}
+     */
+    update(value) {
+        let store = this.#source instanceof MemoryIndex ? this.#source.objectStore : this.#source;
+        if (store.keyPath !== null) {
+            let clone = structuredClone(value);
+            let key = evaluate(clone, store.keyPath);
+            if (keyType(key) === null || compare(key, this.primaryKey) !== 0) {
+                throw new DOMException('La clave del valor no coincide con la de la entrada del cursor.', 'DataError');
+            }
+            return store.put(clone);
+        }
+        return store.put(value, this.primaryKey);
+    }
+
+    /**
+     * Elimino la entrada actual
+     * @returns {Promise<void>}
+     */
+    delete() {
+        let store = this.#source instanceof MemoryIndex ? this.#source.objectStore : this.#source;
+        return store.delete(this.primaryKey);
+    }
+}
+
+/**
+ * Índice de una tabla dentro de una transacción
+ */
+class MemoryIndex {
+
+    /** @type {MemoryStore} */
+    #store;
+
+    /**
+     * @param {MemoryStore} store
+     * @param {string} name
+     */
+    constructor(store, name) {
+        this.#store = store;
+        this.name = name;
+    }
+
+    /** @returns {MemoryIndexData} */
+    get #data() {
+        let index = this.#store.data.indexes.get(this.name);
+        if (typeof index === 'undefined') {
+            throw new DOMException('El índice ' + this.name + ' fue eliminado.', 'InvalidStateError');
+        }
+        return index;
+    }
+
+    get objectStore() {
+        return this.#store;
+    }
+
+    get keyPath() {
+        return this.#data.keyPath;
+    }
+
+    get unique() {
+        return this.#data.unique;
+    }
+
+    get multiEntry() {
+        return this.#data.multiEntry;
+    }
+
+    /** @returns {{key: *, primaryKey: *}[]} */
+    entries() {
+        return this.#data.entries;
+    }
+
+    /**
+     * @param {{primaryKey: *}} entry
+     * @returns {*}
+     */
+    valueOf(entry) {
+        return structuredClone(this.#store.data.find(entry.primaryKey).value);
+    }
+
+    /**
+     * @param {*} query
+     * @param {number} [count]
+     * @returns {Promise<{key: *, primaryKey: *}[]>}
+     */
+    #select(query, count = undefined) {
+        let range = MemoryKeyRange.from(query);
+        return this.#store.transaction.request(() => {
+            let entries = this.entries();
+            let [start, end] = MemoryKeyRange.slice(entries, range);
+            if (typeof count !== 'undefined' && count > 0) {
+                end = Math.min(end, start + count);
+            }
+            return entries.slice(start, end);
+        });
+    }
+
+    async get(query) {
+        let [entry] = await this.#select(query, 1);
+        return entry ? this.valueOf(entry) : undefined;
+    }
+
+    async getKey(query) {
+        let [entry] = await this.#select(query, 1);
+        return entry ? copy(entry.primaryKey) : undefined;
+    }
+
+    async getAll(query = null, count = undefined) {
+        return (await this.#select(query, count)).map((entry) => this.valueOf(entry));
+    }
+
+    async getAllKeys(query = null, count = undefined) {
+        return (await this.#select(query, count)).map((entry) => copy(entry.primaryKey));
+    }
+
+    async count(query = null) {
+        return (await this.#select(query)).length;
+    }
+
+    /**
+     * @param {*} [query=null]
+     * @param {IDBCursorDirection} [direction='next']
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    openCursor(query = null, direction = 'next') {
+        let cursor = new MemoryCursor(this, this.#store.transaction, MemoryKeyRange.from(query), direction);
+        return this.#store.transaction.request(() => cursor.move());
+    }
+}
+
+/**
+ * Tabla dentro de una transacción
+ */
+class MemoryStore {
+
+    /** @type {MemoryTransaction} */
+    #transaction;
+
+    /**
+     * @param {MemoryTransaction} transaction
+     * @param {string} name
+     */
+    constructor(transaction, name) {
+        this.#transaction = transaction;
+        this.name = name;
+    }
+
+    /** @returns {MemoryTableData} */
+    get data() {
+        let table = this.#transaction.database.stores.get(this.name);
+        if (typeof table === 'undefined') {
+            throw new DOMException('La tabla ' + this.name + ' fue eliminada.', 'InvalidStateError');
+        }
+        return table;
+    }
+
+    get transaction() {
+        return this.#transaction;
+    }
+
+    get keyPath() {
+        return this.data.keyPath;
+    }
+
+    get autoIncrement() {
+        return this.data.autoIncrement;
+    }
+
+    get indexNames() {
+        return nameList(this.data.indexes.keys());
+    }
+
+    /** @returns {{key: *, primaryKey: *, value: *}[]} */
+    entries() {
+        return this.data.records;
+    }
+
+    /**
+     * @param {{value: *}} entry
+     * @returns {*}
+     */
+    valueOf(entry) {
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {MemoryIndex}
+     */
+    index(name) {
+        if (!this.data.indexes.has(name)) {
+            throw new DOMException('La tabla ' + this.name + ' no posee el índice ' + name + '.', 'NotFoundError');
+        }
+        return new MemoryIndex(this, name);
+    }
+
+    /**
+     * @param {*} query
+     * @param {number} [count]
+     * @returns {Promise<{key: *, value: *}[]>}
+     */
+    #select(query, count = undefined) {
+        let range = MemoryKeyRange.from(query);
+        return this.#transaction.request(() => {
+            let records = this.data.records;
+            let [start, end] = MemoryKeyRange.slice(records, range);
+            if (typeof count !== 'undefined' && count > 0) {
+                end = Math.min(end, start + count);
+            }
+            return records.slice(start, end);
+        });
+    }
+
+    async get(query) {
+        let [record] = await this.#select(query, 1);
+        return record ? this.valueOf(record) : undefined;
+    }
+
+    async getKey(query) {
+        let [record] = await this.#select(query, 1);
+        return record ? copy(record.key) : undefined;
+    }
+
+    async getAll(query = null, count = undefined) {
+        return (await this.#select(query, count)).map((record) => this.valueOf(record));
+    }
+
+    async getAllKeys(query = null, count = undefined) {
+        return (await this.#select(query, count)).map((record) => copy(record.key));
+    }
+
+    async count(query = null) {
+        return (await this.#select(query)).length;
+    }
+
+    /**
+     * @param {*} [query=null]
+     * @param {IDBCursorDirection} [direction='next']
+     * @returns {Promise<MemoryCursor|null>}
+     */
+    openCursor(query = null, direction = 'next') {
+        let cursor = new MemoryCursor(this, this.#transaction, MemoryKeyRange.from(query), direction);
+        return this.#transaction.request(() => cursor.move());
+    }
+
+    /**
+     * Valido y clono un valor a escribir, como hace IndexedDB antes de encolar la escritura
+     * @param {*} value
+     * @param {*} key
+     * @returns {Promise<*>}
+     */
+    #write(value, key, overwrite) {
+
+        this.#assertWritable();
+        let table = this.data;
+        let clone = structuredClone(value);
+
+        if (table.keyPath !== null) {
+            if (typeof key !== 'undefined') {
+                throw new DOMException('La tabla ' + this.name + ' usa un keyPath, no se le puede dar la clave.', 'DataError');
+            }
+            let own = evaluate(clone, table.keyPath);
+            if (typeof own === 'undefined' ? !table.autoIncrement || Array.isArray(table.keyPath) : keyType(own) === null) {
+                throw new DOMException('El valor no posee una clave válida en ' + table.keyPath + '.', 'DataError');
+            }
+        } else if (typeof key === 'undefined' ? !table.autoIncrement : keyType(key) === null) {
+            throw new DOMException('La tabla ' + this.name + ' no posee keyPath, se le debe dar una clave válida.', 'DataError');
+        }
+
+        key = copy(key);
+        return this.#transaction.request(() => copy(this.data.write(clone, key, overwrite)));
+    }
+
+    put(value, key = undefined) {
+        return this.#write(value, key, true);
+    }
+
+    add(value, key = undefined) {
+        return this.#write(value, key, false);
+    }
+
+    delete(query) {
+        this.#assertWritable();
+        let range = MemoryKeyRange.from(query);
+        if (range === null) {
+            throw new DOMException('Se debe dar la clave o el rango a eliminar.', 'DataError');
+        }
+        return this.#transaction.request(() => this.data.delete(range));
+    }
+
+    clear() {
+        this.#assertWritable();
+        return this.#transaction.request(() => this.data.clear());
+    }
+
+    /**
+     * @param {string} name
+     * @param {string|string[]} keyPath
+     * @param {{unique?: boolean, multiEntry?: boolean}} [options={}]
+     * @returns {MemoryIndex}
+     */
+    createIndex(name, keyPath, {unique = false, multiEntry = false} = {}) {
+
+        this.#transaction.assertUpgrade();
+        let table = this.data;
+        if (table.indexes.has(name)) {
+            throw new DOMException('La tabla ' + this.name + ' ya posee el índice ' + name + '.', 'ConstraintError');
+        }
+        if (multiEntry && Array.isArray(keyPath)) {
+            throw new DOMException('Un índice multiEntry no puede tener un keyPath compuesto.', 'InvalidAccessError');
+        }
+
+        let index = new MemoryIndexData(name, keyPath, !!unique, !!multiEntry);
+        let collision = false;
+        for (let record of table.records) {
+            collision = collision || (index.unique && index.collides(record.value, record.key));
+            index.add(record.value, record.key);
+        }
+        table.indexes.set(name, index);
+
+        // Como en IndexedDB, las entradas que violan el índice único abortan la actualización
+        if (collision) {
+            this.#transaction.request(() => {
+                throw new DOMException('Las entradas de la tabla ' + this.name + ' violan el índice único ' + name + '.',
+                    'ConstraintError');
+            }).catch(() => {});
+        }
+        return new MemoryIndex(this, name);
+    }
+
+    /** @param {string} name */
+    deleteIndex(name) {
+        this.#transaction.assertUpgrade();
+        if (!this.data.indexes.delete(name)) {
+            throw new DOMException('La tabla ' + this.name + ' no posee el índice ' + name + '.', 'NotFoundError');
+        }
+    }
+
+    #assertWritable() {
+        if (this.#transaction.mode === 'readonly') {
+            throw new DOMException('La transacción es de solo lectura.', 'ReadOnlyError');
+        }
+    }
+}
+
+/**
+ * Transacción en memoria. Como en IndexedDB:
+ * * las operaciones se ejecutan en orden, una por vuelta del event loop
+ * * la transacción termina sola cuando en una vuelta del event loop no quedan operaciones pendientes
+ * * las transacciones de escritura que comparten tablas se ejecutan de a una, en el orden en que se crearon
+ * * si falla una operación o se llama a abort se deshacen todos sus cambios
+ */
+class MemoryTransaction {
+
+    /** @type {MemoryConnection} */
+    #connection;
+    /** @type {string[]} */
+    #names;
+    /** @type {{fn: function(): *, resolve: function(*): void, reject: function(Error): void}[]} */
+    #queue = [];
+    /** @type {boolean} */
+    #started = false;
+    /** @type {boolean} */
+    #finished = false;
+    /** @type {boolean} */
+    #active = true;
+    /** @type {boolean} */
+    #scheduled = false;
+    /**
+     * Copia de las tablas para deshacer los cambios
+     * @type {{version: number, stores: Map<string, MemoryTableData>}|null}
+     */
+    #snapshot = null;
+    /** @type {Promise<void>|null} */
+    #done = null;
+    /** @type {{resolve: function(): void, reject: function(Error): void}|null} */
+    #settle = null;
+
+    /**
+     * @param {MemoryConnection} connection
+     * @param {string[]} names
+     * @param {IDBTransactionMode|'versionchange'} mode
+     */
+    constructor(connection, names, mode) {
+        this.#connection = connection;
+        this.#names = names;
+        this.mode = mode;
+        this.error = null;
+        this.database.transactions.push(this);
+        // La actualización de versión arranca en el momento, ya que se crea recién cuando la db no está en uso
+        if (mode === 'versionchange') {
+            this.#started = true;
+            this.#snapshot = this.#copy();
+        }
+        this.wake();
+    }
+
+    /** @returns {MemoryDatabase} */
+    get database() {
+        return this.#connection.database;
+    }
+
+    get db() {
+        return this.#connection;
+    }
+
+    get objectStoreNames() {
+        return nameList(this.mode === 'versionchange' ? this.database.stores.keys() : this.#names);
+    }
+
+    get finished() {
+        return this.#finished;
+    }
+
+    /**
+     * Promesa que se resuelve al terminar la transacción y se rechaza si se aborta, se crea al pedirla para no
+     * dejar rechazos sin manejar
+     * @returns {Promise<void>}
+     */
+    get done() {
+        if (this.#done === null) {
+            this.#done = new Promise((resolve, reject) => this.#settle = {resolve: resolve, reject: reject});
+            if (this.#finished) {
+                this.#settleDone();
+            }
+        }
+        return this.#done;
+    }
+
+    /**
+     * Tabla de la transacción si abarca una sola
+     * @returns {MemoryStore|undefined}
+     */
+    get store() {
+        return this.#names.length === 1 ? this.objectStore(this.#names[0]) : undefined;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {MemoryStore}
+     */
+    objectStore(name) {
+        if (this.#finished) {
+            throw new DOMException('La transacción ya terminó.', 'InvalidStateError');
+        }
+        let available = this.mode === 'versionchange' ? this.database.stores.has(name) : this.#names.includes(name);
+        if (!available) {
+            throw new DOMException('La tabla ' + name + ' no forma parte de la transacción.', 'NotFoundError');
+        }
+        return new MemoryStore(this, name);
+    }
+
+    abort() {
+        if (this.#finished) {
+            throw new DOMException('La transacción ya terminó.', 'InvalidStateError');
+        }
+        this.#fail(new DOMException('La transacción fue abortada.', 'AbortError'));
+    }
+
+    /**
+     * Verifico que la transacción sea la de una actualización de versión
+     * @throws {DOMException}
+     */
+    assertUpgrade() {
+        if (this.mode !== 'versionchange' || this.#finished) {
+            throw new DOMException('El esquema solo se puede modificar durante la actualización de versión.', 'InvalidStateError');
+        }
+    }
+
+    /**
+     * Encolo una operación, su resultado se entrega en una próxima vuelta del event loop
+     * @param {function(): *} fn
+     * @returns {Promise<*>}
+     * @throws {DOMException} - TransactionInactiveError si la transacción ya terminó o no está activa
+     */
+    request(fn) {
+        if (this.#finished || !this.#active) {
+            throw new DOMException('La transacción no está activa, probablemente ya terminó.', 'TransactionInactiveError');
+        }
+        return new Promise((resolve, reject) => {
+            this.#queue.push({fn: fn, resolve: resolve, reject: reject});
+            this.wake();
+        });
+    }
+
+    /**
+     * Programo la próxima vuelta de la transacción
+     */
+    wake() {
+        if (!this.#scheduled && !this.#finished) {
+            this.#scheduled = true;
+            schedule(() => this.#tick());
+        }
+    }
+
+    /**
+     * Si la transacción puede arrancar ejecuto su próxima operación, si no quedan operaciones termino
+     */
+    #tick() {
+
+        this.#scheduled = false;
+        this.#active = false;
+        if (this.#finished) {
+            return;
+        }
+
+        if (!this.#started) {
+            if (this.#blocked()) {
+                return;
+            }
+            this.#started = true;
+            this.#snapshot = this.#copy();
+        }
+
+        let request = this.#queue.shift();
+        if (typeof request === 'undefined') {
+            this.#finish();
+            return;
+        }
+
+        let result;
+        try {
+            result = request.fn();
+        } catch (e) {
+            // Como en IndexedDB, si falla una operación se aborta toda la transacción
+            this.#active = true;
+            request.reject(e);
+            this.#fail(e);
+            return;
+        }
+        // Mientras corren las microtareas del resultado se pueden encolar nuevas operaciones
+        this.#active = true;
+        request.resolve(result);
+        this.wake();
+    }
+
+    /**
+     * Verifico si alguna transacción anterior sin terminar comparte tablas y alguna de las dos escribe
+     * @returns {boolean}
+     */
+    #blocked() {
+        for (let other of this.database.transactions) {
+            if (other === this) {
+                return false;
+            }
+            let writes = this.mode !== 'readonly' || other.mode !== 'readonly';
+            let overlaps = this.mode === 'versionchange' || other.mode === 'versionchange' ||
+                this.#names.some((name) => other.#names.includes(name));
+            if (writes && overlaps) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Copio lo que pueda modificar la transacción para poder deshacerlo
+     * @returns {{version: number, stores: Map<string, MemoryTableData>}|null}
+     */
+    #copy() {
+        let database = this.database;
+        if (this.mode === 'readonly') {
+            return null;
+        }
+        let names = this.mode === 'versionchange' ? Array.from(database.stores.keys()) : this.#names;
+        return {
+            version: database.version,
+            stores: new Map(names.map((name) => [name, database.stores.get(name).copy()])),
+        };
+    }
+
+    #finish() {
+        this.#finished = true;
+        this.#snapshot = null;
+        this.database.finish(this);
+        this.#settleDone();
+    }
+
+    /**
+     * Aborto la transacción deshaciendo sus cambios
+     * @param {Error} error
+     */
+    #fail(error) {
+
+        this.#finished = true;
+        this.error = error;
+
+        let database = this.database;
+        if (this.#snapshot !== null) {
+            if (this.mode === 'versionchange') {
+                database.version = this.#snapshot.version;
+                database.stores = this.#snapshot.stores;
+            } else {
+                for (let [name, table] of this.#snapshot.stores) {
+                    database.stores.get(name).restore(table);
+                }
+            }
+            this.#snapshot = null;
+        }
+
+        for (let request of this.#queue.splice(0)) {
+            request.reject(new DOMException('La transacción fue abortada.', 'AbortError'));
+        }
+        database.finish(this);
+        this.#settleDone();
+    }
+
+    #settleDone() {
+        if (this.#settle === null) {
+            return;
+        }
+        if (this.error === null) {
+            this.#settle.resolve();
+        } else {
+            this.#settle.reject(this.error);
+        }
+    }
+}
+
+/**
+ * Conexión a una db en memoria, con la interfaz de las conexiones de idb
+ */
+class MemoryConnection {
+
+    /** @type {MemoryDatabase} */
+    #database;
+    /** @type {OpenCallbacks} */
+    #callbacks;
+    /** @type {MemoryTransaction|null} */
+    #upgrade = null;
+    /** @type {boolean} */
+    #closed = false;
+
+    /**
+     * @param {MemoryDatabase} database
+     * @param {number} version
+     * @param {OpenCallbacks} callbacks
+     */
+    constructor(database, version, callbacks) {
+        this.#database = database;
+        this.#callbacks = callbacks;
+        this.name = database.name;
+        this.version = version;
+    }
+
+    /** @returns {MemoryDatabase} */
+    get database() {
+        return this.#database;
+    }
+
+    get closed() {
+        return this.#closed;
+    }
+
+    get objectStoreNames() {
+        return nameList(this.#database.stores.keys());
+    }
+
+    /**
+     * @param {string|string[]} names
+     * @param {IDBTransactionMode} [mode='readonly']
+     * @returns {MemoryTransaction}
+     */
+    transaction(names, mode = 'readonly') {
+
+        if (this.#closed || (this.#upgrade !== null && !this.#upgrade.finished)) {
+            throw new DOMException('La conexión está cerrada o actualizándose.', 'InvalidStateError');
+        }
+        if (mode !== 'readonly' && mode !== 'readwrite') {
+            throw new TypeError('El modo de transacción ' + mode + ' no es válido.');
+        }
+        names = Array.from(new Set([].concat(names)));
+        if (names.length === 0) {
+            throw new DOMException('La transacción debe abarcar al menos una tabla.', 'InvalidAccessError');
+        }
+        for (let name of names) {
+            if (!this.#database.stores.has(name)) {
+                throw new DOMException('La tabla ' + name + ' no existe.', 'NotFoundError');
+            }
+        }
+        return new MemoryTransaction(this, names, mode);
+    }
+
+    /**
+     * @param {string} name
+     * @param {{keyPath?: string|string[]|null, autoIncrement?: boolean}} [options={}]
+     * @returns {MemoryStore}
+     */
+    createObjectStore(name, {keyPath = null, autoIncrement = false} = {}) {
+
+        this.#assertUpgrade();
+        if (this.#database.stores.has(name)) {
+            throw new DOMException('La tabla ' + name + ' ya existe.', 'ConstraintError');
+        }
+        if (autoIncrement && (keyPath === '' || Array.isArray(keyPath))) {
+            throw new DOMException('Una tabla autoincremental no puede tener un keyPath vacío o compuesto.', 'InvalidAccessError');
+        }
+        this.#database.stores.set(name, new MemoryTableData(name, keyPath, !!autoIncrement));
+        return this.#upgrade.objectStore(name);
+    }
+
+    /** @param {string} name */
+    deleteObjectStore(name) {
+        this.#assertUpgrade();
+        if (!this.#database.stores.delete(name)) {
+            throw new DOMException('La tabla ' + name + ' no existe.', 'NotFoundError');
+        }
+    }
+
+    close() {
+        if (!this.#closed) {
+            this.#closed = true;
+            this.#database.release(this);
+        }
+    }
+
+    /**
+     * Cierro la conexión de forma anormal, como cuando el navegador la cierra al borrar los datos del sitio
+     */
+    terminate() {
+        if (!this.#closed) {
+            this.close();
+            if (typeof this.#callbacks.terminated === 'function') {
+                this.#callbacks.terminated();
+            }
+        }
+    }
+
+    /**
+     * Aviso que otra conexión quiere actualizar o eliminar la db
+     * @param {number} version - versión que se pidió, nula al eliminar
+     */
+    versionChange(version) {
+        if (!this.#closed && typeof this.#callbacks.blocking === 'function') {
+            this.#callbacks.blocking(this.version, version, {oldVersion: this.version, newVersion: version});
+        }
+    }
+
+    /**
+     * Corro la actualización de versión y espero a que termine
+     * @param {number} old_version
+     * @param {function(MemoryConnection, number, number, MemoryTransaction): void} [upgrade]
+     * @returns {Promise<void>}
+     */
+    async upgrade(old_version, upgrade) {
+
+        let transaction = new MemoryTransaction(this, [], 'versionchange');
+        this.#upgrade = transaction;
+        this.#database.version = this.version;
+
+        try {
+            if (typeof upgrade === 'function') {
+                upgrade(this, old_version, this.version, transaction);
+            }
+        } catch (e) {
+            if (!transaction.finished) {
+                transaction.abort();
+            }
+        }
+
+        try {
+            await transaction.done;
+        } catch (e) {
+            this.close();
+            throw new DOMException('La actualización de versión fue abortada.', 'AbortError');
+        }
+    }
+
+    #assertUpgrade() {
+        if (this.#upgrade === null) {
+            throw new DOMException('El esquema solo se puede modificar durante la actualización de versión.', 'InvalidStateError');
+        }
+        this.#upgrade.assertUpgrade();
+    }
+}
+
+/**
+ * Adaptador que guarda las dbs en memoria, con la semántica de IndexedDB(índices únicos, multiEntry y compuestos,
+ * rangos de claves, claves autoincrementales, cursores, transacciones que se deshacen al abortar y migraciones), para
+ * correr los modelos en node sin navegador, ej: en los tests. Cada instancia del adaptador es un almacenamiento
+ * independiente, las conexiones abiertas con la misma instancia comparten sus dbs.
+ *
+ * Ej: let db = new DB('test', 0, new MemoryAdapter());
+ */
+export class MemoryAdapter extends StorageAdapter {
+
+    /** @type {Map<string, MemoryDatabase>} */
+    #databases = new Map();
+    /**
+     * Aperturas y eliminaciones pendientes de cada db, se ejecutan de a una
+     * @type {Map<string, Promise<*>>}
+     */
+    #queues = new Map();
+
+    /**
+     * Encolo una apertura o eliminación de una db
+     * @param {string} name
+     * @param {function(): Promise<*>} fn
+     * @returns {Promise<*>}
+     */
+    #enqueue(name, fn) {
+        let previous = this.#queues.get(name) || Promise.resolve();
+        let next = previous.catch(() => {}).then(fn);
+        this.#queues.set(name, next);
+        return next;
+    }
+
+    /**
+     * Aviso a las conexiones abiertas que se quiere actualizar o eliminar la db y espero a que se cierren
+     * @param {MemoryDatabase} database
+     * @param {number|null} version
+     * @param {function(number, number|null, Object): void} [blocked]
+     * @returns {Promise<void>}
+     */
+    async #versionChange(database, version, blocked) {
+
+        for (let connection of database.connections) {
+            connection.versionChange(version);
+        }
+        if (database.connections.size > 0 && typeof blocked === 'function') {
+            blocked(database.version, version, {oldVersion: database.version, newVersion: version});
+        }
+        await database.idle();
+    }
+
+    open(name, version = undefined, {upgrade, blocked, blocking, terminated} = {}) {
+
+        if (typeof version !== 'undefined' && (!Number.isInteger(version) || version < 1)) {
+            return Promise.reject(new TypeError('La versión de la db debe ser un entero mayor a 0.'));
+        }
+
+        return this.#enqueue(name, async () => {
+
+            let database = this.#databases.get(name);
+            if (typeof database === 'undefined') {
+                database = new MemoryDatabase(name);
+                this.#databases.set(name, database);
+            }
+
+            let old_version = database.version;
+            let target = typeof version === 'undefined' ? Math.max(old_version, 1) : version;
+            if (target < old_version) {
+                throw new DOMException('La db ' + name + ' está en la versión ' + old_version + ', no se puede abrir en ' +
+                    'la versión ' + target + '.', 'VersionError');
+            }
+
+            if (target > old_version) {
+                await this.#versionChange(database, target, blocked);
+            }
+
+            let connection = new MemoryConnection(database, target, {blocking: blocking, terminated: terminated});
+            database.connections.add(connection);
+
+            if (target > old_version) {
+                try {
+                    await connection.upgrade(old_version, upgrade);
+                } catch (e) {
+                    if (old_version === 0) {
+                        this.#databases.delete(name);
+                    }
+                    throw e;
+                }
+            }
+            return connection;
+        });
+    }
+
+    /**
+     * Termino todas las conexiones abiertas a una db, para probar cómo se recupera la aplicación
+     * @param {string} name
+     */
+    terminate(name) {
+        let database = this.#databases.get(name);
+        for (let connection of database ? [...database.connections] : []) {
+            connection.terminate();
+        }
+    }
+
+    version(name) {
+        return this.#enqueue(name, async () => {
+            let database = this.#databases.get(name);
+            return database ? database.version : 0;
+        });
+    }
+
+    deleteDatabase(name, {blocked} = {}) {
+        return this.#enqueue(name, async () => {
+            let database = this.#databases.get(name);
+            if (typeof database !== 'undefined') {
+                await this.#versionChange(database, null, blocked);
+                this.#databases.delete(name);
+            }
+        });
+    }
+
+    get keyRange() {
+        return MemoryKeyRange;
+    }
+
+    cmp(a, b) {
+        return compare(a, b);
+    }
+}
@@ -0,0 +1,121 @@
+import * as idb from "idb";
+
+/**
+ * @typedef {Object} OpenCallbacks - callbacks de la apertura de una db, los mismos que recibe openDB de idb
+ * @property {function(Object, number, number, Object): void} [upgrade] - se llama con la conexión, la versión
+ * anterior, la nueva y la transacción de la actualización cuando la versión pedida es mayor a la instalada
+ * @property {function(number, number|null): void} [blocked] - se llama si otra conexión impide la actualización
+ * @property {function(number, number|null): void} [blocking] - se llama si esta conexión impide la actualización o
+ * eliminación de la db que pidió otra conexión
+ * @property {function(): void} [terminated] - se llama si la db se cierra de forma anormal
+ */
+
+/**
+ * Interfaz que deben implementar los adaptadores de almacenamiento que usa {@link DB}, permite reemplazar
+ * IndexedDB(el adaptador por defecto) por otro backend, ej: {@link MemoryAdapter} para correr los tests en node.
+ *
+ * La conexión que retorna open debe exponer la interfaz de las conexiones de idb:
+ * * conexión: version, objectStoreNames, transaction(tablas, modo), close() y durante la actualización
+ * createObjectStore(nombre, {keyPath, autoIncrement}) y deleteObjectStore(nombre)
+ * * transacción: mode, objectStore(nombre), done(promesa que se resuelve al terminar y se rechaza si se aborta) y
+ * abort()
+ * * tabla: name, keyPath, autoIncrement, indexNames, transaction, get, getAll, count, put, add, delete, clear,
+ * openCursor, index(nombre) y durante la actualización createIndex y deleteIndex
+ * * índice: name, keyPath, unique, multiEntry, get, getAll, count y openCursor
+ * * cursor: key, primaryKey, value, continue, advance, continuePrimaryKey, update y delete
+ */
+export class StorageAdapter {
+
+    /**
+     * Abro una conexión a una db, creándola o actualizándola a la versión dada
+     * @param {string} name
+     * @param {number|undefined} version - versión a la que se abre, sin definir para abrir la instalada
+     * @param {OpenCallbacks} [callbacks={}]
+     * @returns {Promise<Object>} - conexión con la interfaz de las de idb
+     */
+    async open(name, version, callbacks = {}) {
+        throw new Error('El adaptador debe implementar open.');
+    }
+
+    /**
+     * Obtengo la versión instalada de una db sin crearla, 0 si no existe
+     * @param {string} name
+     * @returns {Promise<number>}
+     */
+    async version(name) {
+        throw new Error('El adaptador debe implementar version.');
+    }
+
+    /**
+     * Elimino una db
+     * @param {string} name
+     * @param {{blocked?: function(number, number|null): void}} [callbacks={}]
+     * @returns {Promise<void>}
+     */
+    async deleteDatabase(name, callbacks = {}) {
+        throw new Error('El adaptador debe implementar deleteDatabase.');
+    }
+
+    /**
+     * Fábrica de rangos de claves del backend, con only, bound, lowerBound y upperBound
+     * @returns {{only: function(*): Object, bound: function(*, *, boolean=, boolean=): Object, lowerBound: function(*, boolean=): Object, upperBound: function(*, boolean=): Object}}
+     */
+    get keyRange() {
+        throw new Error('El adaptador debe implementar keyRange.');
+    }
+
+    /**
+     * Comparo dos claves con el orden del backend
+     * @param {*} a
+     * @param {*} b
+     * @returns {number} - -1, 0 o 1
+     */
+    cmp(a, b) {
+        throw new Error('El adaptador debe implementar cmp.');
+    }
+}
+
+/**
+ * Adaptador por defecto, usa el IndexedDB del navegador a través de idb
+ */
+export class IndexedDBAdapter extends StorageAdapter {
+
+    open(name, version, callbacks = {}) {
+        return idb.openDB(name, version, callbacks);
+    }
+
+    async version(name) {
+
+        if (typeof indexedDB.databases === 'function') {
+            let found = (await indexedDB.databases()).find((d) => d.name === name);
+            return found ? found.version : 0;
+        }
+
+        // Sin databases() abro la db sin versión, si se está creando aborto la creación
+        let version = 0;
+        try {
+            let connection = await idb.openDB(name, undefined, {
+                upgrade(database, old_version, new_version, transaction) {
+                    transaction.abort();
+                },
+            });
+            version = connection.version;
+            connection.close();
+        } catch (e) {
+            version = 0;
+        }
+        return version;
+    }
+
+    deleteDatabase(name, callbacks = {}) {
+        return idb.deleteDB(name, callbacks);
+    }
+
+    get keyRange() {
+        return IDBKeyRange;
+    }
+
+    cmp(a, b) {
+        return indexedDB.cmp(a, b);
+    }
+}
@@ -0,0 +1,256 @@
+import {Query} from "../query/Query.js";
+
+/**
+ * Agregaciones sobre las entradas de un modelo, se calculan en una única pasada del cursor sin instanciar las
+ * entradas ni obtenerlas todas en memoria. Si se parte de una consulta, sus condiciones sobre campos indexados
+ * acotan el rango del cursor y las demás se filtran mientras se recorre.
+ * * Los valores nulos se ignoran, sum y avg solo tienen en cuenta números.
+ * * Agrupando, cada operación devuelve un Map con el valor de cada grupo.
+ *
+ * Ej:
+ * await Cat.aggregate().avg('age');
+ * await Cat.query().where('age').above(2).aggregate().groupBy('color').count();
+ * await Cat.aggregate().groupBy('color').run({cats: ['count'], weight: ['avg', 'weight']});
+ */
+export class Aggregate {
+
+    static OPERATIONS = Object.freeze({
+        count: 'count',
+        sum: 'sum',
+        avg: 'avg',
+        min: 'min',
+        max: 'max',
+        distinct: 'distinct',
+    });
+
+    /** @type {typeof Model} */
+    #model;
+    /** @type {Query} */
+    #query;
+    /**
+     * Campo por el cual se agrupa
+     * @type {string|null}
+     */
+    #group = null;
+
+    /**
+     * @param {typeof Model} model
+     * @param {Query} [query] - consulta que acota las entradas, por default todas
+     */
+    constructor(model, query = model.query()) {
+        this.#model = model;
+        this.#query = query;
+    }
+
+    /**
+     * Agrupo las entradas según el valor de un campo
+     * @param {string} field
+     * @returns {Aggregate}
+     */
+    groupBy(field) {
+        this.#assertReadable(field);
+        this.#group = field;
+        return this;
+    }
+
+    /**
+     * Cantidad de entradas
+     * @returns {Promise<number|Map<*, number>>}
+     */
+    count() {
+        return this.#single(Aggregate.OPERATIONS.count);
+    }
+
+    /**
+     * Suma de los valores numéricos de un campo, 0 si no hay ninguno
+     * @param {string} field
+     * @returns {Promise<number|Map<*, number>>}
+     */
+    sum(field) {
+        return this.#single(Aggregate.OPERATIONS.sum, field);
+    }
+
+    /**
+     * Promedio de los valores numéricos de un campo, null si no hay ninguno
+     * @param {string} field
+     * @returns {Promise<number|null|Map<*, number|null>>}
+     */
+    avg(field) {
+        return this.#single(Aggregate.OPERATIONS.avg, field);
+    }
+
+    /**
+     * Menor valor de un campo, con el mismo orden que los índices, null si no hay ninguno
+     * @param {string} field
+     * @returns {Promise<*>}
+     */
+    min(field) {
+        return this.#single(Aggregate.OPERATIONS.min, field);
+    }
+
+    /**
+     * Mayor valor de un campo, con el mismo orden que los índices, null si no hay ninguno
+     * @param {string} field
+     * @returns {Promise<*>}
+     */
+    max(field) {
+        return this.#single(Aggregate.OPERATIONS.max, field);
+    }
+
+    /**
+     * Valores distintos de un campo, ordenados
+     * @param {string} field
+     * @returns {Promise<Array|Map<*, Array>>}
+     */
+    distinct(field) {
+        return this.#single(Aggregate.OPERATIONS.distinct, field);
+    }
+
+    /**
+     * Calculo varias agregaciones en la misma pasada del cursor
+     * Ej: run({cats: ['count'], weight: ['sum', 'weight']}) -> {cats: 7, weight: 31.5}
+     * @param {Object<string, [string, string?]>} measures - operación y campo de cada resultado, por nombre
+     * @returns {Promise<Object|Map<*, Object>>} - un objeto con los resultados, o uno por grupo
+     * @throws {Error} - Revoleo un error si alguna operación no existe
+     */
+    async run(measures) {
+
+        let entries = Object.entries(measures).map(([name, [operation, field]]) => {
+            if (!Object.values(Aggregate.OPERATIONS).includes(operation)) {
+                throw new Error('La operación de agregación ' + operation + ' no existe.');
+            }
+            if (operation !== Aggregate.OPERATIONS.count) {
+                this.#assertReadable(field);
+            }
+            return {name: name, operation: operation, key: Query.storageKey(field)};
+        });
+        let group = this.#group === null ? null : Query.storageKey(this.#group);
+
+        let groups = await this.#query.reduce(function (groups, record) {
+            let value = group === null ? null : record[group] ?? null;
+            let id = Aggregate.identity(value);
+            if (!groups.has(id)) {
+                groups.set(id, {value: value, states: entries.map((e) => Aggregate.initial(e.operation))});
+            }
+            let states = groups.get(id).states;
+            entries.forEach((e, i) => states[i] = Aggregate.accumulate(e.operation, states[i], record[e.key]));
+            return groups;
+        }, new Map());
+
+        let results = (states) => Object.fromEntries(entries.map((e, i) => [e.name, Aggregate.result(e.operation, states[i])]));
+
+        if (group === null) {
+            return results(groups.has(null) ? groups.get(null).states : entries.map((e) => Aggregate.initial(e.operation)));
+        }
+        let grouped = new Map();
+        for (let {value, states} of groups.values()) {
+            grouped.set(value, results(states));
+        }
+        return grouped;
+    }
+
+    /**
+     * Calculo una única agregación
+     * @param {string} operation
+     * @param {string} [field]
+     * @returns {Promise<*>}
+     */
+    async #single(operation, field) {
+        let result = await this.run({value: [operation, field]});
+        if (result instanceof Map) {
+            return new Map([...result].map(([group, values]) => [group, values.value]));
+        }
+        return result.value;
+    }
+
+    /**
+     * Verifico que un campo se pueda leer sin instanciar, los campos cifrados no
+     * @param {string} field
+     * @throws {Error}
+     */
+    #assertReadable(field) {
+        if (typeof field !== 'string') {
+            throw new Error('La agregación necesita un campo.');
+        }
+        if (this.#model.encrypted.includes(field)) {
+            throw new Error('El campo ' + field + ' de ' + this.#model.class_name + ' se guarda cifrado, no se puede agregar.');
+        }
+    }
+
+    /**
+     * Identidad de un valor para agruparlo, las fechas se distinguen por su valor y no por su referencia
+     * @param {*} value
+     * @returns {*}
+     */
+    static identity(value) {
+        return value instanceof Date ? 'date:' + value.getTime() : value;
+    }
+
+    /**
+     * Estado inicial de una operación
+     * @param {string} operation
+     * @returns {*}
+     */
+    static initial(operation) {
+        switch (operation) {
+            case Aggregate.OPERATIONS.avg:
+                return {total: 0, count: 0};
+            case Aggregate.OPERATIONS.min:
+            case Aggregate.OPERATIONS.max:
+                return null;
+            case Aggregate.OPERATIONS.distinct:
+                return new Map();
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Acumulo el valor de una entrada en el estado de una operación
+     * @param {string} operation
+     * @param {*} state
+     * @param {*} value
+     * @returns {*} - nuevo estado
+     */
+    static accumulate(operation, state, value) {
+        if (operation === Aggregate.OPERATIONS.count) {
+            return state + 1;
+        }
+        if (value === null || typeof value === 'undefined') {
+            return state;
+        }
+        switch (operation) {
+            case Aggregate.OPERATIONS.sum:
+                return typeof value === 'number' ? state + value : state;
+            case Aggregate.OPERATIONS.avg:
+                if (typeof value === 'number') {
+                    state.total += value;
+                    state.count++;
+                }
+                return state;
+            case Aggregate.OPERATIONS.min:
+                return state === null || Query.compare(value, state) < 0 ? value : state;
+            case Aggregate.OPERATIONS.max:
+                return state === null || Query.compare(value, state) > 0 ? value : state;
+            case Aggregate.OPERATIONS.distinct:
+                return state.set(Aggregate.identity(value), value);
+        }
+    }
+
+    /**
+     * Obtengo el resultado de una operación a partir de su estado final
+     * @param {string} operation
+     * @param {*} state
+     * @returns {*}
+     */
+    static result(operation, state) {
+        switch (operation) {
+            case Aggregate.OPERATIONS.avg:
+                return state.count > 0 ? state.total / state.count : null;
+            case Aggregate.OPERATIONS.distinct:
+                return [...state.values()].sort(Query.compare);
+            default:
+                return state;
+        }
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * Mapa de identidad de una db: guarda una única instancia por tabla y clave, así las lecturas repetidas de una misma
+ * entrada devuelven la misma instancia y las que se hacen por clave no vuelven a leer la db. Cuando se llena descarta
+ * las instancias usadas hace más tiempo(LRU).
+ * Se habilita con {@link DB#useIdentityMap} o para un bloque con {@link DB#withIdentityMap}, la db descarta las
+ * entradas que se escriben por fuera de los modelos y las que cambian en otras pestañas.
+ */
+export class IdentityMap {
+
+    /** @type {number} */
+    #capacity;
+    /**
+     * Instancias por identificador de tabla y clave, en orden de uso(la última es la más reciente)
+     * @type {Map<string, Model>}
+     */
+    #entries = new Map();
+    /** @type {{hits: number, misses: number, evictions: number}} */
+    #stats = {hits: 0, misses: 0, evictions: 0};
+
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.capacity=1000] - cantidad máxima de instancias
+     * @throws {Error} - Revoleo un error si la capacidad no es un entero positivo
+     */
+    constructor({capacity = 1000} = {}) {
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error('La capacidad del mapa de identidad debe ser un entero mayor a 0, se recibió ' + capacity + '.');
+        }
+        this.#capacity = capacity;
+    }
+
+    /**
+     * Obtengo la instancia de una entrada contándola como acierto o fallo de la caché
+     * @param {string} table
+     * @param {*} key
+     * @returns {Model|undefined}
+     */
+    get(table, key) {
+        let id = IdentityMap.id(table, key);
+        let instance = this.#entries.get(id);
+        if (typeof instance === 'undefined') {
+            this.#stats.misses++;
+            return undefined;
+        }
+        this.#stats.hits++;
+        this.#entries.delete(id);
+        this.#entries.set(id, instance);
+        return instance;
+    }
+
+    /**
+     * Obtengo la instancia de una entrada sin contarla en las estadísticas ni marcarla como usada
+     * @param {string} table
+     * @param {*} key
+     * @returns {Model|undefined}
+     */
+    peek(table, key) {
+        return this.#entries.get(IdentityMap.id(table, key));
+    }
+
+    /**
+     * Guardo la instancia de una entrada, si se supera la capacidad descarto la usada hace más tiempo
+     * @param {string} table
+     * @param {*} key
+     * @param {Model} instance
+     * @returns {IdentityMap}
+     */
+    set(table, key, instance) {
+        let id = IdentityMap.id(table, key);
+        this.#entries.delete(id);
+        this.#entries.set(id, instance);
+        if (this.#entries.size > this.#capacity) {
+            this.#entries.delete(this.#entries.keys().next().value);
+            this.#stats.evictions++;
+        }
+        return this;
+    }
+
+    /**
+     * Descarto la instancia de una entrada
+     * @param {string} table
+     * @param {*} key
+     */
+    delete(table, key) {
+        this.#entries.delete(IdentityMap.id(table, key));
+    }
+
+    /**
+     * Descarto las instancias de las tablas dadas, o todas
+     * @param {string[]|null} [tables=null]
+     */
+    clear(tables = null) {
+        if (tables === null) {
+            this.#entries.clear();
+            return;
+        }
+        let prefixes = tables.map((table) => table + '\u0000');
+        for (let id of [...this.#entries.keys()]) {
+            if (prefixes.some((prefix) => id.startsWith(prefix))) {
+                this.#entries.delete(id);
+            }
+        }
+    }
+
+    /** @returns {number} */
+    get size() {
+        return this.#entries.size;
+    }
+
+    /**
+     * Estadísticas de uso para ajustar la capacidad: aciertos(lecturas por clave que no fueron a la db), fallos y
+     * descartes por falta de lugar
+     * @returns {{hits: number, misses: number, evictions: number, hitRate: number, size: number, capacity: number}}
+     */
+    get stats() {
+        let lookups = this.#stats.hits + this.#stats.misses;
+        return Object.assign({}, this.#stats, {
+            hitRate: lookups > 0 ? this.#stats.hits / lookups : 0,
+            size: this.#entries.size,
+            capacity: this.#capacity,
+        });
+    }
+
+    /**
+     * Reinicio las estadísticas
+     */
+    resetStats() {
+        this.#stats = {hits: 0, misses: 0, evictions: 0};
+    }
+
+    /**
+     * Identificador de una entrada, las claves que no son primitivas(fechas, compuestas) se comparan por su valor
+     * @param {string} table
+     * @param {*} key
+     * @returns {string}
+     */
+    static id(table, key) {
+        let value = key !== null && typeof key === 'object' ? JSON.stringify(key) : typeof key + ':' + String(key);
+        return table + '\u0000' + value;
+    }
+}
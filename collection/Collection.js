@@ -1,3 +1,25 @@
+/**
+ * Agrupo un conjunto de instancias según su clase
+ * @param {Model[]} elements
+ * @returns {Map<typeof Model, Model[]>}
+ */
+function byClass(elements) {
+    let classes = new Map();
+    for (let element of elements) {
+        if (!classes.has(element.constructor)) {
+            classes.set(element.constructor, []);
+        }
+        classes.get(element.constructor).push(element);
+    }
+    return classes;
+}
+
+/**
+ * Conjunto de resultados de una consulta, envuelve a un array de instancias y ofrece métodos encadenables para
+ * trabajar sobre ellas y para persistirlas en bloque.
+ * * Es iterable: for (let cat of cats)
+ * * Se puede indexar como un array: cats[0]
+ */
 export class Collection {
 
     get elements() {
@@ -14,5 +36,279 @@ export class Collection {
         } else {
             this.elements = [];
         }
+
+        // Intercepto los accesos con índices numéricos para que se comporte como un array, por esto la clase no
+        // usa miembros privados, ya que no funcionan a través del Proxy
+        return new Proxy(this, {
+            get(target, prop, receiver) {
+                if (Collection.isIndex(prop)) {
+                    return target.elements[prop];
+                }
+                return Reflect.get(target, prop, receiver);
+            },
+            set(target, prop, value, receiver) {
+                if (Collection.isIndex(prop)) {
+                    target.elements[prop] = value;
+                    return true;
+                }
+                return Reflect.set(target, prop, value, receiver);
+            },
+            has(target, prop) {
+                if (Collection.isIndex(prop)) {
+                    return prop in target.elements;
+                }
+                return Reflect.has(target, prop);
+            },
+        });
+    }
+
+    /** @returns {number} */
+    get length() {
+        return this.elements.length;
+    }
+
+    [Symbol.iterator]() {
+        return this.elements[Symbol.iterator]();
+    }
+
+    /**
+     * Serializo los elementos de la colección, ver {@link Model#toJSON}
+     * Ej: cats.toJSON({serializer: 'api'}), JSON.stringify(cats)
+     * @param {{serializer?: string, relations?: string[]}|string} [options={}]
+     * @returns {Array}
+     */
+    toJSON(options = {}) {
+        return this.elements.map((e) => e !== null && typeof e === 'object' && typeof e.toJSON === 'function' ? e.toJSON(options) : e);
+    }
+
+    /**
+     * Obtengo el elemento en una posición dada, acepta posiciones negativas
+     * @param {number} i
+     * @returns {*}
+     */
+    at(i) {
+        return this.elements.at(i);
+    }
+
+    /**
+     * @returns {Array}
+     */
+    toArray() {
+        return [...this.elements];
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return this.elements.length === 0;
+    }
+
+    /**
+     * Obtengo el primer elemento, o el primero que cumpla con la condición dada
+     * @param {function(*): boolean} [fn]
+     * @returns {*} - null si no hay ninguno
+     */
+    first(fn) {
+        let found = typeof fn === 'function' ? this.elements.find(fn) : this.elements[0];
+        return typeof found === 'undefined' ? null : found;
+    }
+
+    /**
+     * Obtengo el último elemento
+     * @returns {*} - null si la colección está vacía
+     */
+    last() {
+        return this.elements.length > 0 ? this.elements[this.elements.length - 1] : null;
+    }
+
+    /**
+     * @param {function(*, number): void} fn
+     * @returns {Collection}
+     */
+    forEach(fn) {
+        this.elements.forEach(fn);
+        return this;
+    }
+
+    /**
+     * @param {function(*, number): boolean} fn
+     * @returns {Collection}
+     */
+    filter(fn) {
+        return new Collection(this.elements.filter(fn));
+    }
+
+    /**
+     * @param {function(*, number): *} fn
+     * @returns {Collection}
+     */
+    map(fn) {
+        return new Collection(this.elements.map(fn));
+    }
+
+    /**
+     * @param {function(*, *, number): *} fn
+     * @param {*} initial
+     * @returns {*}
+     */
+    reduce(fn, initial) {
+        return this.elements.reduce(fn, initial);
+    }
+
+    /**
+     * Ordeno la colección según un campo o una función, no modifica la colección original
+     * @param {string|function(*): *} field - campo o función que obtiene el valor por el cual ordenar
+     * @param {'asc'|'desc'} [direction='asc'] - sentido del orden
+     * @returns {Collection}
+     */
+    sortBy(field, direction = 'asc') {
+        let sign = direction === 'desc' ? -1 : 1;
+        let sorted = [...this.elements].sort(function (a, b) {
+            let va = Collection.value(a, field);
+            let vb = Collection.value(b, field);
+            if (va === vb) {
+                return 0;
+            }
+            if (va === undefined || va === null) {
+                return 1;
+            }
+            if (vb === undefined || vb === null) {
+                return -1;
+            }
+            return sign * (va < vb ? -1 : 1);
+        });
+        return new Collection(sorted);
+    }
+
+    /**
+     * Agrupo los elementos según un campo o una función
+     * @param {string|function(*): *} field
+     * @returns {Map<*, Collection>}
+     */
+    groupBy(field) {
+        let groups = new Map();
+        for (let element of this.elements) {
+            let key = Collection.value(element, field);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(element);
+        }
+        for (let [key, elements] of groups) {
+            groups.set(key, new Collection(elements));
+        }
+        return groups;
+    }
+
+    /**
+     * Obtengo los valores de un campo de todos los elementos
+     * @param {string} field
+     * @returns {Collection}
+     */
+    pluck(field) {
+        return this.map((element) => Collection.value(element, field));
+    }
+
+    /**
+     * Indexo los elementos según un campo o una función, si hay claves repetidas queda el último elemento
+     * @param {string|function(*): *} field
+     * @returns {Map<*, *>}
+     */
+    keyBy(field) {
+        return new Map(this.elements.map((element) => [Collection.value(element, field), element]));
+    }
+
+    /**
+     * Divido la colección en colecciones de un tamaño dado
+     * @param {number} size
+     * @returns {Collection}
+     * @throws {Error} - Revoleo un error si el tamaño no es un entero positivo
+     */
+    chunk(size) {
+        if (!Number.isInteger(size) || size < 1) {
+            throw new Error('El tamaño de las partes debe ser un entero mayor a 0, se recibió ' + size + '.');
+        }
+        let chunks = [];
+        for (let i = 0; i < this.elements.length; i += size) {
+            chunks.push(new Collection(this.elements.slice(i, i + size)));
+        }
+        return new Collection(chunks);
+    }
+
+    /**
+     * Persisto todos los elementos, con una única transacción de escritura por tabla
+     * @returns {Promise<Collection>}
+     */
+    async saveAll() {
+        for (let [clase, instances] of byClass(this.elements)) {
+            await clase.saveMany(instances);
+        }
+        return this;
+    }
+
+    /**
+     * Quito todos los elementos de sus tablas, con una única transacción de escritura por tabla
+     * @returns {Promise<Collection>}
+     */
+    async removeAll() {
+        for (let [clase, instances] of byClass(this.elements)) {
+            await clase.removeMany(instances);
+        }
+        return this;
+    }
+
+    /**
+     * Asigno los campos dados a todos los elementos y los persisto, con una única transacción de escritura por
+     * tabla
+     * @param {Object} fields - ej: {color: 'black'}
+     * @returns {Promise<Collection>}
+     */
+    async update(fields) {
+        for (let element of this.elements) {
+            for (let [field, value] of Object.entries(fields)) {
+                Collection.assign(element, field, value);
+            }
+        }
+        return this.saveAll();
+    }
+
+    /**
+     * Obtengo el valor de un campo de un elemento, si el elemento no posee un accesor para el campo lo busco en la
+     * propiedad con la que se almacena(_campo)
+     * @param {*} element
+     * @param {string|function(*): *} field
+     * @returns {*}
+     */
+    static value(element, field) {
+        if (typeof field === 'function') {
+            return field(element);
+        }
+        if (element === null || typeof element !== 'object') {
+            return undefined;
+        }
+        return field in element ? element[field] : element['_' + field];
+    }
+
+    /**
+     * Asigno el valor de un campo en un elemento, con el mismo criterio que {@link Collection.value}
+     * @param {Object} element
+     * @param {string} field
+     * @param {*} value
+     */
+    static assign(element, field, value) {
+        if (field in element) {
+            element[field] = value;
+        } else {
+            element['_' + field] = value;
+        }
+    }
+
+    /**
+     * @param {string|symbol} prop
+     * @returns {boolean}
+     */
+    static isIndex(prop) {
+        return typeof prop === 'string' && /^\d+$/.test(prop);
     }
-}
\ No newline at end of file
+}
@@ -1,9 +1,14 @@
-import * as idb from "idb";
-import {MigrationVersion} from '../migration/Migration'
+import {MigrationVersion} from '../migration/Migration.js'
+import {EventEmitter} from "../event/EventEmitter.js";
+import {Dump} from "../dump/Dump.js";
+import {IndexedDBAdapter} from "../adapter/StorageAdapter.js";
+import {IdentityMap} from "../cache/IdentityMap.js";
+import {Scope} from "../scope/Scope.js";
 
 /**
  * Wrapper de la biblioteca idb, posee una lista de métodos para simplificar el uso de la misma y una conexión
- * a indexeddb
+ * a indexeddb. La db se abre a través de un adaptador de almacenamiento, por default IndexedDB, ver
+ * {@link StorageAdapter}
  */
 export class DB {
 
@@ -23,6 +28,57 @@ export class DB {
         anterior: 'prev'
     });
 
+    /**
+     * @typedef {string} ESTADO
+     */
+
+    /**
+     * Enum con los estados de la conexión, ver {@link DB#state}
+     * @readonly
+     * @enum {ESTADO}
+     */
+    static ESTADOS = Object.freeze({
+        /** Todavía no se llamó a connect */
+        desconectada: 'disconnected',
+        /** Abriendo la conexión o reconectando luego de que se cerrara de forma anormal, las operaciones esperan */
+        conectando: 'connecting',
+        /** Conexión abierta */
+        conectada: 'connected',
+        /** Conexión cerrada con close, delete o porque otra pestaña actualizó o eliminó la db */
+        cerrada: 'closed'
+    });
+
+    /**
+     * @typedef {string} EVENTO
+     */
+
+    /**
+     * Enum con los eventos del ciclo de vida de la conexión, ver {@link DB#on}
+     * @readonly
+     * @enum {EVENTO}
+     */
+    static EVENTOS = Object.freeze({
+        /** Se abrió la conexión, recibe {reconnected: boolean} */
+        abierta: 'open',
+        /** Otra conexión impide actualizar o eliminar la db, recibe {oldVersion, newVersion} */
+        bloqueada: 'blocked',
+        /** Otra conexión pidió actualizar o eliminar la db y se cerró esta, recibe {oldVersion, newVersion} */
+        cambio_version: 'versionchange',
+        /** El navegador cerró la conexión de forma anormal, se intenta reconectar */
+        terminada: 'terminated',
+        /** Se cerró la conexión, recibe {reason: 'close'|'delete'|'versionchange'} */
+        cerrada: 'close',
+        /** Falló la reconexión, recibe el error */
+        error: 'error'
+    });
+
+    /**
+     * Intentos de reconexión luego de que la conexión se cierre de forma anormal y espera en milisegundos antes del
+     * primer reintento, cada reintento espera el doble que el anterior
+     * @type {{attempts: number, delay: number}}
+     */
+    static reconnection = {attempts: 3, delay: 100};
+
     /**
      * @typedef {string} TRANSACTION_MODE
      */
@@ -47,6 +103,63 @@ export class DB {
     #_version;
     /** @type {MigrationVersion[]} */
     #_migrations = [];
+    /** @type {StorageAdapter} */
+    #_adapter;
+    /**
+     * Transacción compartida del callback de {@link DB#transaction} en curso
+     * @type {Scope}
+     */
+    #transactions = new Scope();
+    /**
+     * Última transacción compartida encolada, para ejecutarlas de a una cuando no se pueden aislar por callback
+     * @type {Promise<void>}
+     */
+    #queue = Promise.resolve();
+    /**
+     * Emisor de los cambios sobre las tablas, propios y de otras pestañas
+     * @type {EventEmitter}
+     */
+    #changes = new EventEmitter();
+    /**
+     * Canal por el que se comparten los cambios con las demás pestañas, abierto mientras haya suscripciones
+     * @type {BroadcastChannel|null}
+     */
+    #channel = null;
+    /**
+     * Estado de la conexión
+     * @type {ESTADO}
+     */
+    #state = DB.ESTADOS.desconectada;
+    /**
+     * Apertura en curso, las operaciones que se piden mientras se conecta la esperan
+     * @type {Promise<void>|null}
+     */
+    #opening = null;
+    /**
+     * Emisor de los eventos del ciclo de vida de la conexión
+     * @type {EventEmitter}
+     */
+    #events = new EventEmitter();
+    /**
+     * Mapa de identidad habilitado con {@link DB#useIdentityMap}
+     * @type {IdentityMap|null}
+     */
+    #identity = null;
+    /**
+     * Mapa de identidad del bloque de {@link DB#withIdentityMap} en curso
+     * @type {Scope}
+     */
+    #scope = new Scope();
+    /**
+     * Mapas de identidad de todos los bloques de {@link DB#withIdentityMap} en curso
+     * @type {Set<IdentityMap>}
+     */
+    #scopes = new Set();
+    /**
+     * Función para desuscribirse de los cambios de otras pestañas, suscripto mientras haya mapas de identidad
+     * @type {function(): void|null}
+     */
+    #unwatch = null;
 
     /** @returns {IDBDatabase} */
     get #connection() {
@@ -83,24 +196,805 @@ export class DB {
     }
 
     /**
-     * Agrego una nueva migración a la db
+     * Adaptador de almacenamiento sobre el que trabaja la db
+     * @returns {StorageAdapter}
+     */
+    get adapter() {
+        return this.#_adapter;
+    }
+
+    /**
+     * Estado de la conexión, ver {@link DB.ESTADOS}
+     * @returns {ESTADO}
+     */
+    get state() {
+        return this.#state;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    get isConnected() {
+        return this.#state === DB.ESTADOS.conectada;
+    }
+
+    /**
+     * Mapa de identidad en uso: el del bloque de {@link DB#withIdentityMap} en curso o el habilitado con
+     * {@link DB#useIdentityMap}, nulo si no hay ninguno
+     * @returns {IdentityMap|null}
+     */
+    get identityMap() {
+        return this.#scope.current ?? this.#identity;
+    }
+
+    /**
+     * Fábrica de rangos de claves del adaptador, ej: db.keyRange.bound(1, 10)
+     * @returns {{only: function(*): Object, bound: function(*, *, boolean=, boolean=): Object, lowerBound: function(*, boolean=): Object, upperBound: function(*, boolean=): Object}}
+     */
+    get keyRange() {
+        return this.#_adapter.keyRange;
+    }
+
+    /**
+     * Agrego una nueva migración a la db, si no declara su versión le asigno la siguiente a la última agregada
      * @param {MigrationVersion} migration
      * @returns {DB}
      */
     addMigration(migration) {
-        migration.version = this.#version;
-        this.#version++;
+        if (typeof migration.version === 'undefined') {
+            migration.version = this.#version + 1;
+        }
+        this.#version = Math.max(this.#version, migration.version);
         this.#_migrations.push(migration);
         return this;
     }
 
     /**
-     * @param {string} table - tabla sobre la cual se abre la transacción
+     * Obtengo las migraciones ordenadas por versión
+     * @returns {MigrationVersion[]}
+     */
+    #sortedMigrations() {
+        return [...this.#migrations].sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Verifico que las versiones de las migraciones sean enteros positivos, sin repetidos y sin saltos
+     * @throws {Error}
+     */
+    #validateMigrations() {
+
+        let migrations = this.#sortedMigrations();
+
+        for (let i = 0; i < migrations.length; i++) {
+            let version = migrations[i].version;
+
+            if (!Number.isInteger(version) || version < 1) {
+                throw new Error('Las versiones de las migraciones deben ser enteros mayores a 0, se recibió ' + version + '.');
+            }
+            if (i > 0 && version === migrations[i - 1].version) {
+                throw new Error('Hay dos migraciones con la versión ' + version + '.');
+            }
+            if (i > 0 && version !== migrations[i - 1].version + 1) {
+                throw new Error('Falta la migración con la versión ' + (migrations[i - 1].version + 1) + '.');
+            }
+        }
+    }
+
+    /**
+     * Obtengo la versión de la db instalada sin crearla, 0 si no existe
+     * @returns {Promise<number>}
+     */
+    async #installedVersion() {
+
+        if (this.isConnected) {
+            return this.#connection.version;
+        }
+        return this.#_adapter.version(this.#nombre);
+    }
+
+    /**
+     * Obtengo el estado de las migraciones: la versión instalada, la versión a la que se llegará al conectarse y qué
+     * migraciones ya se aplicaron y cuáles están pendientes
+     * @returns {Promise<{current: number, target: number, applied: {version: number, name: string}[], pending: {version: number, name: string}[]}>}
+     */
+    async migrationStatus() {
+
+        this.#validateMigrations();
+
+        let current = await this.#installedVersion();
+        let status = {current: current, target: this.#version, applied: [], pending: []};
+
+        for (let migration of this.#sortedMigrations()) {
+            let entry = {version: migration.version, name: migration.name};
+            (migration.version <= current ? status.applied : status.pending).push(entry);
+        }
+        return status;
+    }
+
+    /**
+     * Obtengo y logueo las operaciones que correrían las migraciones posteriores a una versión dada, sin abrir la db
+     * @param {number} [from=0] - versión desde la cual se migraría, por default desde una db nueva
+     * @param {function(string): void} [log=console.info] - función con la que se loguea cada operación
+     * @returns {{version: number, name: string, operation: string, table: string}[]}
+     */
+    dryRun(from = 0, log = console.info) {
+
+        this.#validateMigrations();
+
+        let operations = [];
+        for (let migration of this.#sortedMigrations()) {
+            if (migration.version > from) {
+                for (let operation of migration.describe()) {
+                    operation = Object.assign({version: migration.version, name: migration.name}, operation);
+                    log('[' + operation.version + (operation.name ? ' ' + operation.name : '') + '] ' +
+                        MigrationVersion.describeOperation(operation));
+                    operations.push(operation);
+                }
+            }
+        }
+        return operations;
+    }
+
+    /**
+     * Obtengo una transacción sobre una tabla, si hay una transacción compartida en curso la reutilizo. Donde no se
+     * pueden aislar por callback(ver {@link DB#transaction}) las llamadas sobre tablas que no abarca pueden venir de
+     * fuera del callback, esas usan una transacción propia
+     * @param {string|string[]} table - tabla(s) sobre la cual se abre la transacción
      * @param {IDBTransactionMode} mode - modo de la transacción(lectura o escritura)
      * @returns {IDBTransaction}
+     * @throws {Error} - Revoleo un error si la transacción compartida ya terminó, si no incluye la tabla o si es de
+     * lectura y se pide escribir
      */
     tx(table, mode) {
-        return this.#connection.transaction(table, mode);
+
+        let shared = this.#shared();
+        if (shared !== null && !this.#transactions.isolated && !this.#covers(shared, [].concat(table), mode)) {
+            shared = null;
+        }
+
+        if (shared === null) {
+            if (!this.isConnected) {
+                throw this.#unavailable();
+            }
+            return this.#connection.transaction(table, mode);
+        }
+
+        if (shared.finished) {
+            throw new Error('La transacción compartida ya terminó. Dentro del callback de transaction() solo se ' +
+                'pueden esperar operaciones de la db, esperar cualquier otra promesa(fetch, setTimeout, etc) hace ' +
+                'que IndexedDB cierre la transacción automáticamente.');
+        }
+        for (let name of [].concat(table)) {
+            if (!shared.tables.includes(name)) {
+                throw new Error('La tabla ' + name + ' no forma parte de la transacción compartida en curso.');
+            }
+        }
+        if (mode === this.TRANSACTION_MODE.escritura && shared.mode !== mode) {
+            throw new Error('La transacción compartida en curso es de solo lectura.');
+        }
+        return shared.tx;
+    }
+
+    /**
+     * Obtengo la transacción compartida del callback en curso, nula si no hay ninguno
+     * @returns {{tx: IDBTransaction, tables: string[], mode: IDBTransactionMode, finished: boolean, active: boolean, done: Promise<void>, touched: Set<string>}|null}
+     */
+    #shared() {
+        let shared = this.#transactions.current;
+        // Lo que el callback dejó corriendo al terminar ya no puede usar su transacción
+        return typeof shared === 'undefined' || !shared.active ? null : shared;
+    }
+
+    /**
+     * Verifico si una transacción compartida abarca las tablas dadas en el modo pedido
+     * @param {{tables: string[], mode: IDBTransactionMode}} shared
+     * @param {string[]} tables
+     * @param {IDBTransactionMode} mode
+     * @returns {boolean}
+     */
+    #covers(shared, tables, mode) {
+        return tables.every((name) => shared.tables.includes(name)) &&
+            (mode !== this.TRANSACTION_MODE.escritura || shared.mode === mode);
+    }
+
+    /**
+     * Obtengo una tabla dentro de una transacción
+     * @param {string} table
+     * @param {IDBTransactionMode} mode
+     * @returns {IDBObjectStore}
+     */
+    #table(table, mode) {
+        return this.tx(table, mode).objectStore(table);
+    }
+
+    /**
+     * Espero a que termine una escritura y notifico el cambio sobre la tabla, si se hizo sobre la transacción
+     * compartida solo espero a las operaciones, ya que la transacción termina y se notifica cuando termina el
+     * callback de {@link DB#transaction}
+     * @param {IDBObjectStore} store - tabla sobre la que se escribió
+     * @param {Promise<*>} operations
+     * @returns {Promise<*>}
+     */
+    #commit(store, operations) {
+        let tx = store.transaction;
+        let shared = this.#shared();
+        if (shared !== null && shared.tx === tx) {
+            shared.touched.add(store.name);
+            return operations;
+        }
+        // Si falla una operación prefiero su error al AbortError de la transacción
+        let done = tx.done;
+        done.catch(() => {});
+        return operations.then((result) => done.then(() => {
+            this.#notify([store.name]);
+            return result;
+        }));
+    }
+
+    /**
+     * Me suscribo a los cambios sobre las tablas de la db, los hechos en esta pestaña y en las demás(vía
+     * BroadcastChannel). Cada cambio se notifica una vez terminada la transacción que lo hizo.
+     * Ej: let off = db.onChange(({tables, remote}) => ...); off();
+     * @param {function({tables: string[], remote: boolean}): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    onChange(fn) {
+
+        if (this.#channel === null && typeof BroadcastChannel !== 'undefined') {
+            this.#channel = new BroadcastChannel(DB.channelName(this.#nombre));
+            this.#channel.onmessage = (event) => this.#changes.emit('change', {tables: event.data.tables, remote: true});
+        }
+
+        let off = this.#changes.on('change', fn);
+        return () => {
+            off();
+            // Sin suscripciones cierro el canal, un canal abierto no deja terminar al proceso en node
+            if (!this.#changes.hasListeners('change') && this.#channel !== null) {
+                this.#channel.close();
+                this.#channel = null;
+            }
+        };
+    }
+
+    /**
+     * Notifico un cambio sobre las tablas dadas a las suscripciones de esta pestaña y a las demás pestañas
+     * @param {string[]} tables
+     */
+    #notify(tables) {
+
+        this.#changes.emit('change', {tables: tables, remote: false});
+
+        if (typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+        // Si no hay suscripciones en esta pestaña abro un canal solo para avisarle a las demás
+        let channel = this.#channel || new BroadcastChannel(DB.channelName(this.#nombre));
+        channel.postMessage({tables: tables});
+        if (channel !== this.#channel) {
+            channel.close();
+        }
+    }
+
+    /**
+     * Nombre del canal por el que se comparten los cambios de una db entre pestañas
+     * @param {string} nombre - nombre de la db
+     * @returns {string}
+     */
+    static channelName(nombre) {
+        return 'ormi:' + nombre;
+    }
+
+    /**
+     * Habilito un mapa de identidad para la db: mientras esté habilitado las lecturas de una misma entrada
+     * devuelven la misma instancia y Model.get por clave no vuelve a leer la db. Las escrituras hechas por fuera de
+     * los modelos(putMany, import, sync) y los cambios de otras pestañas descartan las entradas afectadas.
+     * Ej: let map = db.useIdentityMap({capacity: 5000}); ... map.stats
+     * @param {{capacity?: number}|null} [options={}] - null para deshabilitarlo
+     * @returns {IdentityMap|null}
+     */
+    useIdentityMap(options = {}) {
+        this.#identity = options === null ? null : new IdentityMap(options);
+        this.#watch();
+        return this.#identity;
+    }
+
+    /**
+     * Ejecuto un callback con un mapa de identidad propio, que se descarta al terminar. Lo usan las llamadas a esta
+     * db que se hagan desde el callback, igual que la transacción de {@link DB#transaction}: donde no hay
+     * AsyncLocalStorage lo usa cualquier llamada mientras dure el callback.
+     * Ej: await db.withIdentityMap(async (map) => { ... })
+     * @param {function(IdentityMap): Promise<*>} callback
+     * @param {{capacity?: number}} [options={}]
+     * @returns {Promise<*>} - lo que retorne el callback
+     */
+    async withIdentityMap(callback, options = {}) {
+        let map = new IdentityMap(options);
+        this.#scopes.add(map);
+        this.#watch();
+        try {
+            return await this.#scope.run(map, () => callback(map));
+        } finally {
+            this.#scopes.delete(map);
+            this.#watch();
+        }
+    }
+
+    /**
+     * Obtengo todos los mapas de identidad activos
+     * @returns {IdentityMap[]}
+     */
+    #identityMaps() {
+        return this.#identity === null ? [...this.#scopes] : [this.#identity, ...this.#scopes];
+    }
+
+    /**
+     * Me suscribo a los cambios de otras pestañas mientras haya mapas de identidad, para descartar sus entradas
+     */
+    #watch() {
+        let active = this.#identityMaps().length > 0;
+        if (active && this.#unwatch === null) {
+            this.#unwatch = this.onChange(({tables, remote}) => remote && tables.forEach((table) => this.#forget(table)));
+        } else if (!active && this.#unwatch !== null) {
+            this.#unwatch();
+            this.#unwatch = null;
+        }
+    }
+
+    /**
+     * Descarto de los mapas de identidad las entradas de una tabla con las claves dadas, o todas
+     * @param {string} table
+     * @param {Array|null} [keys=null]
+     */
+    #forget(table, keys = null) {
+        for (let map of this.#identityMaps()) {
+            if (keys === null) {
+                map.clear([table]);
+            } else {
+                keys.forEach((key) => map.delete(table, key));
+            }
+        }
+    }
+
+    /**
+     * Descarto de los mapas de identidad las entradas que se van a escribir en una tabla
+     * @param {IDBObjectStore} store
+     * @param {Object[]} records
+     */
+    #forgetRecords(store, records) {
+        if (this.#identityMaps().length === 0) {
+            return;
+        }
+        let keyPath = store.keyPath;
+        if (keyPath === null) {
+            this.#forget(store.name);
+            return;
+        }
+        this.#forget(store.name, records.map((r) => Array.isArray(keyPath) ? keyPath.map((path) => r[path]) : r[keyPath]));
+    }
+
+    /**
+     * Me suscribo a un evento del ciclo de vida de la conexión, ver {@link DB.EVENTOS}
+     * Ej: let off = db.on('versionchange', () => alert('Hay una nueva versión, recargá la página')); off();
+     * @param {EVENTO} event
+     * @param {function(*): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    on(event, fn) {
+        return this.#events.on(event, fn);
+    }
+
+    /**
+     * Ejecuto una operación sincrónica sobre la conexión, si se está conectando la encolo hasta que se abra
+     * @param {function(): Promise<*>} operation
+     * @returns {Promise<*>}
+     */
+    #run(operation) {
+        if (this.isConnected) {
+            return operation();
+        }
+        return this.#ready().then(operation);
+    }
+
+    /**
+     * Espero a que la conexión esté abierta
+     * @returns {Promise<void>}
+     * @throws {Error} - Revoleo un error si no está conectada ni conectándose o si falla la reconexión
+     */
+    async #ready() {
+        if (this.#state === DB.ESTADOS.conectando) {
+            await this.#opening;
+        }
+        if (!this.isConnected) {
+            throw this.#unavailable();
+        }
+    }
+
+    /**
+     * Error de operar sobre la db sin una conexión abierta
+     * @returns {Error}
+     */
+    #unavailable() {
+        if (this.#state === DB.ESTADOS.desconectada) {
+            return new Error('La db ' + this.#nombre + ' no está conectada, llamar a connect antes de usarla.');
+        }
+        return new Error('La conexión a la db ' + this.#nombre + ' está cerrada, se cerró con close, delete o ' +
+            'porque otra pestaña actualizó o eliminó la db. Llamar a connect para volver a abrirla.');
+    }
+
+    /**
+     * Cierro la conexión, las operaciones que se pidan luego revolean un error hasta que se vuelva a conectar.
+     * IndexedDB termina las transacciones en curso antes de cerrarla.
+     */
+    close() {
+        if (this.isConnected) {
+            this.#close('close');
+        }
+    }
+
+    /**
+     * @param {'close'|'delete'|'versionchange'} reason
+     */
+    #close(reason) {
+        this.#connection.close();
+        this.#state = DB.ESTADOS.cerrada;
+        this.#events.emit(DB.EVENTOS.cerrada, {reason: reason});
+    }
+
+    /**
+     * Cierro la conexión y elimino la db con todas sus tablas, ver {@link DB.delete}
+     * @returns {Promise<void>}
+     */
+    async delete() {
+        if (this.isConnected) {
+            this.#close('delete');
+        }
+        await DB.delete(this.#nombre, {
+            adapter: this.#_adapter,
+            blocked: (old_version, new_version) => this.#events.emit(DB.EVENTOS.bloqueada, {oldVersion: old_version, newVersion: new_version}),
+        });
+    }
+
+    /**
+     * Elimino una db, si otras pestañas tienen conexiones abiertas espera a que se cierren
+     * @param {string} nombre
+     * @param {Object} [options]
+     * @param {StorageAdapter} [options.adapter=new IndexedDBAdapter()]
+     * @param {function(number, number|null): void} [options.blocked] - se llama si otra conexión impide eliminarla
+     * @returns {Promise<void>}
+     */
+    static delete(nombre, {adapter = new IndexedDBAdapter(), blocked} = {}) {
+        return adapter.deleteDatabase(nombre, {blocked: blocked});
+    }
+
+    /**
+     * Ejecuto un callback dentro de una única transacción sobre varias tablas, todas las llamadas a la db que
+     * se hagan desde el callback(get, save, update, remove, consultas, etc) reutilizan la transacción.
+     * Si el callback revolea un error se aborta todo.
+     * * Dentro del callback solo se deben esperar operaciones de la db, si se espera otra promesa IndexedDB cierra
+     * la transacción y la siguiente operación revolea un error.
+     * * Una transacción anidada sobre tablas que abarca la en curso se une a ella, sobre otras tablas revolea un error.
+     * * La transacción se liga al callback con AsyncLocalStorage. Donde no existe(los navegadores) se usa mientras
+     * dure el callback: las llamadas que no se hagan desde él pero que abarque también la usan, las demás usan una
+     * transacción propia, y las llamadas concurrentes a transaction() sobre otras tablas esperan a que termine.
+     *
+     * Ej: await db.transaction([Cat, Owner, AuditLog], 'readwrite', async (tx) => { ... })
+     * @param {Array<typeof Model|string>} tables - clases o nombres de las tablas que abarca la transacción
+     * @param {IDBTransactionMode} mode - modo de la transacción(lectura o escritura)
+     * @param {function(IDBTransaction): Promise<*>} callback
+     * @returns {Promise<*>} - lo que retorne el callback
+     * @throws {Error} - Revoleo un error si se anida sobre tablas que no abarca la transacción en curso
+     */
+    async transaction(tables, mode, callback) {
+
+        let names = tables.map((t) => typeof t === 'string' ? t : t.table_name);
+        let running = this.#shared();
+        if (running !== null && this.#covers(running, names, mode)) {
+            return callback(running.tx);
+        }
+        if (!this.#transactions.isolated) {
+            return this.#enqueue(running, names, mode, callback);
+        }
+        if (running !== null) {
+            throw this.#nested(names);
+        }
+        return this.#transact(names, mode, callback);
+    }
+
+    /**
+     * Encolo una transacción compartida para cuando termine la anterior, donde no se pueden aislar por callback.
+     * Si hay una en curso y se cierra antes que su callback es porque él espera a esta, estaba anidada y no puede
+     * esperar a que termine
+     * @param {{done: Promise<void>, active: boolean}|null} running - transacción compartida en curso
+     * @param {string[]} names
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBTransaction): Promise<*>} callback
+     * @returns {Promise<*>}
+     */
+    #enqueue(running, names, mode, callback) {
+
+        let cancelled = null;
+        let run = this.#queue.then(() => {
+            if (cancelled !== null) {
+                throw cancelled;
+            }
+            return this.#transact(names, mode, callback);
+        });
+        this.#queue = run.then(() => {}, () => {});
+        if (running === null) {
+            return run;
+        }
+
+        let nested = running.done.catch(() => {}).then(() => {
+            if (!running.active) {
+                return run;
+            }
+            cancelled = this.#nested(names);
+            throw cancelled;
+        });
+        return Promise.race([run, nested]);
+    }
+
+    /**
+     * @param {string[]} names
+     * @returns {Error}
+     */
+    #nested(names) {
+        return new Error('La transacción compartida en curso no abarca las tablas ' + names.join(', ') +
+            ', no se pueden anidar transacciones sobre otras tablas.');
+    }
+
+    /**
+     * Abro una transacción compartida y ejecuto el callback con ella
+     * @param {string[]} names
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBTransaction): Promise<*>} callback
+     * @returns {Promise<*>}
+     */
+    async #transact(names, mode, callback) {
+
+        await this.#ready();
+
+        let tx = this.#connection.transaction(names, mode);
+        let shared = {tx: tx, tables: names, mode: mode, finished: false, active: true, done: null, touched: new Set()};
+        let done = shared.done = tx.done.finally(() => shared.finished = true);
+        // Evito que un abort se reporte como promesa rechazada sin manejar, el error se revolea más abajo. Las
+        // instancias de los mapas de identidad pueden tener cambios que se deshicieron, las descarto también si
+        // falla el callback
+        done.catch(() => names.forEach((name) => this.#forget(name)));
+
+        let result;
+        try {
+            result = await this.#transactions.run(shared, () => callback(tx));
+        } catch (e) {
+            if (!shared.finished) {
+                tx.abort();
+            }
+            names.forEach((name) => this.#forget(name));
+            throw e;
+        } finally {
+            shared.active = false;
+        }
+
+        await done;
+        if (shared.touched.size > 0) {
+            this.#notify(Array.from(shared.touched));
+        }
+        return result;
+    }
+
+    /**
+     * Obtengo el esquema de la db conectada: la clave y los índices de cada tabla
+     * @returns {Promise<Object<string, {keyPath: string|string[]|null, autoIncrement: boolean, indexes: Object<string, {keyPath: string|string[], unique: boolean, multiEntry: boolean}>}>>}
+     */
+    async schema() {
+
+        await this.#ready();
+        let names = Array.from(this.#connection.objectStoreNames);
+        let schema = {};
+
+        if (names.length === 0) {
+            return schema;
+        }
+
+        // Solo leo metadatos, no uso la transacción compartida en curso ya que puede no abarcar todas las tablas
+        let tx = this.#connection.transaction(names, this.TRANSACTION_MODE.lectura);
+        for (let name of names) {
+            let store = tx.objectStore(name);
+            let indexes = {};
+            for (let index_name of Array.from(store.indexNames)) {
+                let index = store.index(index_name);
+                indexes[index_name] = {keyPath: index.keyPath, unique: index.unique, multiEntry: index.multiEntry};
+            }
+            schema[name] = {keyPath: store.keyPath, autoIncrement: store.autoIncrement, indexes: indexes};
+        }
+        return schema;
+    }
+
+    /**
+     * Exporto las tablas de la db con su esquema y todas sus entradas, para respaldos, depuración o migrar de
+     * dispositivo, ver {@link Dump} por el formato
+     * * json: retorna el documento como string, leído en una única transacción
+     * * ndjson: retorna un generador asincrónico de líneas que lee cada tabla de a lotes, sin cargarla en memoria
+     * Ej: for await (let line of await db.export({format: 'ndjson'})) { stream.write(line); }
+     * @param {Object} [options]
+     * @param {'json'|'ndjson'} [options.format='json']
+     * @param {string[]|null} [options.tables=null] - tablas a exportar, por default todas
+     * @param {number} [options.batch=500] - entradas por lote en ndjson
+     * @returns {Promise<string|AsyncGenerator<string>>}
+     * @throws {Error} - Revoleo un error si el formato no está soportado
+     */
+    async export({format = 'json', tables = null, batch = 500} = {}) {
+
+        await this.#ready();
+        if (format !== 'json' && format !== 'ndjson') {
+            throw new Error('El formato de exportación ' + format + ' no está soportado, usar json o ndjson.');
+        }
+
+        let names = tables || Array.from(this.#connection.objectStoreNames);
+        let schema = await this.schema();
+        let header = {
+            format: Dump.FORMAT,
+            version: Dump.VERSION,
+            db: this.#nombre,
+            schema_version: this.#connection.version,
+            exported_at: new Date().toISOString(),
+            schema: Object.fromEntries(names.map((name) => [name, schema[name]])),
+            counts: {},
+        };
+
+        if (format === 'ndjson') {
+            for (let name of names) {
+                header.counts[name] = await this.count(name);
+            }
+            return this.#exportLines(header, names, batch);
+        }
+
+        let data = {};
+        if (names.length > 0) {
+            let tx = this.tx(names, this.TRANSACTION_MODE.lectura);
+            for (let name of names) {
+                data[name] = await tx.objectStore(name).getAll();
+                header.counts[name] = data[name].length;
+            }
+        }
+        return Dump.stringify(Object.assign(header, {data: data}));
+    }
+
+    /**
+     * Genero las líneas de un volcado ndjson, con una transacción por lote
+     * @param {Object} header
+     * @param {string[]} names
+     * @param {number} batch
+     * @returns {AsyncGenerator<string>}
+     */
+    async *#exportLines(header, names, batch) {
+
+        yield Dump.stringify(Object.assign({type: 'header'}, header)) + '\n';
+
+        for (let name of names) {
+            let after = null;
+            do {
+                let entries = await this.page(name, {after: after, limit: batch});
+                for (let entry of entries) {
+                    yield Dump.stringify({type: 'record', table: name, record: entry.value}) + '\n';
+                }
+                let last = entries[entries.length - 1];
+                after = entries.length === batch ? {key: last.key, primaryKey: last.primaryKey} : null;
+            } while (after !== null);
+        }
+    }
+
+    /**
+     * Importo un volcado generado con {@link DB#export} en transacciones de escritura de a lotes
+     * * merge: agrega las entradas y pisa las que tienen la misma clave
+     * * replace: vacía las tablas del volcado antes de importar
+     * Antes de escribir valido la cabecera completa: la versión del esquema, que la db posea cada tabla del volcado
+     * con la misma clave y, en un documento json, que cada tabla con entradas figure en su esquema.
+     * La importación no es atómica: cada lote se confirma por separado, si una entrada o una línea falla a mitad de
+     * camino las tablas quedan vaciadas(replace) o con parte de las entradas y se puede volver a importar. Con atomic
+     * el vaciado y todas las entradas se escriben en una única transacción que se deshace si algo falla, solo para
+     * volcados que ya están en memoria(un string o un objeto), ya que esperar a otra fuente cerraría la transacción.
+     * Ej: await db.import(json, {mode: 'replace', onProgress: ({imported, total}) => ...})
+     * @param {string|Object|Iterable|AsyncIterable} dump - documento json o ndjson(string o fuente de partes)
+     * @param {Object} [options]
+     * @param {'merge'|'replace'} [options.mode='merge']
+     * @param {number} [options.chunkSize=500] - entradas por escritura
+     * @param {function({table: string, imported: number, total: number}): void|null} [options.onProgress=null] -
+     * se llama luego de cada lote
+     * @param {boolean} [options.atomic=false] - importar todo en una única transacción
+     * @returns {Promise<{imported: number, tables: string[]}>}
+     * @throws {Error} - Revoleo un error si el modo no existe, si se pide atomic sobre una fuente de partes o si la
+     * cabecera no es válida para la db
+     */
+    async import(dump, {mode = 'merge', chunkSize = 500, onProgress = null, atomic = false} = {}) {
+
+        if (mode !== 'merge' && mode !== 'replace') {
+            throw new Error('El modo de importación ' + mode + ' no existe, usar merge o replace.');
+        }
+        if (atomic && typeof dump !== 'string' && (dump === null || typeof dump !== 'object' || Dump.isIterable(dump))) {
+            throw new Error('La importación atómica requiere el volcado completo en memoria, como string u objeto.');
+        }
+
+        await this.#ready();
+        let {header, records, tables} = await Dump.read(dump);
+        let version = this.#connection.version;
+        if (header.schema_version > version) {
+            throw new Error('El volcado pertenece a la versión ' + header.schema_version + ' del esquema y la db ' +
+                'conectada está en la versión ' + version + ', migrar la db antes de importarlo.');
+        }
+
+        let names = Object.keys(header.schema || {});
+        let unlisted = (tables || []).concat(Object.keys(header.counts || {})).filter((name) => !names.includes(name));
+        if (unlisted.length > 0) {
+            throw new Error('El volcado posee entradas de las tablas ' + [...new Set(unlisted)].join(', ') + ', que no figuran en su esquema.');
+        }
+        let missing = names.filter((name) => !this.#connection.objectStoreNames.contains(name));
+        if (missing.length > 0) {
+            throw new Error('La db no posee las tablas ' + missing.join(', ') + ' del volcado.');
+        }
+        let schema = await this.schema();
+        let changed = names.filter((name) => JSON.stringify(header.schema[name].keyPath) !== JSON.stringify(schema[name].keyPath));
+        if (changed.length > 0) {
+            throw new Error('Las tablas ' + changed.join(', ') + ' del volcado tienen otra clave que en la db.');
+        }
+
+        let total = Object.values(header.counts || {}).reduce((sum, count) => sum + count, 0);
+        let imported = 0;
+        let table = null;
+        let chunk = [];
+
+        let flush = async () => {
+            if (chunk.length === 0) {
+                return;
+            }
+            await this.putMany(table, chunk);
+            imported += chunk.length;
+            chunk = [];
+            if (onProgress !== null) {
+                onProgress({table: table, imported: imported, total: total});
+            }
+        };
+
+        let clear = async () => {
+            if (mode === 'replace') {
+                for (let name of names) {
+                    await this.clear(name);
+                }
+            }
+        };
+
+        let write = async () => {
+            for await (let entry of records) {
+                if (!names.includes(entry.table)) {
+                    throw new Error('La entrada del volcado pertenece a la tabla ' + entry.table + ', que no figura en su esquema.');
+                }
+                if (entry.table !== table) {
+                    await flush();
+                    table = entry.table;
+                }
+                chunk.push(entry.record);
+                if (chunk.length >= chunkSize) {
+                    await flush();
+                }
+            }
+            await flush();
+        };
+
+        if (names.length === 0) {
+            await write();
+        } else if (atomic) {
+            await this.transaction(names, this.TRANSACTION_MODE.escritura, async () => {
+                await clear();
+                await write();
+            });
+        } else {
+            if (mode === 'replace') {
+                await this.transaction(names, this.TRANSACTION_MODE.escritura, clear);
+            }
+            await write();
+        }
+
+        return {imported: imported, tables: names};
     }
 
     /**
@@ -110,8 +1004,7 @@ export class DB {
      */
     getAll(table) {
 
-        let tx = this.tx(table, this.TRANSACTION_MODE.lectura);
-        return tx.store.getAll();
+        return this.#run(() => this.#table(table, this.TRANSACTION_MODE.lectura).getAll());
     }
 
     /**
@@ -123,7 +1016,7 @@ export class DB {
      */
     getByIndex(table, index, key) {
 
-        return this.#connection.getFromIndex(table, index, key);
+        return this.#run(() => this.#table(table, this.TRANSACTION_MODE.lectura).index(index).get(key));
     }
 
     /**
@@ -135,7 +1028,23 @@ export class DB {
      */
     getAllFromIndex(table, index, key) {
 
-        return this.#connection.getAllFromIndex(table, index, key);
+        return this.#run(() => this.#table(table, this.TRANSACTION_MODE.lectura).index(index).getAll(key));
+    }
+
+    /**
+     * Obtengo TODAS las entradas en una tabla dada que posean alguna de las claves dadas en un indice dado, todas
+     * las consultas se hacen en una única transacción
+     * @param {string} table - tabla desde la cual obtener entradas
+     * @param {string} index - indice desde el cual consulto las claves
+     * @param {Array<string|number>} keys - claves de las entradas
+     * @returns {Promise<*[]>}
+     */
+    async getAllFromIndexKeys(table, index, keys) {
+
+        await this.#ready();
+        let store = this.#table(table, this.TRANSACTION_MODE.lectura);
+        let results = await Promise.all(keys.map((key) => store.index(index).getAll(key)));
+        return results.flat();
     }
 
     /**
@@ -147,8 +1056,123 @@ export class DB {
      */
     getAllFromIndexCursor(table, index, extreme = DB.EXTREMOS.siguiente) {
 
-        let tx = this.tx(table, this.TRANSACTION_MODE.lectura);
-        return tx.store.index(index).openCursor(null, extreme);
+        return this.#run(() => this.#table(table, this.TRANSACTION_MODE.lectura).index(index).openCursor(null, extreme));
+    }
+
+    /**
+     * Recorro con un cursor las entradas de una tabla y me quedo con las que pasen el filtro dado
+     * @param {string} table - tabla desde la cual obtener entradas
+     * @param {Object} [options]
+     * @param {string|null} [options.index=null] - indice a recorrer, si es nulo se recorre la tabla por su clave
+     * @param {IDBKeyRange|null} [options.range=null] - rango de claves a recorrer
+     * @param {IDBCursorDirection} [options.direction=DB.EXTREMOS.siguiente] - hacia donde apunta el cursor
+     * @param {function(*): boolean|null} [options.filter=null] - filtro que se aplica en memoria a cada entrada
+     * @param {number} [options.offset=0] - cantidad de entradas a omitir
+     * @param {number} [options.limit=Infinity] - cantidad máxima de entradas a obtener
+     * @returns {Promise<*[]>}
+     */
+    async select(table, {index = null, range = null, direction = DB.EXTREMOS.siguiente, filter = null, offset = 0, limit = Infinity} = {}) {
+
+        await this.#ready();
+        let store = this.#table(table, this.TRANSACTION_MODE.lectura);
+        let source = index !== null ? store.index(index) : store;
+        let cursor = await source.openCursor(range, direction);
+        let results = [];
+
+        // Sin filtro puedo saltear el offset directamente con el cursor
+        if (cursor && filter === null && offset > 0) {
+            cursor = await cursor.advance(offset);
+            offset = 0;
+        }
+
+        while (cursor && results.length < limit) {
+            if (filter === null || filter(cursor.value)) {
+                if (offset > 0) {
+                    offset--;
+                } else {
+                    results.push(cursor.value);
+                }
+            }
+            cursor = await cursor.continue();
+        }
+        return results;
+    }
+
+    /**
+     * Recorro con un cursor las entradas de una tabla acumulando las que pasen el filtro dado, sin guardarlas en
+     * memoria, ej: para calcular agregaciones
+     * @param {string} table - tabla a recorrer
+     * @param {function(*, *): *} fn - recibe el acumulado y la entrada, retorna el nuevo acumulado
+     * @param {*} initial - valor inicial del acumulado
+     * @param {Object} [options]
+     * @param {string|null} [options.index=null] - indice a recorrer, si es nulo se recorre la tabla por su clave
+     * @param {IDBKeyRange|null} [options.range=null] - rango de claves a recorrer
+     * @param {function(*): boolean|null} [options.filter=null] - filtro que se aplica en memoria a cada entrada
+     * @returns {Promise<*>}
+     */
+    async reduce(table, fn, initial, {index = null, range = null, filter = null} = {}) {
+
+        await this.#ready();
+        let store = this.#table(table, this.TRANSACTION_MODE.lectura);
+        let source = index !== null ? store.index(index) : store;
+        let cursor = await source.openCursor(range);
+        let accumulator = initial;
+
+        while (cursor) {
+            if (filter === null || filter(cursor.value)) {
+                accumulator = fn(accumulator, cursor.value);
+            }
+            cursor = await cursor.continue();
+        }
+        return accumulator;
+    }
+
+    /**
+     * Obtengo con un cursor las entradas siguientes a una posición dada(paginación por clave), con su clave y su
+     * clave primaria, para poder retomar el recorrido desde la última en otra transacción
+     * @param {string} table - tabla desde la cual obtener entradas
+     * @param {Object} [options]
+     * @param {string|null} [options.index=null] - indice a recorrer, si es nulo se recorre la tabla por su clave
+     * @param {IDBCursorDirection} [options.direction=DB.EXTREMOS.siguiente] - hacia donde apunta el cursor
+     * @param {{key: *, primaryKey: *}|null} [options.after=null] - posición desde la cual continuar, sin incluirla
+     * @param {function(*): boolean|null} [options.filter=null] - filtro que se aplica en memoria a cada entrada
+     * @param {number} [options.limit=Infinity] - cantidad máxima de entradas a obtener
+     * @returns {Promise<{key: *, primaryKey: *, value: *}[]>}
+     */
+    async page(table, {index = null, direction = DB.EXTREMOS.siguiente, after = null, filter = null, limit = Infinity} = {}) {
+
+        await this.#ready();
+        let store = this.#table(table, this.TRANSACTION_MODE.lectura);
+        let source = index !== null ? store.index(index) : store;
+        let forward = direction === DB.EXTREMOS.siguiente;
+        let range = null;
+
+        if (after !== null) {
+            // Sobre la tabla la clave es única, sobre un índice arranco en la clave y salto a la clave primaria
+            range = forward ? this.keyRange.lowerBound(after.key, index === null) : this.keyRange.upperBound(after.key, index === null);
+        }
+
+        let cursor = await source.openCursor(range, direction);
+
+        let adapter = this.#_adapter;
+        if (cursor && after !== null && index !== null && adapter.cmp(cursor.key, after.key) === 0) {
+            let order = adapter.cmp(cursor.primaryKey, after.primaryKey) * (forward ? 1 : -1);
+            if (order < 0) {
+                cursor = await cursor.continuePrimaryKey(after.key, after.primaryKey);
+            }
+            if (cursor && adapter.cmp(cursor.key, after.key) === 0 && adapter.cmp(cursor.primaryKey, after.primaryKey) === 0) {
+                cursor = await cursor.continue();
+            }
+        }
+
+        let results = [];
+        while (cursor && results.length < limit) {
+            if (filter === null || filter(cursor.value)) {
+                results.push({key: cursor.key, primaryKey: cursor.primaryKey, value: cursor.value});
+            }
+            cursor = await cursor.continue();
+        }
+        return results;
     }
 
     /**
@@ -174,13 +1198,19 @@ export class DB {
     }
 
     /**
-     * Obtengo cuantas entradas existen en cierta tabla
+     * Obtengo cuantas entradas existen en cierta tabla, opcionalmente en un rango de claves de un índice
      * @param {string} table - tabla desde la cual contar entradas
+     * @param {Object} [options]
+     * @param {string|null} [options.index=null] - indice sobre el que se aplica el rango, si es nulo la clave
+     * @param {IDBKeyRange|null} [options.range=null] - rango de claves a contar
      * @returns {Promise<*>} - esta es una promesa que retorna un numero, pero el ide se queja
      */
-    count(table) {
+    count(table, {index = null, range = null} = {}) {
 
-        return this.#connection.count(table);
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.lectura);
+            return (index !== null ? store.index(index) : store).count(range);
+        });
     }
 
     /**
@@ -192,7 +1222,7 @@ export class DB {
      */
     countFromIndex(table, index, key) {
 
-        return this.#connection.countFromIndex(table, index, key);
+        return this.#run(() => this.#table(table, this.TRANSACTION_MODE.lectura).index(index).count(key));
     }
 
     /**
@@ -201,7 +1231,11 @@ export class DB {
      */
     update(instance) {
 
-        return this.#connection.put(instance.table_name, instance);
+        return this.#run(() => {
+            let store = this.#table(instance.table_name, this.TRANSACTION_MODE.escritura);
+            this.#forgetRecords(store, [instance]);
+            return this.#commit(store, store.put(instance));
+        });
     }
 
     /**
@@ -210,7 +1244,47 @@ export class DB {
      */
     remove(instance) {
 
-        return this.#connection.delete(instance.table_name, instance.id);
+        return this.removeByKey(instance.table_name, instance.id);
+    }
+
+    /**
+     * Remuevo la entrada con la clave dada de una tabla dada
+     * @param {string} table
+     * @param {string|number} key
+     */
+    removeByKey(table, key) {
+
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            this.#forget(table, [key]);
+            return this.#commit(store, store.delete(key));
+        });
+    }
+
+    /**
+     * Actualizo o inserto un array de objetos de una tabla dada en una única transacción
+     * @param {string} table - tabla en la que se van a almacenar las instancias
+     * @param {Model[]} array - array de elementos a almacenar
+     */
+    putMany(table, array) {
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            this.#forgetRecords(store, array);
+            return this.#commit(store, Promise.all(array.map((e) => store.put(e))));
+        });
+    }
+
+    /**
+     * Remuevo las entradas con las claves dadas de una tabla dada en una única transacción
+     * @param {string} table
+     * @param {Array<string|number>} keys
+     */
+    removeMany(table, keys) {
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            this.#forget(table, keys);
+            return this.#commit(store, Promise.all(keys.map((key) => store.delete(key))));
+        });
     }
 
     /**
@@ -219,7 +1293,11 @@ export class DB {
      */
     clear(table) {
 
-        return this.#connection.clear(table);
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            this.#forget(table);
+            return this.#commit(store, store.clear());
+        });
     }
 
     /**
@@ -228,49 +1306,265 @@ export class DB {
      * @param {Model[]} array - array de elementos a almacenar
      */
     store(table, array) {
-        let tx = this.tx(table, this.TRANSACTION_MODE.escritura);
-        Promise.all(array.map(function (e) {
-            return tx.store.add(e);
-        }));
-        return tx.done;
+        return this.#run(() => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            this.#forgetRecords(store, array);
+            return this.#commit(store, Promise.all(array.map((e) => store.add(e))));
+        });
+    }
+
+    /**
+     * @typedef {Object} ResultadoLote
+     * @property {{index: number, key: *}[]} succeeded - posición y clave de cada entrada escrita, en orden
+     * @property {{index: number, error: Error}[]} failed - posición y error de cada entrada que falló
+     */
+
+    /**
+     * Actualizo o inserto entradas en una tabla de a lotes, con una transacción por lote. Si una entrada falla(ej:
+     * viola un índice único) no cancela a las demás, queda en los fallidos del resultado.
+     * Ej: await db.bulkPut('cats', records, {chunkSize: 1000, onProgress: ({processed, total}) => ...})
+     * @param {string} table
+     * @param {Object[]} records
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize=500] - entradas por transacción
+     * @param {function({table: string, processed: number, total: number, failed: number}): void|null} [options.onProgress=null] -
+     * se llama luego de cada lote
+     * @returns {Promise<ResultadoLote>}
+     */
+    bulkPut(table, records, options = {}) {
+        return this.#bulk(table, records, (store, record) => {
+            this.#forgetRecords(store, [record]);
+            return store.put(record);
+        }, options);
+    }
+
+    /**
+     * Remuevo entradas de una tabla dadas sus claves de a lotes, con una transacción por lote, ver {@link DB#bulkPut}
+     * @param {string} table
+     * @param {Array<string|number>} keys
+     * @param {Object} [options]
+     * @param {number} [options.chunkSize=500] - claves por transacción
+     * @param {function({table: string, processed: number, total: number, failed: number}): void|null} [options.onProgress=null] -
+     * se llama luego de cada lote
+     * @returns {Promise<ResultadoLote>}
+     */
+    bulkDelete(table, keys, options = {}) {
+        return this.#bulk(table, keys, (store, key) => {
+            this.#forget(table, [key]);
+            return store.delete(key).then(() => key);
+        }, options);
+    }
+
+    /**
+     * Escribo los elementos dados de a lotes. Una escritura que falla aborta la transacción de su lote, en ese caso
+     * vuelvo a escribir cada elemento del lote en su propia transacción para saber cuáles fallan.
+     * Dentro de una transacción compartida no se puede reintentar, el error aborta todo y se revolea.
+     * @param {string} table
+     * @param {Array} items
+     * @param {function(IDBObjectStore, *): Promise<*>} write - escribe un elemento y retorna su clave
+     * @param {{chunkSize?: number, onProgress?: function|null}} options
+     * @returns {Promise<ResultadoLote>}
+     */
+    async #bulk(table, items, write, {chunkSize = 500, onProgress = null} = {}) {
+
+        if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+            throw new Error('El tamaño de los lotes debe ser un entero mayor a 0, se recibió ' + chunkSize + '.');
+        }
+        await this.#ready();
+
+        let shared = this.#shared();
+        let joined = shared !== null && (this.#transactions.isolated || this.#covers(shared, [table], this.TRANSACTION_MODE.escritura));
+        let result = {succeeded: [], failed: []};
+        let chunkWrite = (chunk) => {
+            let store = this.#table(table, this.TRANSACTION_MODE.escritura);
+            return this.#commit(store, Promise.all(chunk.map((item) => write(store, item))));
+        };
+
+        for (let start = 0; start < items.length; start += chunkSize) {
+            let chunk = items.slice(start, start + chunkSize);
+            try {
+                let keys = await chunkWrite(chunk);
+                keys.forEach((key, i) => result.succeeded.push({index: start + i, key: key}));
+            } catch (e) {
+                if (joined) {
+                    throw e;
+                }
+                for (let i = 0; i < chunk.length; i++) {
+                    try {
+                        let [key] = await chunkWrite([chunk[i]]);
+                        result.succeeded.push({index: start + i, key: key});
+                    } catch (error) {
+                        result.failed.push({index: start + i, error: error});
+                    }
+                }
+            }
+            if (onProgress !== null) {
+                onProgress({table: table, processed: start + chunk.length, total: items.length, failed: result.failed.length});
+            }
+        }
+        return result;
     }
 
     /**
      * @param {string} nombre - Nombre de la db a la cual conectarse
-     * @param {number} [version=0] - Version inicial de la DB
+     * @param {number} [version=0] - Version inicial de la DB, la primera migración sin versión explícita será la
+     * siguiente
+     * @param {StorageAdapter} [adapter=new IndexedDBAdapter()] - adaptador de almacenamiento, ej: un
+     * {@link MemoryAdapter} para correr en node
      * @returns {DB}
      * @private
      */
-    constructor(nombre, version = 0) {
+    constructor(nombre, version = 0, adapter = new IndexedDBAdapter()) {
 
         if (typeof nombre !== 'undefined') {
             this.#nombre = nombre;
             this.#version = version;
+            this.#_adapter = adapter;
             return this;
         }
         throw new Error('Para instanciar una db necesito su nombre');
     }
 
     /**
-     * Me conecto a la base de datos
+     * Me conecto a la base de datos, si ya está conectada no hace nada y si se está conectando espera a esa apertura.
+     * Si la conexión se cerró se puede volver a llamar para reabrirla.
+     * Mientras está abierta:
+     * * si otra pestaña pide actualizar o eliminar la db se cierra sola para no bloquearla, emitiendo versionchange
+     * y close
+     * * si el navegador la cierra de forma anormal se reconecta sola, ver {@link DB.reconnection}, y las operaciones
+     * que se pidan mientras tanto esperan a la reconexión
      * @returns {Promise<void>}
+     * @throws {Error} - Revoleo un error si las migraciones son inválidas o si la db instalada posee una versión
+     * mayor a la de la última migración
      */
     async connect() {
 
         if (this.#migrations.length > 0) {
 
-            let db = this;
-            this.#connection = await idb.openDB(this.#nombre, this.#version, {
+            if (this.isConnected) {
+                return;
+            }
+            if (this.#state === DB.ESTADOS.conectando) {
+                return this.#opening;
+            }
+
+            this.#validateMigrations();
+
+            let previous = this.#state;
+            this.#state = DB.ESTADOS.conectando;
+            this.#opening = this.#open();
+            try {
+                await this.#opening;
+            } catch (e) {
+                this.#state = previous;
+                throw e;
+            }
+            this.#events.emit(DB.EVENTOS.abierta, {reconnected: false});
+            return;
+        }
+        throw new Error('No me asignaste ninguna migración.');
+    }
+
+    /**
+     * Abro la conexión corriendo las migraciones pendientes
+     * @returns {Promise<void>}
+     */
+    async #open() {
+
+        let db = this;
+        let failure = null;
+        let upgraded = null;
+        try {
+            this.#connection = await this.#_adapter.open(this.#nombre, this.#version, {
                 upgrade(database, old_version, new_version, transaction) {
-                    db.migrar(database, old_version, new_version, transaction);
+                    upgraded = {from: old_version, to: new_version};
+                    // Si una migración falla aborto la actualización, así la db queda en la versión anterior
+                    db.migrar(database, old_version, new_version, transaction).catch(function (e) {
+                        failure = e;
+                        transaction.abort();
+                    });
+                },
+                blocked(old_version, new_version) {
+                    db.#events.emit(DB.EVENTOS.bloqueada, {oldVersion: old_version, newVersion: new_version});
+                },
+                blocking(old_version, new_version) {
+                    // Cierro la conexión para no bloquear a la otra pestaña, la aplicación decide si recargar
+                    db.#events.emit(DB.EVENTOS.cambio_version, {oldVersion: old_version, newVersion: new_version});
+                    if (db.isConnected) {
+                        db.#close('versionchange');
+                    }
                 },
                 terminated() {
-                    window.dispatchEvent(new CustomEvent('db-destroyed', { bubbles: true, detail: 'DB destruida' }));
+                    db.#terminated();
                 }
             });
-            return;
+        } catch (e) {
+            if (e.name === 'VersionError') {
+                throw new Error('La db ' + this.#nombre + ' instalada posee una versión mayor a la de la última ' +
+                    'migración(' + this.#version + '), no se puede volver a una versión anterior.');
+            }
+            throw failure !== null ? failure : e;
+        }
+        this.#state = DB.ESTADOS.conectada;
+        // Al reconectar la db pudo cambiar, ej: otra pestaña la actualizó
+        this.#identityMaps().forEach((map) => map.clear());
+        if (upgraded !== null) {
+            await this.#runDeferred(upgraded.from, upgraded.to);
+        }
+    }
+
+    /**
+     * El navegador cerró la conexión de forma anormal(ej: se borraron los datos del sitio), aviso y reconecto
+     */
+    #terminated() {
+
+        this.#state = DB.ESTADOS.conectando;
+        this.#events.emit(DB.EVENTOS.terminada);
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent('db-destroyed', { bubbles: true, detail: 'DB destruida' }));
+        }
+
+        this.#opening = this.#reconnect();
+        // Las operaciones encoladas reciben el error, no lo reporto como promesa rechazada sin manejar
+        this.#opening.catch(() => {});
+    }
+
+    /**
+     * Intento reabrir la conexión, si no lo logro la dejo cerrada y emito el error
+     * @returns {Promise<void>}
+     */
+    async #reconnect() {
+
+        let {attempts, delay} = DB.reconnection;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this.#open();
+                this.#events.emit(DB.EVENTOS.abierta, {reconnected: true});
+                return;
+            } catch (e) {
+                if (attempt >= attempts) {
+                    this.#state = DB.ESTADOS.cerrada;
+                    this.#events.emit(DB.EVENTOS.error, e);
+                    throw e;
+                }
+                await new Promise((resolve) => setTimeout(resolve, delay * 2 ** (attempt - 1)));
+            }
+        }
+    }
+
+    /**
+     * Corro las tareas de las migraciones aplicadas que no pueden correr dentro de la transacción de la
+     * actualización, ej: {@link MigrationVersion#reencrypt}
+     * @param {number} old_version
+     * @param {number} new_version
+     * @returns {Promise<void>}
+     */
+    async #runDeferred(old_version, new_version) {
+        for (let migration of this.#sortedMigrations()) {
+            if (old_version < migration.version && migration.version <= new_version) {
+                await migration.runDeferred(this);
+            }
         }
-        throw new Error('No me asignaste ninguna migración.');
     }
 
     /**
@@ -279,12 +1573,13 @@ export class DB {
      * @param {number} old_version
      * @param {number} new_version
      * @param {IDBTransaction} transaction
+     * @returns {Promise<void>}
      */
-    migrar(db, old_version, new_version, transaction) {
-        for (let migration of this.#migrations) {
+    async migrar(db, old_version, new_version, transaction) {
+        for (let migration of this.#sortedMigrations()) {
 
-            if (old_version < migration.version - 1) {
-                migration.run(db, transaction);
+            if (old_version < migration.version && migration.version <= new_version) {
+                await migration.run(db, transaction);
             }
         }
     }
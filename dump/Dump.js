@@ -0,0 +1,148 @@
+/**
+ * Formato de los volcados de {@link DB#export} y {@link DB#import}:
+ * * json: un único documento {format, version, db, schema_version, exported_at, schema, counts, data: {tabla: [...]}}
+ * * ndjson: una línea de cabecera {type: 'header', ...} seguida de una línea {type: 'record', table, record} por
+ * entrada, para poder generarlo y leerlo de a partes
+ * Las fechas se guardan como {"$date": "iso"} para restaurarlas como fechas.
+ */
+export class Dump {
+
+    // Identificador del formato
+    static FORMAT = 'ormi';
+
+    // Versión del formato del volcado, no confundir con la versión del esquema de la db
+    static VERSION = 1;
+
+    /**
+     * Serializo un valor a json conservando las fechas
+     * @param {*} value
+     * @returns {string}
+     */
+    static stringify(value) {
+        return JSON.stringify(value, function (key, serialized) {
+            // this[key] es el valor original, antes de que Date.toJSON lo convierta en string
+            let original = this[key];
+            return original instanceof Date ? {$date: original.toISOString()} : serialized;
+        });
+    }
+
+    /**
+     * Parseo un json generado con stringify
+     * @param {string} text
+     * @returns {*}
+     */
+    static parse(text) {
+        return JSON.parse(text, function (key, value) {
+            if (value !== null && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+                return new Date(value.$date);
+            }
+            return value;
+        });
+    }
+
+    /**
+     * Recorro las líneas no vacías de un texto o de una fuente que lo entrega de a partes(strings o bytes), ej: el
+     * body de un fetch o un stream de archivo
+     * @param {string|Iterable<string|Uint8Array>|AsyncIterable<string|Uint8Array>} source
+     * @returns {AsyncGenerator<string>}
+     */
+    static async *lines(source) {
+
+        let decoder = new TextDecoder();
+        let buffer = '';
+
+        for await (let chunk of typeof source === 'string' ? [source] : source) {
+            buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, {stream: true});
+            let lines = buffer.split('\n');
+            buffer = lines.pop();
+            for (let line of lines) {
+                if (line.trim() !== '') {
+                    yield line;
+                }
+            }
+        }
+        if (buffer.trim() !== '') {
+            yield buffer;
+        }
+    }
+
+    /**
+     * Leo un volcado en cualquiera de sus formatos, obtengo su cabecera y sus entradas
+     * @param {string|Object|Iterable|AsyncIterable} dump - documento json(como string u objeto) o ndjson(como
+     * string o fuente de partes)
+     * @returns {Promise<{header: Object, records: AsyncGenerator<{table: string, record: Object}>, tables: string[]|null}>}
+     * - tables son las tablas con entradas del documento json, nulo en ndjson ya que se conocen al leerlo
+     * @throws {Error} - Revoleo un error si el volcado no tiene el formato esperado
+     */
+    static async read(dump) {
+
+        if (typeof dump === 'string' && dump.trimStart().startsWith('{')) {
+            // Un documento json completo o la primera línea de un ndjson
+            let document = null;
+            try {
+                document = Dump.parse(dump);
+            } catch (e) {
+                document = null;
+            }
+            if (document !== null && typeof document.data === 'object') {
+                dump = document;
+            }
+        }
+
+        if (dump !== null && typeof dump === 'object' && typeof dump.data === 'object' && !Dump.isIterable(dump)) {
+            let {data, ...header} = dump;
+            Dump.assertHeader(header);
+            let records = (async function* () {
+                for (let [table, entries] of Object.entries(data)) {
+                    for (let record of entries) {
+                        yield {table: table, record: record};
+                    }
+                }
+            })();
+            return {header: header, records: records, tables: Object.keys(data)};
+        }
+
+        if (typeof dump !== 'string' && !Dump.isIterable(dump)) {
+            throw new Error('El volcado debe ser un documento json o un ndjson.');
+        }
+
+        let lines = Dump.lines(dump)[Symbol.asyncIterator]();
+        let first = await lines.next();
+        let header = first.done ? {} : Dump.parse(first.value);
+        if (header.type !== 'header') {
+            throw new Error('El volcado ndjson debe comenzar con una línea de cabecera.');
+        }
+        Dump.assertHeader(header);
+
+        let records = (async function* () {
+            for (let line = await lines.next(); !line.done; line = await lines.next()) {
+                let entry = Dump.parse(line.value);
+                yield {table: entry.table, record: entry.record};
+            }
+        })();
+        return {header: header, records: records, tables: null};
+    }
+
+    /**
+     * Verifico que la cabecera de un volcado sea de este formato y de una versión soportada
+     * @param {Object} header
+     * @throws {Error}
+     */
+    static assertHeader(header) {
+        if (header.format !== Dump.FORMAT) {
+            throw new Error('El volcado no tiene el formato ' + Dump.FORMAT + '.');
+        }
+        if (!(header.version <= Dump.VERSION)) {
+            throw new Error('El volcado tiene la versión ' + header.version + ' del formato y solo se soporta hasta la ' + Dump.VERSION + '.');
+        }
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isIterable(value) {
+        return value !== null && typeof value === 'object' &&
+            (typeof value[Symbol.iterator] === 'function' || typeof value[Symbol.asyncIterator] === 'function');
+    }
+}
@@ -0,0 +1,295 @@
+import {Dump} from "../dump/Dump.js";
+
+/**
+ * Paso bytes a base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encode(bytes) {
+    return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+}
+
+/**
+ * Paso base64 a bytes
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function decode(text) {
+    return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Proveedor de las claves de cifrado, cada clave tiene un identificador que se guarda junto a cada valor cifrado,
+ * así los valores cifrados con claves anteriores se siguen pudiendo descifrar después de rotar la clave actual.
+ * Se puede extender para obtener las claves de otro lado, ej: derivarlas de una contraseña o pedirlas al servidor.
+ */
+export class KeyProvider {
+
+    /**
+     * Obtengo la clave con la que se cifran los valores nuevos
+     * @returns {Promise<{id: string, key: CryptoKey}>}
+     */
+    async current() {
+        throw new Error('El proveedor de claves debe implementar current.');
+    }
+
+    /**
+     * Obtengo una clave dado su identificador
+     * @param {string} id
+     * @returns {Promise<CryptoKey>}
+     */
+    async get(id) {
+        throw new Error('El proveedor de claves debe implementar get.');
+    }
+}
+
+/**
+ * Proveedor con las claves en memoria, cada clave puede ser una CryptoKey AES-GCM o sus bytes(16, 24 o 32)
+ * Ej: Encryption.use(new StaticKeyProvider({v1: bytes}));
+ */
+export class StaticKeyProvider extends KeyProvider {
+
+    /** @type {Map<string, CryptoKey|BufferSource>} */
+    #keys = new Map();
+    /** @type {string|null} */
+    #current = null;
+
+    /**
+     * @param {Object<string, CryptoKey|BufferSource>} [keys={}] - claves por identificador
+     * @param {string} [current] - clave actual, por default la primera
+     */
+    constructor(keys = {}, current) {
+        super();
+        for (let [id, key] of Object.entries(keys)) {
+            this.add(id, key);
+        }
+        if (typeof current !== 'undefined') {
+            this.use(current);
+        }
+    }
+
+    /**
+     * Agrego una clave, si es la primera pasa a ser la actual
+     * @param {string} id
+     * @param {CryptoKey|BufferSource} key
+     * @returns {StaticKeyProvider}
+     */
+    add(id, key) {
+        this.#keys.set(id, key);
+        if (this.#current === null) {
+            this.#current = id;
+        }
+        return this;
+    }
+
+    /**
+     * Roto la clave actual, los valores nuevos se cifran con la clave dada
+     * @param {string} id
+     * @returns {StaticKeyProvider}
+     * @throws {Error} - Revoleo un error si la clave no existe
+     */
+    use(id) {
+        if (!this.#keys.has(id)) {
+            throw new Error('No existe la clave de cifrado ' + id + '.');
+        }
+        this.#current = id;
+        return this;
+    }
+
+    async current() {
+        if (this.#current === null) {
+            throw new Error('El proveedor no posee ninguna clave de cifrado.');
+        }
+        return {id: this.#current, key: await this.get(this.#current)};
+    }
+
+    async get(id) {
+        let key = this.#keys.get(id);
+        if (typeof key === 'undefined') {
+            throw new Error('No existe la clave de cifrado ' + id + '.');
+        }
+        if (!(key instanceof CryptoKey)) {
+            key = await Encryption.importKey(key);
+            this.#keys.set(id, key);
+        }
+        return key;
+    }
+}
+
+/**
+ * Cifrado de los campos declarados en la propiedad estática encrypted de cada modelo, con AES-GCM a través de Web
+ * Crypto. Cada valor se guarda como {key, iv, data}: el identificador de la clave, el vector de inicialización y el
+ * valor serializado en JSON y cifrado, ambos en base64. Las fechas se serializan como en {@link Dump} para descifrarlas
+ * como fechas, también dentro de los campos json o en los modelos sin esquema. Los valores nulos no se cifran y los
+ * valores que no están cifrados(ej: los guardados antes de declarar el campo) se leen tal cual.
+ */
+export class Encryption {
+
+    /** @type {KeyProvider|null} */
+    static #provider = null;
+
+    /**
+     * Configuro el proveedor de claves
+     * @param {KeyProvider} provider
+     */
+    static use(provider) {
+        Encryption.#provider = provider;
+    }
+
+    /**
+     * @returns {KeyProvider}
+     * @throws {Error} - Revoleo un error si no se configuró un proveedor
+     */
+    static get provider() {
+        if (Encryption.#provider === null) {
+            throw new Error('No se configuró un proveedor de claves de cifrado, ver Encryption.use.');
+        }
+        return Encryption.#provider;
+    }
+
+    /**
+     * Genero una clave AES-GCM nueva
+     * @param {number} [length=256]
+     * @returns {Promise<CryptoKey>}
+     */
+    static generateKey(length = 256) {
+        return crypto.subtle.generateKey({name: 'AES-GCM', length: length}, true, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Importo una clave AES-GCM desde sus bytes
+     * @param {BufferSource} bytes
+     * @returns {Promise<CryptoKey>}
+     */
+    static importKey(bytes) {
+        return crypto.subtle.importKey('raw', bytes, {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']);
+    }
+
+    /**
+     * Verifico si un valor almacenado está cifrado
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isEncrypted(value) {
+        return value !== null && typeof value === 'object' && typeof value.key === 'string' &&
+            typeof value.iv === 'string' && typeof value.data === 'string' && Object.keys(value).length === 3;
+    }
+
+    /**
+     * Cifro un valor con la clave actual
+     * @param {*} value
+     * @returns {Promise<{key: string, iv: string, data: string}|null>}
+     */
+    static async encrypt(value) {
+        if (value === null || typeof value === 'undefined') {
+            return null;
+        }
+        let {id, key} = await Encryption.provider.current();
+        let iv = crypto.getRandomValues(new Uint8Array(12));
+        let data = await crypto.subtle.encrypt({name: 'AES-GCM', iv: iv}, key, new TextEncoder().encode(Dump.stringify(value)));
+        return {key: id, iv: encode(iv), data: encode(new Uint8Array(data))};
+    }
+
+    /**
+     * Descifro un valor con la clave con la que se cifró, si no está cifrado lo devuelvo tal cual
+     * @param {*} value
+     * @returns {Promise<*>}
+     * @throws {Error} - Revoleo un error si el valor no se puede descifrar con su clave
+     */
+    static async decrypt(value) {
+        if (!Encryption.isEncrypted(value)) {
+            return value;
+        }
+        let key = await Encryption.provider.get(value.key);
+        let data;
+        try {
+            data = await crypto.subtle.decrypt({name: 'AES-GCM', iv: decode(value.iv)}, key, decode(value.data));
+        } catch (e) {
+            throw new Error('No se pudo descifrar un valor con la clave ' + value.key + ', la clave no es la correcta o el valor está dañado.');
+        }
+        return Dump.parse(new TextDecoder().decode(data));
+    }
+
+    /**
+     * Obtengo copias de los objetos dados con los campos cifrados de la clase, si la clase no cifra ningún campo
+     * devuelvo los mismos objetos. Las copias de instancias conservan su clase.
+     * @param {typeof Model} model
+     * @param {Object[]} objs
+     * @returns {Promise<Object[]>}
+     */
+    static async seal(model, objs) {
+        if (model.encrypted.length === 0) {
+            return objs;
+        }
+        let sealed = [];
+        for (let obj of objs) {
+            let copy = Object.assign(Object.create(Object.getPrototypeOf(obj)), obj);
+            for (let field of model.encrypted) {
+                let key = '_' + field;
+                if (key in copy && !Encryption.isEncrypted(copy[key])) {
+                    copy[key] = await Encryption.encrypt(copy[key]);
+                }
+            }
+            sealed.push(copy);
+        }
+        return sealed;
+    }
+
+    /**
+     * Obtengo una copia de una entrada cruda de la db con los campos cifrados de la clase descifrados
+     * @param {typeof Model} model
+     * @param {Object} record
+     * @returns {Promise<Object>}
+     */
+    static async open(model, record) {
+        if (model.encrypted.length === 0) {
+            return record;
+        }
+        let opened = Object.assign({}, record);
+        for (let field of model.encrypted) {
+            let key = '_' + field;
+            if (key in opened) {
+                opened[key] = await Encryption.decrypt(opened[key]);
+            }
+        }
+        return opened;
+    }
+
+    /**
+     * Vuelvo a cifrar con la clave actual los campos cifrados de una tabla que se cifraron con otra clave o que no
+     * están cifrados, de a lotes con una transacción por lote. Se puede volver a correr si se interrumpe, mientras
+     * tanto las claves anteriores deben seguir disponibles en el proveedor.
+     * @param {DB} db
+     * @param {typeof Model} model
+     * @param {Object} [options]
+     * @param {number} [options.batch=100] - cantidad de entradas por lote
+     * @returns {Promise<number>} - cantidad de entradas cifradas nuevamente
+     */
+    static async reencrypt(db, model, {batch = 100} = {}) {
+
+        let {id} = await Encryption.provider.current();
+        let stale = (record) => model.encrypted.some(function (field) {
+            let value = record['_' + field];
+            return value !== null && typeof value !== 'undefined' && (!Encryption.isEncrypted(value) || value.key !== id);
+        });
+
+        let count = 0;
+        let after = null;
+        while (true) {
+            let entries = await db.page(model.table_name, {after: after, limit: batch});
+            let records = [];
+            for (let entry of entries.filter((e) => stale(e.value))) {
+                records.push((await Encryption.seal(model, [await Encryption.open(model, entry.value)]))[0]);
+            }
+            if (records.length > 0) {
+                await db.putMany(model.table_name, records);
+                count += records.length;
+            }
+            if (entries.length < batch) {
+                return count;
+            }
+            let last = entries[entries.length - 1];
+            after = {key: last.key, primaryKey: last.primaryKey};
+        }
+    }
+}
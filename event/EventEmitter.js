@@ -0,0 +1,77 @@
+/**
+ * Emisor de eventos simple, lo usan los modelos para notificar cambios a la aplicación
+ * Ej: let off = Cat.on('saved', (cat) => ...); off();
+ */
+export class EventEmitter {
+
+    /** @type {Map<string, Set<function>>} */
+    #listeners = new Map();
+
+    /**
+     * Me suscribo a un evento
+     * @param {string} event - nombre del evento
+     * @param {function(...*): void} fn - función a ejecutar cada vez que se emita el evento
+     * @returns {function(): void} - función para desuscribirse
+     */
+    on(event, fn) {
+        if (!this.#listeners.has(event)) {
+            this.#listeners.set(event, new Set());
+        }
+        this.#listeners.get(event).add(fn);
+        return () => this.off(event, fn);
+    }
+
+    /**
+     * Me suscribo a un evento solo hasta que se emita por primera vez
+     * @param {string} event - nombre del evento
+     * @param {function(...*): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    once(event, fn) {
+        let off = this.on(event, function () {
+            off();
+            fn(...arguments);
+        });
+        return off;
+    }
+
+    /**
+     * Me desuscribo de un evento, si no se proporciona la función se quitan todas las suscripciones al mismo
+     * @param {string} event - nombre del evento
+     * @param {function} [fn]
+     */
+    off(event, fn) {
+        if (typeof fn === 'undefined') {
+            this.#listeners.delete(event);
+        } else if (this.#listeners.has(event)) {
+            this.#listeners.get(event).delete(fn);
+        }
+    }
+
+    /**
+     * Emito un evento, un error en una suscripción no impide que se ejecuten las demás
+     * @param {string} event - nombre del evento
+     * @param {...*} args - argumentos que reciben las suscripciones
+     */
+    emit(event, ...args) {
+        if (!this.#listeners.has(event)) {
+            return;
+        }
+        for (let fn of [...this.#listeners.get(event)]) {
+            try {
+                fn(...args);
+            } catch (e) {
+                console.error(e);
+            }
+        }
+    }
+
+    /**
+     * Verifico si un evento tiene suscripciones
+     * @param {string} event
+     * @returns {boolean}
+     */
+    hasListeners(event) {
+        return this.#listeners.has(event) && this.#listeners.get(event).size > 0;
+    }
+}
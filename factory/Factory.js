@@ -0,0 +1,304 @@
+import {MetaData, Model} from "../model/Model.js";
+import {Collection} from "../collection/Collection.js";
+import {BelongsTo, BelongsToMany, HasOne} from "../relation/Relation.js";
+
+/**
+ * Fábrica de instancias de un modelo registrado para pruebas y datos de ejemplo. Cada clase define una única vez
+ * sus atributos(valores fijos o generadores) y sus estados, y luego se arman las instancias encadenando la cantidad,
+ * los estados y las relaciones.
+ *
+ * Ej:
+ * Factory.define(Cat, {
+ *     name: ({sequence}) => 'Cat ' + sequence,
+ *     color: Factory.sequence('white', 'grey'),
+ *     owner_id: () => Owner.factory(),
+ * }, {black: {color: 'black'}});
+ *
+ * let cats = await Cat.factory().count(50).state('black').create();
+ */
+export class Factory {
+
+    /**
+     * Atributos y estados definidos por clase
+     * @type {Map<typeof Model, {attributes: Object|function(Object): Object, states: Object}>}
+     */
+    static #definitions = new Map();
+    /**
+     * Última secuencia usada por clase
+     * @type {Map<typeof Model, number>}
+     */
+    static #sequences = new Map();
+
+    /** @type {typeof Model} */
+    #model;
+    /** @type {number|null} */
+    #count = null;
+    /** @type {Array<string|Object|function(Object): Object>} */
+    #states = [];
+    /** @type {{relation: BelongsTo, parent: Model|Factory}[]} */
+    #parents = [];
+    /** @type {{relation: HasOne|BelongsToMany, factory: Factory}[]} */
+    #children = [];
+
+    /**
+     * @param {typeof Model} model
+     * @throws {Error} - Revoleo un error si la clase no tiene una factory definida
+     */
+    constructor(model) {
+        if (!Factory.#definitions.has(model)) {
+            throw new Error('La clase ' + model.class_name + ' no tiene una factory definida.');
+        }
+        this.#model = model;
+    }
+
+    /**
+     * Defino la factory de una clase registrada. Cada atributo puede ser un valor fijo o una función que recibe el
+     * contexto {sequence, index, attributes} con la secuencia de la clase, la posición dentro del lote y los atributos
+     * ya generados, y puede devolver una factory(o una instancia) de otro modelo para usar su clave.
+     * @param {typeof Model} model
+     * @param {Object|function(Object): Object} attributes - atributos o función que los devuelve
+     * @param {Object<string, Object|function(Object): Object>} [states={}] - estados por nombre, cada uno
+     * sobreescribe algunos atributos
+     * @throws {Error} - Revoleo un error si la clase no está registrada
+     */
+    static define(model, attributes, states = {}) {
+        if (MetaData.getClass(model.class_name) !== model) {
+            throw new Error('La clase ' + model.class_name + ' debe estar registrada para definir su factory.');
+        }
+        Factory.#definitions.set(model, {attributes: attributes, states: states});
+    }
+
+    /**
+     * Generador que recorre los valores dados de forma cíclica según la secuencia de la clase
+     * Ej: color: Factory.sequence('white', 'grey')
+     * @param {...*} values
+     * @returns {function(Object): *}
+     */
+    static sequence(...values) {
+        return ({sequence}) => values[(sequence - 1) % values.length];
+    }
+
+    /**
+     * Reinicio las secuencias de todas las clases
+     */
+    static resetSequences() {
+        Factory.#sequences.clear();
+    }
+
+    /**
+     * Cantidad de instancias a armar, sin cantidad se arma una única instancia
+     * @param {number} count
+     * @returns {Factory}
+     */
+    count(count) {
+        this.#count = count;
+        return this;
+    }
+
+    /**
+     * Aplico estados definidos(por nombre) o atributos sueltos(objeto o función que los devuelve), en orden
+     * @param {...(string|Object|function(Object): Object)} states
+     * @returns {Factory}
+     * @throws {Error} - Revoleo un error si algún estado no está definido
+     */
+    state(...states) {
+        let defined = Factory.#definitions.get(this.#model).states;
+        for (let state of states) {
+            if (typeof state === 'string' && !(state in defined)) {
+                throw new Error('La factory de ' + this.#model.class_name + ' no tiene el estado ' + state + '.');
+            }
+        }
+        this.#states.push(...states);
+        return this;
+    }
+
+    /**
+     * Las instancias pertenecen a un modelo padre, se completa la clave foránea de la relación belongsTo
+     * @param {Model|Factory} parent - instancia existente o factory que se crea una única vez para todo el lote
+     * @param {string} [relation] - nombre de la relación, por default la relación belongsTo con la clase del padre
+     * @returns {Factory}
+     */
+    for(parent, relation) {
+        let related = parent instanceof Factory ? parent.model : parent.constructor;
+        this.#parents.push({relation: this.#relation(related, relation, [BelongsTo]), parent: parent});
+        return this;
+    }
+
+    /**
+     * Creo junto a cada instancia los modelos relacionados de una relación hasOne, hasMany o belongsToMany
+     * @param {Factory} factory - factory de los modelos relacionados
+     * @param {string} [relation] - nombre de la relación, por default la relación con la clase de la factory
+     * @returns {Factory}
+     */
+    has(factory, relation) {
+        this.#children.push({relation: this.#relation(factory.model, relation, [HasOne, BelongsToMany]), factory: factory});
+        return this;
+    }
+
+    /**
+     * @returns {typeof Model}
+     */
+    get model() {
+        return this.#model;
+    }
+
+    /**
+     * Armo las instancias sin persistirlas, los atributos que dependen de otra factory quedan nulos ya que el
+     * modelo relacionado no se crea
+     * @param {Object} [attributes={}] - atributos que sobreescriben a los generados
+     * @returns {Model|Collection}
+     */
+    make(attributes = {}) {
+        let instances = this.#build(attributes).map((values) => {
+            for (let [name, value] of Object.entries(values)) {
+                if (value instanceof Factory) {
+                    values[name] = null;
+                } else if (value instanceof Model) {
+                    values[name] = value.id;
+                }
+            }
+            return this.#instantiate(values);
+        });
+        return this.#result(instances);
+    }
+
+    /**
+     * Armo las instancias y las persisto junto con sus modelos relacionados, a cada instancia se le asigna la
+     * clave generada
+     * @param {Object} [attributes={}] - atributos que sobreescriben a los generados
+     * @returns {Promise<Model|Collection>}
+     * @throws {ValidationError} - Rechazo si alguna instancia no cumple con las reglas de su clase
+     */
+    async create(attributes = {}) {
+
+        let parents = {};
+        for (let {relation, parent} of this.#parents) {
+            parents[relation.foreign_key] = parent instanceof Factory ? (await parent.#single()).id : parent.id;
+        }
+
+        let instances = [];
+        for (let values of this.#build(Object.assign(parents, attributes))) {
+            for (let [name, value] of Object.entries(values)) {
+                if (value instanceof Factory) {
+                    values[name] = (await value.#single()).id;
+                } else if (value instanceof Model) {
+                    values[name] = value.id;
+                }
+            }
+            instances.push(this.#instantiate(values));
+        }
+
+        if (instances.length > 0) {
+            await this.#model.store(instances);
+        }
+
+        for (let {relation, factory} of this.#children) {
+            for (let instance of instances) {
+                if (relation instanceof BelongsToMany) {
+                    for (let related of Factory.#array(await factory.create())) {
+                        await relation.attach(instance, related);
+                    }
+                } else {
+                    await factory.create({[relation.foreign_key]: instance.id});
+                }
+            }
+        }
+
+        return this.#result(instances);
+    }
+
+    /**
+     * Genero los atributos de cada instancia del lote
+     * @param {Object} overrides - atributos que sobreescriben a los generados
+     * @returns {Object[]}
+     */
+    #build(overrides) {
+        let definition = Factory.#definitions.get(this.#model);
+        let layers = [definition.attributes]
+            .concat(this.#states.map((state) => typeof state === 'string' ? definition.states[state] : state))
+            .concat([overrides]);
+
+        let all = [];
+        for (let index = 0; index < (this.#count ?? 1); index++) {
+            let sequence = (Factory.#sequences.get(this.#model) || 0) + 1;
+            Factory.#sequences.set(this.#model, sequence);
+
+            let context = {sequence: sequence, index: index, attributes: {}};
+            let generators = {};
+            for (let layer of layers) {
+                Object.assign(generators, typeof layer === 'function' ? layer(context) : layer);
+            }
+            for (let [name, generator] of Object.entries(generators)) {
+                context.attributes[name] = typeof generator === 'function' ? generator(context) : generator;
+            }
+            all.push(context.attributes);
+        }
+        return all;
+    }
+
+    /**
+     * Instancio la clase con los atributos generados, si no declara un esquema se copian tal cual
+     * @param {Object} attributes
+     * @returns {Model}
+     */
+    #instantiate(attributes) {
+        let record = {};
+        for (let [name, value] of Object.entries(attributes)) {
+            record['_' + name] = value;
+        }
+        let instance = new this.#model(record);
+        if (!this.#model.hasSchema()) {
+            Object.assign(instance, record);
+        }
+        return instance;
+    }
+
+    /**
+     * Sin cantidad devuelvo la única instancia, con cantidad una colección
+     * @param {Model[]} instances
+     * @returns {Model|Collection}
+     */
+    #result(instances) {
+        return this.#count === null ? instances[0] : new Collection(instances);
+    }
+
+    /**
+     * Creo una única instancia, ignorando la cantidad, para usarla como modelo relacionado
+     * @returns {Promise<Model>}
+     */
+    async #single() {
+        let count = this.#count;
+        this.#count = null;
+        try {
+            return await this.create();
+        } finally {
+            this.#count = count;
+        }
+    }
+
+    /**
+     * Busco la relación de la clase con el modelo dado
+     * @param {typeof Model} related
+     * @param {string|undefined} name - nombre de la relación, si no se da se busca por la clase relacionada
+     * @param {Function[]} types - tipos de relación aceptados
+     * @returns {Relation}
+     * @throws {Error} - Revoleo un error si no hay una relación del tipo esperado
+     */
+    #relation(related, name, types) {
+        let candidates = name ? [this.#model.getRelation(name)] : [...this.#model.relations.values()]
+            .filter((relation) => relation.related_name === related.class_name);
+        let relation = candidates.find((r) => types.some((type) => r instanceof type));
+        if (typeof relation === 'undefined') {
+            throw new Error('La clase ' + this.#model.class_name + ' no posee una relación ' + (name || 'con ' + related.class_name) + ' del tipo esperado.');
+        }
+        return relation;
+    }
+
+    /**
+     * @param {Model|Collection} result
+     * @returns {Model[]}
+     */
+    static #array(result) {
+        return result instanceof Collection ? result.elements : [result];
+    }
+}
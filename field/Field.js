@@ -0,0 +1,133 @@
+/**
+ * Campo declarado en el esquema de un modelo, sabe castear los valores a su tipo y obtener su valor por default.
+ *
+ * Ej:
+ * static fields = {
+ *     name: 'string',
+ *     age: {type: 'integer', default: 0},
+ *     status: {type: 'enum', values: ['active', 'inactive'], default: 'active'},
+ *     born: {type: 'date', default: () => new Date()},
+ * }
+ */
+export class Field {
+
+    /**
+     * @typedef {string} TYPES
+     */
+
+    /**
+     * Enum con los tipos de campo soportados
+     * @readonly
+     * @enum {TYPES}
+     */
+    static TYPES = Object.freeze({
+        string: 'string',
+        integer: 'integer',
+        float: 'float',
+        boolean: 'boolean',
+        date: 'date',
+        json: 'json',
+        enum: 'enum',
+    });
+
+    /** @type {string} */
+    name;
+    /** @type {TYPES} */
+    type;
+    /** @type {Array} */
+    values;
+    /** @type {*|function(): *} */
+    #default;
+
+    /**
+     * @param {string} name - nombre del campo
+     * @param {TYPES|{type: TYPES, default?: *, values?: Array}} definition - tipo del campo o su definición
+     * @throws {Error} - Revoleo un error si el tipo no es soportado o si un enum no declara sus valores
+     */
+    constructor(name, definition) {
+
+        if (typeof definition === 'string') {
+            definition = {type: definition};
+        }
+
+        if (!Object.values(Field.TYPES).includes(definition.type)) {
+            throw new Error('El campo ' + name + ' posee un tipo no soportado: ' + definition.type + '.');
+        }
+        if (definition.type === Field.TYPES.enum && !Array.isArray(definition.values)) {
+            throw new Error('El campo ' + name + ' es un enum y debe declarar sus valores posibles en values.');
+        }
+
+        this.name = name;
+        this.type = definition.type;
+        this.values = definition.values || [];
+        this.#default = typeof definition.default !== 'undefined' ? definition.default : null;
+    }
+
+    /**
+     * Propiedad con la que se almacena el campo en la db
+     * @returns {string}
+     */
+    get storage_key() {
+        return '_' + this.name;
+    }
+
+    /**
+     * Obtengo el valor por default del campo, si es una función la evalúo para cada instancia. Los objetos y arrays se
+     * copian, así las instancias no comparten un mismo valor
+     * @returns {*}
+     */
+    get default() {
+        return typeof this.#default === 'function' ? this.#default() : structuredClone(this.#default);
+    }
+
+    /**
+     * Casteo un valor al tipo del campo, los valores nulos se mantienen nulos. Los json se guardan tal cual, un texto
+     * es un valor json válido y no se parsea
+     * @param {*} value
+     * @returns {*}
+     * @throws {Error} - Revoleo un error si el valor no se puede castear al tipo del campo
+     */
+    cast(value) {
+
+        if (value === null || typeof value === 'undefined') {
+            return null;
+        }
+
+        let cast;
+        switch (this.type) {
+            case (Field.TYPES.string):
+                return String(value);
+            case (Field.TYPES.integer):
+            case (Field.TYPES.float):
+                // Number rechaza los textos con basura(ej: '12abc') que parseInt y parseFloat truncan
+                cast = typeof value === 'number' || (typeof value === 'string' && value.trim() !== '') ? Number(value) : NaN;
+                break;
+            case (Field.TYPES.boolean):
+                if (typeof value === 'string') {
+                    return !['', '0', 'false'].includes(value.trim().toLowerCase());
+                }
+                return Boolean(value);
+            case (Field.TYPES.date):
+                cast = value instanceof Date ? value : new Date(value);
+                if (isNaN(cast.getTime())) {
+                    throw new Error('El campo ' + this.name + ' espera una fecha y recibió ' + value + '.');
+                }
+                return cast;
+            case (Field.TYPES.json):
+                return value;
+            case (Field.TYPES.enum):
+                if (!this.values.includes(value)) {
+                    throw new Error('El campo ' + this.name + ' solo acepta los valores ' + this.values.join(', ') + '.');
+                }
+                return value;
+        }
+
+        if (this.type === Field.TYPES.integer && !Number.isInteger(cast)) {
+            throw new Error('El campo ' + this.name + ' espera un número entero y recibió ' + value + '.');
+        }
+        if (!Number.isFinite(cast)) {
+            throw new Error('El campo ' + this.name + ' espera un número y recibió ' + value + '.');
+        }
+        return cast;
+    }
+}
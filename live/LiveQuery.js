@@ -0,0 +1,113 @@
+import {Query} from "../query/Query.js";
+import {BelongsToMany} from "../relation/Relation.js";
+
+/**
+ * Consulta que vuelve a emitir su resultado cada vez que se escribe en alguna de sus tablas, tanto desde esta
+ * pestaña como desde otras(ver {@link DB#onChange}). Las tablas observadas son la del modelo, las de las relaciones
+ * que carga la consulta y las que se agreguen en las opciones.
+ *
+ * Ej:
+ * let subscription = Cat.live(Cat.query().where('color', 'black').with('owner')).subscribe((cats) => render(cats));
+ * subscription.unsubscribe();
+ */
+export class LiveQuery {
+
+    /** @type {typeof Model} */
+    #model;
+    /** @type {function(): Promise<*>} */
+    #run;
+    /** @type {string[]} */
+    #tables;
+
+    /**
+     * @param {typeof Model} model
+     * @param {Query|function(): Promise<*>|null} [query=null] - consulta a ejecutar, por default model.all()
+     * @param {Object} [options]
+     * @param {Array<typeof Model|string>} [options.tables=[]] - tablas adicionales a observar
+     */
+    constructor(model, query = null, {tables = []} = {}) {
+
+        this.#model = model;
+        this.#tables = [model.table_name].concat(tables.map((t) => typeof t === 'string' ? t : t.table_name));
+
+        if (query === null) {
+            this.#run = () => model.all();
+        } else if (query instanceof Query) {
+            this.#run = () => query.get();
+            for (let name of query.relations) {
+                let relation = model.getRelation(name);
+                this.#tables.push(relation.related.table_name);
+                if (relation instanceof BelongsToMany) {
+                    this.#tables.push(relation.pivot);
+                }
+            }
+        } else {
+            this.#run = query;
+        }
+    }
+
+    /**
+     * Tablas cuyos cambios vuelven a ejecutar la consulta
+     * @returns {string[]}
+     */
+    get tables() {
+        return [...this.#tables];
+    }
+
+    /**
+     * Me suscribo a los resultados de la consulta, recibo el resultado actual y luego uno nuevo con cada cambio. Si
+     * llegan varios cambios mientras se ejecuta la consulta se vuelve a ejecutar una única vez.
+     * @param {function(*): void|{next: function(*): void, error?: function(Error): void}} observer
+     * @returns {{unsubscribe: function(): void, closed: boolean}}
+     */
+    subscribe(observer) {
+
+        let next = typeof observer === 'function' ? observer : (value) => observer.next(value);
+        let error = typeof observer.error === 'function' ? (e) => observer.error(e) : (e) => console.error(e);
+        let tables = this.#tables;
+        let active = true;
+        let running = false;
+        let pending = false;
+
+        let refresh = async () => {
+            if (running) {
+                pending = true;
+                return;
+            }
+            running = true;
+            do {
+                pending = false;
+                try {
+                    let result = await this.#run();
+                    if (active) {
+                        next(result);
+                    }
+                } catch (e) {
+                    if (active) {
+                        error(e);
+                    }
+                }
+            } while (pending && active);
+            running = false;
+        };
+
+        let off = this.#model.db.onChange((change) => {
+            if (change.tables.some((table) => tables.includes(table))) {
+                refresh();
+            }
+        });
+        refresh();
+
+        return {
+            unsubscribe() {
+                if (active) {
+                    active = false;
+                    off();
+                }
+            },
+            get closed() {
+                return !active;
+            },
+        };
+    }
+}
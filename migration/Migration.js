@@ -1,16 +1,41 @@
-import {Model} from "../model/Model";
+import {Model} from "../model/Model.js";
+import {Encryption} from "../encryption/Encryption.js";
+import {Search} from "../search/Search.js";
+
+/**
+ * @typedef {Object} DefinicionIndice
+ * @property {string} [name] - nombre del índice, por default el campo o los campos unidos con _
+ * @property {string|string[]} keyPath - campo o campos(índice compuesto) que indexa
+ * @property {boolean} [unique=false] - no permite valores repetidos
+ * @property {boolean} [multiEntry=false] - si el campo es un array, indexa cada uno de sus elementos
+ */
 
 export class MigrationVersion {
 
     #TYPE_OF_TASK = Object.freeze({
         add_table: 'add_table',
-        remove_table: 'remove_index',
+        remove_table: 'remove_table',
+        rename_table: 'rename_table',
+        change_key: 'change_key',
         add_index: 'add_index',
         remove_index: 'remove_index',
+        transform: 'transform',
+        reencrypt: 'reencrypt',
     });
 
     #_tasks = [];
     _version;
+    _name;
+
+    /**
+     * @param {number} [version] - versión de la db a la que lleva la migración, si no se declara la asigna
+     * {@link DB#addMigration} según el orden en que se agregan
+     * @param {string} [name=''] - nombre descriptivo de la migración
+     */
+    constructor(version = undefined, name = '') {
+        this._version = version;
+        this._name = name;
+    }
 
     get #tasks() {
         return this.#_tasks;
@@ -24,18 +49,33 @@ export class MigrationVersion {
         this._version = value;
     }
 
+    /** @returns {string} */
+    get name() {
+        return this._name;
+    }
+
     /**
      * Agrego una nueva tabla con sus índices si los proporciona
      * @param {typeof Model|string} model
      * @param {string} [key='id']
      * @param {boolean} [autoincrement=true]
-     * @param {string[]} [indexes=[]]
+     * @param {Array<string|DefinicionIndice>} [indexes=[]]
+     * @throws {Error} - Revoleo un error si la clave o algún índice es un campo cifrado del modelo
      */
     addTable(model, key = 'id', autoincrement = true, indexes = []) {
 
         if (model.prototype instanceof Model) {
-            model.indexes = indexes;
+            MigrationVersion.assertIndexable(model, [key].concat(indexes));
+            if (model.searchable.length > 0 && !indexes.some((i) => MigrationVersion.indexName(i) === Search.INDEX.name)) {
+                MigrationVersion.assertSearchable(model);
+                indexes = indexes.concat([Search.INDEX]);
+            }
+            // Conservo los índices que la clase declare por su cuenta, ver SchemaDiff
+            let names = indexes.map(MigrationVersion.indexName);
+            model.indexes = model.indexes.filter((i) => !names.includes(i)).concat(names);
+            model.index_definitions = Object.assign({}, model.index_definitions, MigrationVersion.indexDefinitions(indexes));
             model.key = key;
+            model.autoincrement = autoincrement;
         }
 
         let task = {};
@@ -53,11 +93,15 @@ export class MigrationVersion {
     /**
      * Agrego indices a una tabla ya existente
      * @param {typeof Model|string} model
-     * @param {string[]} [indexes=[]]
+     * @param {Array<string|DefinicionIndice>} [indexes=[]]
+     * @throws {Error} - Revoleo un error si algún índice es un campo cifrado del modelo
      */
     addIndexes(model, indexes = []) {
         if (model.prototype instanceof Model) {
-            model.indexes = model.indexes.concat(indexes);
+            MigrationVersion.assertIndexable(model, indexes);
+            let names = indexes.map(MigrationVersion.indexName);
+            model.indexes = model.indexes.filter((i) => !names.includes(i)).concat(names);
+            model.index_definitions = Object.assign({}, model.index_definitions, MigrationVersion.indexDefinitions(indexes));
         }
 
         let task = {};
@@ -76,7 +120,8 @@ export class MigrationVersion {
      */
     removeIndexes(model, indexes = []) {
         if (model.prototype instanceof Model) {
-            model.indexes = model.indexes.filter(i => !indexes.includes(i));
+            let names = indexes.map(MigrationVersion.indexName);
+            model.indexes = model.indexes.filter(i => !names.includes(i));
         }
 
         let task = {};
@@ -88,6 +133,172 @@ export class MigrationVersion {
         this.#_tasks.push(task);
     }
 
+    /**
+     * Quito una tabla y todas sus entradas
+     * @param {typeof Model|string} model
+     */
+    removeTable(model) {
+
+        let task = {};
+
+        task.type = this.#TYPE_OF_TASK.remove_table;
+        task.table = MigrationVersion.getTable(model);
+
+        this.#_tasks.push(task);
+    }
+
+    /**
+     * Renombro una tabla, como IndexedDB no permite renombrar se crea la nueva tabla con la misma clave e índices,
+     * se copian todas las entradas y se quita la tabla original
+     * @param {typeof Model|string} from - tabla actual
+     * @param {typeof Model|string} to - nuevo nombre
+     */
+    renameTable(from, to) {
+
+        let task = {};
+
+        task.type = this.#TYPE_OF_TASK.rename_table;
+        task.table = MigrationVersion.getTable(from);
+        task.to = MigrationVersion.getTable(to);
+
+        this.#_tasks.push(task);
+    }
+
+    /**
+     * Cambio la clave de una tabla existente, como IndexedDB no permite modificarla se copia la tabla a una tabla
+     * temporal con la nueva clave y luego se vuelve a copiar a la original. Las entradas deben poseer la nueva clave,
+     * salvo que sea autoincremental.
+     * @param {typeof Model|string} model
+     * @param {string} [key='id']
+     * @param {boolean} [autoincrement=true]
+     */
+    changeKey(model, key = 'id', autoincrement = true) {
+
+        if (model.prototype instanceof Model) {
+            model.key = key;
+            model.autoincrement = autoincrement;
+        }
+
+        let task = {};
+
+        task.type = this.#TYPE_OF_TASK.change_key;
+        task.table = MigrationVersion.getTable(model);
+        task.key = key;
+        task.autoincrement = autoincrement;
+
+        this.#_tasks.push(task);
+    }
+
+    /**
+     * Recorro todas las entradas de una tabla dentro de la transacción de la migración para modificarlas, la
+     * función recibe cada entrada cruda(con las propiedades _campo) y puede:
+     * * modificarla y no retornar nada, se guarda la entrada modificada
+     * * retornar un nuevo objeto, que reemplaza a la entrada
+     * * retornar null, la entrada se quita
+     *
+     * La función debe ser sincrónica, esperar una promesa haría que IndexedDB cierre la transacción de la migración.
+     * @param {typeof Model|string} model
+     * @param {function(Object): (Object|null|void)} fn
+     */
+    transform(model, fn) {
+
+        let task = {};
+
+        task.type = this.#TYPE_OF_TASK.transform;
+        task.table = MigrationVersion.getTable(model);
+        task.fn = fn;
+
+        this.#_tasks.push(task);
+    }
+
+    /**
+     * Agrego a una tabla existente el índice de búsqueda de texto de un modelo y completo los tokens de las entradas
+     * que ya tiene, ver {@link Search}. Las tablas nuevas de modelos con campos buscables lo incluyen al agregarlas.
+     * @param {typeof Model} model
+     * @throws {Error} - Revoleo un error si el modelo no declara campos buscables o alguno está cifrado
+     */
+    addSearchIndex(model) {
+        MigrationVersion.assertSearchable(model);
+        this.addIndexes(model, [Search.INDEX]);
+        this.transform(model, function (record) {
+            record['_' + Search.INDEX.name] = Search.tokens(model, record);
+        });
+    }
+
+    /**
+     * Vuelvo a cifrar con la clave actual del proveedor de {@link Encryption} los campos cifrados de un modelo, por
+     * ejemplo después de rotar la clave o de declarar campos cifrados que ya tienen valores. Como Web Crypto es
+     * asincrónico no puede correr dentro de la transacción de la migración, se corre de a lotes al terminar la
+     * actualización(ver {@link Encryption.reencrypt}).
+     * @param {typeof Model} model
+     * @throws {Error} - Revoleo un error si el modelo no cifra ningún campo
+     */
+    reencrypt(model) {
+
+        if (!(model.prototype instanceof Model) || model.encrypted.length === 0) {
+            throw new Error('Solo se pueden volver a cifrar modelos que declaren campos cifrados.');
+        }
+
+        let task = {};
+
+        task.type = this.#TYPE_OF_TASK.reencrypt;
+        task.table = model.table_name;
+        task.model = model;
+
+        this.#_tasks.push(task);
+    }
+
+    /**
+     * Agrego los índices que necesitan las relaciones declaradas por un modelo para poder resolverse, ya sea en su
+     * propia tabla(belongsTo) o en la tabla relacionada(hasOne, hasMany). Se omiten los índices que ya existen.
+     * @param {typeof Model} model
+     */
+    addRelationIndexes(model) {
+
+        let pending = new Map();
+
+        for (let relation of model.relations.values()) {
+            for (let required of relation.requiredIndexes()) {
+                let table = MigrationVersion.getTable(required.model);
+                if (!pending.has(table)) {
+                    pending.set(table, {model: required.model, indexes: []});
+                }
+                let entry = pending.get(table);
+                for (let index of required.indexes) {
+                    if (!entry.model.isIndexed(index) && !entry.indexes.includes(index)) {
+                        entry.indexes.push(index);
+                    }
+                }
+            }
+        }
+
+        for (let entry of pending.values()) {
+            if (entry.indexes.length > 0) {
+                this.addIndexes(entry.model, entry.indexes);
+            }
+        }
+    }
+
+    /**
+     * Agrego una tabla pivot para una relación muchos a muchos, con un índice para cada clave foránea
+     * @param {string} pivot - nombre de la tabla pivot
+     * @param {string} foreign_key - campo con la clave de un modelo
+     * @param {string} related_key - campo con la clave del otro modelo
+     * @param {string} [key='id'] - clave autoincremental de la tabla, las relaciones la leen de la db
+     */
+    addPivotTable(pivot, foreign_key, related_key, key = 'id') {
+        this.addTable(pivot, key, true, [foreign_key, related_key]);
+    }
+
+    /**
+     * Agrego las tablas que utiliza {@link SyncEngine}: la cola de cambios pendientes y los cursores de cada tabla
+     * @param {string} [outbox='outbox'] - nombre de la tabla de la cola, los cursores se guardan en <outbox>_cursors
+     */
+    addSyncTables(outbox = 'outbox') {
+        this.addTable(outbox, 'id', true, [{name: 'table_key', keyPath: ['table', 'key']}]);
+        this.addTable(outbox + '_cursors', 'table', false, []);
+    }
+
     /**
      *
      * @param {typeof Model|string} model
@@ -102,11 +313,260 @@ export class MigrationVersion {
     }
 
     /**
-     * Corro todas las tareas de la version
+     * Obtengo el nombre de un índice a partir de su definición
+     * @param {string|DefinicionIndice} definition
+     * @returns {string}
+     */
+    static indexName(definition) {
+        if (typeof definition === 'string') {
+            return definition;
+        }
+        return definition.name || [].concat(definition.keyPath).join('_');
+    }
+
+    /**
+     * Verifico que ningún índice incluya un campo cifrado del modelo, ya que no se pueden consultar
+     * @param {typeof Model} model
+     * @param {Array<string|DefinicionIndice>} indexes
+     * @throws {Error}
+     */
+    static assertIndexable(model, indexes) {
+        for (let index of indexes) {
+            let fields = [].concat(typeof index === 'string' ? index : index.keyPath);
+            let encrypted = fields.find((field) => model.encrypted.includes(field));
+            if (typeof encrypted !== 'undefined') {
+                throw new Error('El campo ' + encrypted + ' de ' + model.class_name + ' se guarda cifrado, no se puede indexar.');
+            }
+        }
+    }
+
+    /**
+     * Verifico que un modelo declare campos buscables y que ninguno esté cifrado, sus tokens lo revelarían
+     * @param {typeof Model} model
+     * @throws {Error}
+     */
+    static assertSearchable(model) {
+        if (!(model.prototype instanceof Model) || model.searchable.length === 0) {
+            throw new Error('Solo se pueden indexar para búsqueda modelos que declaren campos buscables.');
+        }
+        let encrypted = model.searchable.find((field) => model.encrypted.includes(field));
+        if (typeof encrypted !== 'undefined') {
+            throw new Error('El campo ' + encrypted + ' de ' + model.class_name + ' se guarda cifrado, no se puede buscar.');
+        }
+    }
+
+    /**
+     * Mapeo las definiciones de índices que no son simples(con opciones o compuestos) con su nombre
+     * @param {Array<string|DefinicionIndice>} indexes
+     * @returns {Object<string, DefinicionIndice>}
+     */
+    static indexDefinitions(indexes) {
+        let definitions = {};
+        for (let index of indexes) {
+            if (typeof index !== 'string') {
+                definitions[MigrationVersion.indexName(index)] = index;
+            }
+        }
+        return definitions;
+    }
+
+    /**
+     * Creo un índice en una tabla, los campos se indexan por la propiedad con la que se almacenan(_campo)
+     * @param {IDBObjectStore} table
+     * @param {string|DefinicionIndice} definition
+     */
+    static createIndex(table, definition) {
+
+        let index = MigrationVersion.describeIndex(definition);
+        table.createIndex(index.index, index.keyPath, {unique: index.unique, multiEntry: index.multiEntry});
+    }
+
+    /**
+     * Copio una tabla con su clave, sus índices y sus entradas a una nueva tabla y quito la original
      * @param {IDBDatabase} db
      * @param {IDBTransaction} transaction
+     * @param {string} from
+     * @param {string} to
+     * @param {{keyPath?: string, autoIncrement?: boolean}} [options={}] - clave de la nueva tabla, por default la
+     * misma que la original
+     * @returns {Promise<void>}
+     */
+    static async moveTable(db, transaction, from, to, options = {}) {
+
+        let source = transaction.objectStore(from);
+        let target = db.createObjectStore(to, {
+            keyPath: typeof options.keyPath !== 'undefined' ? options.keyPath : source.keyPath,
+            autoIncrement: typeof options.autoIncrement !== 'undefined' ? options.autoIncrement : source.autoIncrement,
+        });
+
+        for (let name of Array.from(source.indexNames)) {
+            let index = source.index(name);
+            target.createIndex(name, index.keyPath, {unique: index.unique, multiEntry: index.multiEntry});
+        }
+
+        let cursor = await source.openCursor();
+        while (cursor) {
+            if (target.keyPath === null) {
+                await target.put(cursor.value, cursor.key);
+            } else {
+                await target.put(cursor.value);
+            }
+            cursor = await cursor.continue();
+        }
+
+        db.deleteObjectStore(from);
+    }
+
+    /**
+     * Recorro una tabla aplicando una transformación a cada entrada
+     * @param {IDBTransaction} transaction
+     * @param {string} table
+     * @param {function(Object): (Object|null|void)} fn
+     * @returns {Promise<void>}
+     * @throws {Error} - Revoleo un error si la transformación es asincrónica
+     */
+    static async transformTable(transaction, table, fn) {
+
+        let cursor = await transaction.objectStore(table).openCursor();
+        while (cursor) {
+            let result = fn(cursor.value);
+
+            if (result instanceof Promise) {
+                throw new Error('La transformación de la tabla ' + table + ' debe ser sincrónica.');
+            }
+
+            if (result === null) {
+                await cursor.delete();
+            } else {
+                await cursor.update(typeof result === 'undefined' ? cursor.value : result);
+            }
+            cursor = await cursor.continue();
+        }
+    }
+
+    /**
+     * Describo las operaciones que correría la migración sobre la db, sin correrlas
+     * @returns {{operation: string, table: string}[]}
      */
-    run(db, transaction) {
+    describe() {
+
+        let operations = [];
+
+        for (let task of this.#tasks) {
+
+            switch (task.type) {
+                case (this.#TYPE_OF_TASK.add_table):
+
+                    operations.push({
+                        operation: 'createObjectStore',
+                        table: task.table,
+                        keyPath: '_' + task.key,
+                        autoIncrement: task.autoincrement,
+                    });
+                    operations.push({operation: 'createIndex', table: task.table, index: task.key, keyPath: '_' + task.key});
+                    for (let index of task.indexes) {
+                        operations.push(Object.assign({operation: 'createIndex', table: task.table}, MigrationVersion.describeIndex(index)));
+                    }
+                    break;
+                case (this.#TYPE_OF_TASK.remove_table):
+
+                    operations.push({operation: 'deleteObjectStore', table: task.table});
+                    break;
+                case (this.#TYPE_OF_TASK.change_key):
+
+                    operations.push({operation: 'createObjectStore', table: task.table + '__rekey', keyPath: '_' + task.key, autoIncrement: task.autoincrement});
+                    operations.push({operation: 'copyRecords', table: task.table + '__rekey', from: task.table});
+                    operations.push({operation: 'deleteObjectStore', table: task.table});
+                    operations.push({operation: 'createObjectStore', table: task.table, copyOf: task.table + '__rekey'});
+                    operations.push({operation: 'copyRecords', table: task.table, from: task.table + '__rekey'});
+                    operations.push({operation: 'deleteObjectStore', table: task.table + '__rekey'});
+                    operations.push({operation: 'createIndex', table: task.table, index: task.key, keyPath: '_' + task.key});
+                    break;
+                case (this.#TYPE_OF_TASK.rename_table):
+
+                    operations.push({operation: 'createObjectStore', table: task.to, copyOf: task.table});
+                    operations.push({operation: 'copyRecords', table: task.to, from: task.table});
+                    operations.push({operation: 'deleteObjectStore', table: task.table});
+                    break;
+                case (this.#TYPE_OF_TASK.add_index):
+
+                    for (let index of task.indexes) {
+                        operations.push(Object.assign({operation: 'createIndex', table: task.table}, MigrationVersion.describeIndex(index)));
+                    }
+                    break;
+                case (this.#TYPE_OF_TASK.remove_index):
+
+                    for (let index of task.indexes) {
+                        operations.push({operation: 'deleteIndex', table: task.table, index: MigrationVersion.indexName(index)});
+                    }
+                    break;
+                case (this.#TYPE_OF_TASK.transform):
+
+                    operations.push({operation: 'transform', table: task.table});
+                    break;
+                case (this.#TYPE_OF_TASK.reencrypt):
+
+                    operations.push({operation: 'reencrypt', table: task.table});
+                    break;
+            }
+        }
+
+        return operations;
+    }
+
+    /**
+     * Describo un índice con su nombre, su keyPath y sus opciones
+     * @param {string|DefinicionIndice} definition
+     * @returns {{index: string, keyPath: string|string[], unique: boolean, multiEntry: boolean}}
+     */
+    static describeIndex(definition) {
+        if (typeof definition === 'string') {
+            definition = {keyPath: definition};
+        }
+        return {
+            index: MigrationVersion.indexName(definition),
+            keyPath: Array.isArray(definition.keyPath) ? definition.keyPath.map((f) => '_' + f) : '_' + definition.keyPath,
+            unique: !!definition.unique,
+            multiEntry: !!definition.multiEntry,
+        };
+    }
+
+    /**
+     * Paso una operación descripta por {@link MigrationVersion#describe} a texto, ej: createIndex cats.name(_name)
+     * @param {{operation: string, table: string}} operation
+     * @returns {string}
+     */
+    static describeOperation(operation) {
+
+        let options;
+
+        switch (operation.operation) {
+            case 'createObjectStore':
+                if (operation.copyOf) {
+                    return 'createObjectStore ' + operation.table + ' (copia de ' + operation.copyOf + ')';
+                }
+                return 'createObjectStore ' + operation.table + ' {keyPath: ' + operation.keyPath +
+                    ', autoIncrement: ' + operation.autoIncrement + '}';
+            case 'createIndex':
+                options = ['unique', 'multiEntry'].filter((o) => operation[o]);
+                return 'createIndex ' + operation.table + '.' + operation.index + '(' + [].concat(operation.keyPath).join(', ') + ')' +
+                    (options.length > 0 ? ' ' + options.join(', ') : '');
+            case 'deleteIndex':
+                return 'deleteIndex ' + operation.table + '.' + operation.index;
+            case 'copyRecords':
+                return 'copyRecords ' + operation.from + ' -> ' + operation.table;
+            default:
+                return operation.operation + ' ' + operation.table;
+        }
+    }
+
+    /**
+     * Corro todas las tareas de la version, en orden, dentro de la transacción de la migración
+     * @param {IDBDatabase} db
+     * @param {IDBTransaction} transaction
+     * @returns {Promise<void>}
+     */
+    async run(db, transaction) {
 
         let table;
 
@@ -122,7 +582,28 @@ export class MigrationVersion {
 
                     table.createIndex(task.key, '_' + task.key);
                     for (let index of task.indexes) {
-                        table.createIndex(index, '_' + index);
+                        MigrationVersion.createIndex(table, index);
+                    }
+                    break;
+                case (this.#TYPE_OF_TASK.remove_table):
+
+                    db.deleteObjectStore(task.table);
+                    break;
+                case (this.#TYPE_OF_TASK.rename_table):
+
+                    await MigrationVersion.moveTable(db, transaction, task.table, task.to);
+                    break;
+                case (this.#TYPE_OF_TASK.change_key):
+
+                    await MigrationVersion.moveTable(db, transaction, task.table, task.table + '__rekey', {
+                        keyPath: '_' + task.key,
+                        autoIncrement: task.autoincrement,
+                    });
+                    await MigrationVersion.moveTable(db, transaction, task.table + '__rekey', task.table);
+
+                    table = transaction.objectStore(task.table);
+                    if (!Array.from(table.indexNames).includes(task.key)) {
+                        table.createIndex(task.key, '_' + task.key);
                     }
                     break;
                 case (this.#TYPE_OF_TASK.add_index):
@@ -130,7 +611,7 @@ export class MigrationVersion {
                     table = transaction.objectStore(task.table);
 
                     for (let index of task.indexes) {
-                        table.createIndex(index, '_' + index);
+                        MigrationVersion.createIndex(table, index);
                     }
                     break;
                 case (this.#TYPE_OF_TASK.remove_index):
@@ -138,9 +619,27 @@ export class MigrationVersion {
                     table = transaction.objectStore(task.table);
 
                     for (let index of task.indexes) {
-                        table.deleteIndex(index);
+                        table.deleteIndex(MigrationVersion.indexName(index));
                     }
                     break;
+                case (this.#TYPE_OF_TASK.transform):
+
+                    await MigrationVersion.transformTable(transaction, task.table, task.fn);
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Corro las tareas de la version que no pueden correr dentro de la transacción de la migración, una vez que
+     * terminó la actualización
+     * @param {DB} db
+     * @returns {Promise<void>}
+     */
+    async runDeferred(db) {
+        for (let task of this.#tasks) {
+            if (task.type === this.#TYPE_OF_TASK.reencrypt) {
+                await Encryption.reencrypt(db, task.model);
             }
         }
     }
@@ -1,4 +1,44 @@
-import {DB} from "../db/DB";
+import {DB} from "../db/DB.js";
+import {Query} from "../query/Query.js";
+import {Collection} from "../collection/Collection.js";
+import {Field} from "../field/Field.js";
+import {Validator, ValidationError} from "../validation/Validator.js";
+import {EventEmitter} from "../event/EventEmitter.js";
+import {Pagination} from "../pagination/Pagination.js";
+import {LiveQuery} from "../live/LiveQuery.js";
+import {BelongsTo, BelongsToMany, HasMany, HasOne, Relation} from "../relation/Relation.js";
+import {Factory} from "../factory/Factory.js";
+import {Seeder} from "../seed/Seeder.js";
+import {Encryption} from "../encryption/Encryption.js";
+import {Search} from "../search/Search.js";
+import {Serializer} from "../serializer/Serializer.js";
+
+/**
+ * Valores originales de cada instancia, tal como se obtuvieron o persistieron en la db, se guardan por fuera de la
+ * instancia para que no se persistan junto con ella
+ * @type {WeakMap<Model, Object>}
+ */
+const originals = new WeakMap();
+
+/**
+ * Comparo dos valores almacenables, las fechas por su valor y los objetos y arrays por su contenido
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function equals(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof Date && b instanceof Date) {
+        return a.getTime() === b.getTime();
+    }
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+        return Number.isNaN(a) && Number.isNaN(b);
+    }
+    let keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => equals(a[key], b[key]));
+}
 
 /**
  * Objeto que contiene información sobre las distintas clases, un método para registrar una clase, otro para
@@ -24,6 +64,7 @@ export let MetaData = {
         if (clase.prototype instanceof Model) {
             if (typeof clase.table_name !== 'undefined' && clase.table_name.localeCompare(Model.table_name) !== 0) {
                 if (typeof clase.class_name !== 'undefined' && clase.class_name.localeCompare(Model.class_name) !== 0) {
+                    clase.defineAccessors();
                     this.clases.set(clase.class_name, clase);
                 } else {
                     throw new Error('La clase debe sobreescribir la propiedad estática class con el nombre correspondiente a la clase.');
@@ -35,6 +76,92 @@ export let MetaData = {
             throw new Error('La clase a registrar debe extender la clase base Model');
         }
     },
+    /**
+     * Observadores registrados por clase, los registrados sobre Model observan a todas las clases
+     * @type {Map<typeof Model, Object[]>}
+     */
+    observers: new Map(),
+    /**
+     * Registro un observador para una clase, es un objeto con los hooks que le interesen(beforeSave, afterSave,
+     * beforeUpdate, afterUpdate, beforeRemove, afterRemove, beforeRestore, afterRestore, afterLoad), cada uno recibe la
+     * instancia
+     * @param {typeof Model} clase - Clase a observar, Model para observar todas las clases
+     * @param {Object} observer
+     */
+    observe: function (clase, observer) {
+        if (!this.observers.has(clase)) {
+            this.observers.set(clase, []);
+        }
+        this.observers.get(clase).push(observer);
+    },
+    /**
+     * Obtengo los observadores de una clase, incluyendo los de las clases de las que hereda
+     * @param {typeof Model} clase
+     * @returns {Object[]}
+     */
+    getObservers: function (clase) {
+        let observers = [];
+        for (let c of Model.lineage(clase)) {
+            observers.push(...(this.observers.get(c) || []));
+        }
+        return observers;
+    },
+    /**
+     * Serializadores registrados por clase y nombre, los registrados sobre Model sirven para todas las clases
+     * @type {Map<typeof Model, Map<string, Serializer>>}
+     */
+    serializers: new Map(),
+    /**
+     * Serializador que se usa cuando una clase no registra uno por default
+     * @type {Serializer}
+     */
+    default_serializer: new Serializer(),
+    /**
+     * Registro un serializador para una clase, ver {@link Model#toJSON}
+     * @param {typeof Model} clase - Clase a serializar, Model para todas las clases
+     * @param {typeof Serializer|Serializer} serializer - clase o instancia del serializador
+     * @param {string} [name='default'] - nombre con el que se elige, ej: uno por endpoint
+     * @throws {Error} - Revolea un error si no es un serializador
+     */
+    registerSerializer: function (clase, serializer, name = 'default') {
+        if (typeof serializer === 'function' && (serializer === Serializer || serializer.prototype instanceof Serializer)) {
+            serializer = new serializer();
+        }
+        if (!(serializer instanceof Serializer)) {
+            throw new Error('Los serializadores deben extender la clase Serializer.');
+        }
+        if (!this.serializers.has(clase)) {
+            this.serializers.set(clase, new Map());
+        }
+        this.serializers.get(clase).set(name, serializer);
+    },
+    /**
+     * Obtengo el serializador de una clase por nombre, buscando también en las clases de las que hereda
+     * @param {typeof Model} clase
+     * @param {string} [name='default']
+     * @returns {Serializer}
+     * @throws {Error} - Revolea un error si no hay un serializador con ese nombre, salvo el default
+     */
+    getSerializer: function (clase, name = 'default') {
+        for (let c of Model.lineage(clase)) {
+            if (this.serializers.has(c) && this.serializers.get(c).has(name)) {
+                return this.serializers.get(c).get(name);
+            }
+        }
+        if (name === 'default') {
+            return this.default_serializer;
+        }
+        throw new Error('La clase ' + clase.class_name + ' no tiene registrado el serializador ' + name + '.');
+    },
+    /**
+     * Verifico si una clase, o alguna de las que hereda, tiene registrado un serializador
+     * @param {typeof Model} clase
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasSerializer: function (clase, name) {
+        return Model.lineage(clase).some((c) => this.serializers.has(c) && this.serializers.get(c).has(name));
+    },
     /**
      * Obtengo el constructor de una clase dado su nombre
      * @param {string} name - nombre de la clase a obtener
@@ -52,6 +179,38 @@ export let MetaData = {
             await clase.clean();
         }
     },
+    /**
+     * Cargo datos en la db ejecutando los seeders dados en orden, por default vacío antes las tablas de las clases
+     * registradas con {@link cleanAll} y las tablas pivot de sus relaciones muchos a muchos, y reinicio las
+     * secuencias de las factories
+     * @param {DB} db - DB a cargar, se setea en todas las clases registradas
+     * @param {Array<typeof Seeder|Seeder|function(DB): Promise<void>>} seeders
+     * @param {Object} [options]
+     * @param {boolean} [options.fresh=true] - vaciar las tablas antes de cargar los datos
+     * @returns {Promise<void>}
+     */
+    seed: async function (db, seeders, {fresh = true} = {}) {
+        this.setDB(db);
+        if (fresh) {
+            await this.cleanAll();
+            // Las tablas pivot no pertenecen a ninguna clase, las obtengo de las relaciones declaradas
+            let pivots = new Set();
+            for (let clase of this.clases.values()) {
+                for (let relation of clase.relations.values()) {
+                    if (relation instanceof BelongsToMany) {
+                        pivots.add(relation.pivot);
+                    }
+                }
+            }
+            for (let pivot of pivots) {
+                await db.clear(pivot);
+            }
+            Factory.resetSequences();
+        }
+        for (let seeder of seeders) {
+            await Seeder.execute(seeder, db);
+        }
+    },
     /**
      * Seteo la db en todas las clases que heredan de Model
      * @param {DB} db - DB
@@ -103,6 +262,98 @@ export class Model {
 
     // Id con el que se almacena una entrada dada en la db
     static key = 'id';
+
+    // Si la clave de la tabla es autoincremental, lo setea MigrationVersion al agregar la tabla
+    static autoincrement = true;
+
+    // Indices de la tabla, los setea MigrationVersion al agregar la tabla o sus indices
+    static indexes = [];
+
+    // Definiciones de los indices con opciones o compuestos, por nombre, las setea MigrationVersion
+    static index_definitions = {};
+
+    /**
+     * Esquema de campos de la clase, a partir de él se generan los accesores y se hidratan las instancias, por lo
+     * que las clases que lo declaran no necesitan un constructor propio
+     * Ej: static fields = {name: 'string', age: {type: 'integer', default: 0}}
+     * @type {Object<string, string|Object>}
+     */
+    static fields = {};
+
+    /**
+     * Reglas de validación por campo, se verifican antes de persistir una instancia
+     * Ej: static rules = {name: {required: true, length: {min: 2}}, age: {min: 0}}
+     * @type {Object<string, Object>}
+     */
+    static rules = {};
+
+    /**
+     * Campos que se guardan cifrados con {@link Encryption}, no se pueden indexar ni consultar
+     * Ej: static encrypted = ['ssn', 'notes']
+     * @type {string[]}
+     */
+    static encrypted = [];
+
+    /**
+     * Campos sobre los que se busca texto con {@link Model.search}, se indexan sus tokens al persistir
+     * Ej: static searchable = ['name', 'notes']
+     * @type {string[]}
+     */
+    static searchable = [];
+
+    /**
+     * Si la clase completa created_at al guardar sus instancias y updated_at al guardarlas y actualizarlas
+     * @type {boolean}
+     */
+    static timestamps = false;
+
+    /**
+     * Si al quitar una instancia solo se completa su deleted_at en lugar de eliminarla de la db, las instancias
+     * eliminadas se ocultan de las consultas salvo que se pidan con withTrashed u onlyTrashed
+     * @type {boolean}
+     */
+    static softDeletes = false;
+
+    /**
+     * Campos que se completan con timestamps y softDeletes, si la clase declara un esquema se agregan a él como
+     * fechas
+     * @readonly
+     * @enum {string}
+     */
+    static TIMESTAMPS = Object.freeze({
+        created: 'created_at',
+        updated: 'updated_at',
+        deleted: 'deleted_at',
+    });
+
+    /**
+     * Hooks de persistencia y el evento que se emite al ejecutarse cada uno
+     * @readonly
+     * @enum {string}
+     */
+    static HOOKS = Object.freeze({
+        beforeSave: 'saving',
+        afterSave: 'saved',
+        beforeUpdate: 'updating',
+        afterUpdate: 'updated',
+        beforeRemove: 'removing',
+        afterRemove: 'removed',
+        beforeRestore: 'restoring',
+        afterRestore: 'restored',
+        afterLoad: 'loaded',
+    });
+
+    /**
+     * Si la clase declara un esquema de campos, hidrato la instancia con el objeto dado
+     * @param {Object|null} [object={}] - objeto crudo de la db(con las propiedades _campo) o con los campos
+     * directamente, si es nulo la instancia queda vacía
+     */
+    constructor(object = {}) {
+        if (object !== null && this.constructor.hasSchema()) {
+            this.constructor.hydrate(this, object);
+        }
+    }
+
     get id() {
         return this['_' + this.constructor.key];
     }
@@ -243,25 +494,106 @@ export class Model {
 
     /**
      * Obtengo todos los elementos de una tabla en la DB y los instancio en su clase correspondiente
-     * @returns {Promise<*>}
+     * @returns {Promise<Collection>}
      */
     static async all() {
 
-        return this.db.getAll(this.table_name).then(function (objs) {
-            return this.instantiateArray(objs);
+        return this.db.getAll(this.table_name).then(async function (objs) {
+            return new Collection(await this.openArray(this.withoutTrashed(objs)));
         }.bind(this));
     }
 
+    /**
+     * Obtengo una página de instancias recorriendo un índice por clave(keyset) con un cursor, sin cargar la tabla
+     * completa en memoria. Cada página trae los tokens opacos para pedir la siguiente(after) y la anterior(before).
+     * Ej:
+     * let page = await Cat.paginate({index: 'name', pageSize: 20});
+     * let second = await Cat.paginate({index: 'name', pageSize: 20, after: page.next});
+     * @param {Object} [options]
+     * @param {string} [options.index] - índice a recorrer, por default la clave
+     * @param {number} [options.pageSize=50] - cantidad de instancias por página
+     * @param {string|null} [options.after=null] - token next de la página anterior, para obtener la siguiente
+     * @param {string|null} [options.before=null] - token previous de la página siguiente, para obtener la anterior
+     * @param {'asc'|'desc'} [options.direction='asc'] - sentido en el que se recorre el índice
+     * @returns {Promise<{items: Collection, next: string|null, previous: string|null}>} - los tokens son nulos si
+     * no hay más páginas en ese sentido
+     * @throws {Error} - Revoleo un error si el token es inválido o pertenece a otro índice
+     */
+    static async paginate({index = this.key, pageSize = 50, after = null, before = null, direction = 'asc'} = {}) {
+
+        let backwards = before !== null;
+        let token = backwards ? before : after;
+        // Para obtener la página anterior recorro el índice en sentido contrario desde la posición dada
+        let forward = (direction !== 'desc') !== backwards;
+
+        let entries = await this.db.page(this.table_name, {
+            index: index === this.key ? null : index,
+            direction: forward ? DB.EXTREMOS.siguiente : DB.EXTREMOS.anterior,
+            after: token !== null ? Pagination.decode(token, index) : null,
+            filter: this.softDeletes ? (record) => !this.isTrashedRecord(record) : null,
+            limit: pageSize + 1,
+        });
+
+        let more = entries.length > pageSize;
+        entries = entries.slice(0, pageSize);
+        if (backwards) {
+            entries.reverse();
+        }
+
+        let first = entries[0];
+        let last = entries[entries.length - 1];
+        let has_next = backwards || more;
+        let has_previous = backwards ? more : token !== null;
+
+        return {
+            items: new Collection(await this.openArray(entries.map((entry) => entry.value))),
+            next: last && has_next ? Pagination.encode(index, last.key, last.primaryKey) : null,
+            previous: first && has_previous ? Pagination.encode(index, first.key, first.primaryKey) : null,
+        };
+    }
+
+    /**
+     * Recorro todas las instancias de la tabla según un índice, obteniéndolas de a lotes con una transacción por
+     * lote, de forma que ninguna transacción queda abierta mientras se ejecuta el código del bucle
+     * Ej: for await (let cat of Cat.iterate('name')) { ... }
+     * @param {string} [index] - índice a recorrer, por default la clave
+     * @param {Object} [options]
+     * @param {number} [options.batch=100] - cantidad de entradas por lote
+     * @param {'asc'|'desc'} [options.direction='asc'] - sentido en el que se recorre el índice
+     * @returns {AsyncGenerator<Model>}
+     */
+    static async *iterate(index = this.key, {batch = 100, direction = 'asc'} = {}) {
+
+        let after = null;
+        while (true) {
+            let entries = await this.db.page(this.table_name, {
+                index: index === this.key ? null : index,
+                direction: direction === 'desc' ? DB.EXTREMOS.anterior : DB.EXTREMOS.siguiente,
+                after: after,
+                filter: this.softDeletes ? (record) => !this.isTrashedRecord(record) : null,
+                limit: batch,
+            });
+            for (let entry of entries) {
+                yield await this.open(entry.value);
+            }
+            if (entries.length < batch) {
+                return;
+            }
+            let last = entries[entries.length - 1];
+            after = {key: last.key, primaryKey: last.primaryKey};
+        }
+    }
+
     /**
      * Obtengo las entradas de una tabla que correspondan con un index y key dados
      * @param {string} index - nombre del índice
      * @param {string|number} key - valor del índice
-     * @returns {Promise<*>}
+     * @returns {Promise<Collection>}
      */
     static async allFromIndex(index, key) {
 
-        return this.db.getAllFromIndex(this.table_name, index, key).then(function (objs) {
-            return this.instantiateArray(objs);
+        return this.db.getAllFromIndex(this.table_name, index, key).then(async function (objs) {
+            return new Collection(await this.openArray(this.withoutTrashed(objs)));
         }.bind(this));
     }
 
@@ -288,17 +620,550 @@ export class Model {
      */
     static get(id, index = this.key) {
 
+        // Por clave busco primero en el mapa de identidad, si está habilitado
+        let map = this.identityMap;
+        let known = map !== null && index === this.key ? map.get(this.table_name, id) : undefined;
+        if (typeof known !== 'undefined') {
+            return this.isTrashedRecord(known) ? this.open(null) : Promise.resolve(known);
+        }
+
         return this.db.getByIndex(this.table_name, index, id).then(function (obj) {
-            return this.instantiate(obj);
+            return this.open(this.isTrashedRecord(obj) ? null : obj);
         }.bind(this));
     }
 
+    /**
+     * Inicio una consulta encadenable sobre la tabla de la clase
+     * @returns {Query}
+     */
+    static query() {
+        return new Query(this);
+    }
+
+    /**
+     * Calculo agregaciones sobre las entradas de la clase en una única pasada del cursor
+     * Ej: await Cat.aggregate().groupBy('color').count();
+     * @param {Query|null} [query=null] - consulta que acota las entradas, por default todas
+     * @returns {Aggregate}
+     */
+    static aggregate(query = null) {
+        return query === null ? this.query().aggregate() : query.aggregate();
+    }
+
+    /**
+     * Busco texto en los campos buscables de la clase, los resultados se ordenan por relevancia
+     * Ej: await Cat.search('black OR white fluf*');
+     * @param {string} text - palabras(AND), alternativas separadas con OR y prefijos terminados en *
+     * @param {Object} [options] - ver {@link Search.search}
+     * @returns {Promise<Collection>}
+     */
+    static search(text, options = {}) {
+        return Search.search(this, text, options);
+    }
+
+    /**
+     * Inicio una factory de la clase, definida antes con {@link Factory.define}
+     * Ej: let cats = await Cat.factory().count(50).state('black').create();
+     * @returns {Factory}
+     */
+    static factory() {
+        return new Factory(this);
+    }
+
+    /**
+     * Obtengo una consulta en vivo, que vuelve a emitir su resultado cada vez que cambian sus tablas(también desde
+     * otras pestañas)
+     * Ej: let subscription = Cat.live(Cat.query().where('color', 'black')).subscribe((cats) => ...);
+     * @param {Query|function(): Promise<*>|null} [query=null] - consulta a observar, por default all()
+     * @param {Object} [options]
+     * @param {Array<typeof Model|string>} [options.tables=[]] - tablas adicionales a observar
+     * @returns {LiveQuery}
+     */
+    static live(query = null, options = {}) {
+        return new LiveQuery(this, query, options);
+    }
+
+    /**
+     * Inicio una consulta que incluye las instancias eliminadas con softDeletes
+     * @returns {Query}
+     */
+    static withTrashed() {
+        return this.query().withTrashed();
+    }
+
+    /**
+     * Inicio una consulta sobre las instancias eliminadas con softDeletes
+     * @returns {Query}
+     */
+    static onlyTrashed() {
+        return this.query().onlyTrashed();
+    }
+
+    /**
+     * Verifico si una entrada cruda de la db fue eliminada con softDeletes
+     * @param {Object} [record]
+     * @returns {boolean}
+     */
+    static isTrashedRecord(record) {
+        if (!this.softDeletes || record === null || typeof record === 'undefined') {
+            return false;
+        }
+        let deleted_at = record['_' + Model.TIMESTAMPS.deleted];
+        return deleted_at !== null && typeof deleted_at !== 'undefined';
+    }
+
+    /**
+     * Descarto de un conjunto de entradas crudas las eliminadas con softDeletes
+     * @param {Object[]} records
+     * @returns {Object[]}
+     */
+    static withoutTrashed(records) {
+        return this.softDeletes ? records.filter((record) => !this.isTrashedRecord(record)) : records;
+    }
+
+    /**
+     * Obtengo el emisor de eventos de la clase, cada clase posee el suyo y el de Model recibe los eventos de todas
+     * @returns {EventEmitter}
+     */
+    static get events() {
+        if (typeof this === 'function' && !Object.prototype.hasOwnProperty.call(this, '_events')) {
+            this._events = new EventEmitter();
+        }
+        return this._events;
+    }
+
+    /**
+     * Me suscribo a un evento de la clase(saving, saved, updating, updated, removing, removed, loaded)
+     * * Model.on('saved', fn) recibe los eventos de todas las clases
+     * * Cat.on('saved', fn) solo los de Cat
+     * @param {string} event
+     * @param {function(Model): void} fn - recibe la instancia
+     * @returns {function(): void} - función para desuscribirse
+     */
+    static on(event, fn) {
+        return this.events.on(event, fn);
+    }
+
+    /**
+     * Me suscribo a un evento de la clase hasta que se emita por primera vez
+     * @param {string} event
+     * @param {function(Model): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    static once(event, fn) {
+        return this.events.once(event, fn);
+    }
+
+    /**
+     * Me desuscribo de un evento de la clase
+     * @param {string} event
+     * @param {function} [fn] - si no se proporciona se quitan todas las suscripciones al evento
+     */
+    static off(event, fn) {
+        this.events.off(event, fn);
+    }
+
+    /**
+     * Obtengo la clase y las clases de las que hereda, hasta Model inclusive
+     * @param {typeof Model} clase
+     * @returns {typeof Model[]}
+     */
+    static lineage(clase) {
+        let lineage = [];
+        for (let c = clase; c && c !== Function.prototype; c = Object.getPrototypeOf(c)) {
+            if (typeof c === 'function') {
+                lineage.push(c);
+            }
+            if (c === Model) {
+                break;
+            }
+        }
+        return lineage;
+    }
+
+    /**
+     * Ejecuto un hook sobre una instancia: primero el método de la instancia, luego los observadores registrados en
+     * MetaData y por último emito el evento correspondiente. Si un hook revolea un error la operación se cancela.
+     * Todos reciben además los cambios de la instancia respecto de sus valores originales, ver {@link Model#getChanges}
+     * @param {Model} instance
+     * @param {string} hook - nombre del hook, ver {@link Model.HOOKS}
+     * @returns {Promise<void>}
+     */
+    static async fire(instance, hook) {
+        if (typeof instance[hook] === 'function') {
+            await instance[hook](instance.getChanges());
+        }
+        for (let observer of MetaData.getObservers(instance.constructor)) {
+            if (typeof observer[hook] === 'function') {
+                await observer[hook](instance, instance.getChanges());
+            }
+        }
+        this.emit(instance, hook);
+    }
+
+    /**
+     * Emito el evento correspondiente a un hook en la clase de la instancia y en las clases de las que hereda
+     * @param {Model} instance
+     * @param {string} hook
+     */
+    static emit(instance, hook) {
+        for (let clase of Model.lineage(instance.constructor)) {
+            if (Object.prototype.hasOwnProperty.call(clase, '_events')) {
+                clase._events.emit(Model.HOOKS[hook], instance, instance.getChanges());
+            }
+        }
+    }
+
+    /**
+     * Ejecuto un hook sobre un conjunto de objetos, ignorando los que no son instancias de Model
+     * @param {[*]} objs
+     * @param {string} hook
+     * @returns {Promise<void>}
+     */
+    static async fireAll(objs, hook) {
+        for (let obj of objs) {
+            if (obj instanceof Model) {
+                await this.fire(obj, hook);
+            }
+        }
+    }
+
+    /**
+     * Verifico si la clase declara un esquema de campos
+     * @returns {boolean}
+     */
+    static hasSchema() {
+        return Object.keys(this.fields).length > 0;
+    }
+
+    /**
+     * Obtengo los campos declarados en el esquema de la clase, se arman una única vez por clase
+     * @returns {Map<string, Field>}
+     */
+    static get schema() {
+        if (typeof this === 'function' && !Object.prototype.hasOwnProperty.call(this, '_schema')) {
+            let schema = new Map();
+            for (let [name, definition] of Object.entries(this.fields)) {
+                schema.set(name, new Field(name, definition));
+            }
+            for (let name of this.timestampFields()) {
+                if (!schema.has(name) && schema.size > 0) {
+                    schema.set(name, new Field(name, Field.TYPES.date));
+                }
+            }
+            this._schema = schema;
+        }
+        return this._schema;
+    }
+
+    /**
+     * Obtengo los campos que completa la clase según timestamps y softDeletes
+     * @returns {string[]}
+     */
+    static timestampFields() {
+        let fields = [];
+        if (this.timestamps) {
+            fields.push(Model.TIMESTAMPS.created, Model.TIMESTAMPS.updated);
+        }
+        if (this.softDeletes) {
+            fields.push(Model.TIMESTAMPS.deleted);
+        }
+        return fields;
+    }
+
+    /**
+     * Genero en el prototipo de la clase los getters y setters de los campos del esquema, que leen y escriben las
+     * propiedades con las que se almacenan(_campo) casteando los valores al tipo del campo
+     */
+    static defineAccessors() {
+
+        if (Object.prototype.hasOwnProperty.call(this.prototype, '_accessors')) {
+            return;
+        }
+
+        for (let field of this.schema.values()) {
+            let storage_key = field.storage_key;
+            Object.defineProperty(this.prototype, field.name, {
+                get() {
+                    return this[storage_key];
+                },
+                set(value) {
+                    this[storage_key] = field.cast(value);
+                },
+                configurable: true,
+            });
+        }
+        Object.defineProperty(this.prototype, '_accessors', {value: true});
+    }
+
+    /**
+     * Hidrato una instancia con un objeto, tomando cada campo de su propiedad almacenada(_campo) o de su nombre, o
+     * usando su valor por default. Las propiedades almacenadas que no están en el esquema(ej: la clave) se copian
+     * tal cual para no perderlas al actualizar.
+     * @param {Model} instance
+     * @param {Object} object
+     */
+    static hydrate(instance, object) {
+
+        this.defineAccessors();
+
+        for (let [key, value] of Object.entries(object)) {
+            if (key.startsWith('_') && !this.schema.has(key.slice(1))) {
+                instance[key] = value;
+            }
+        }
+
+        let key = '_' + this.key;
+        if (!(key in object) && this.key in object && !this.schema.has(this.key)) {
+            instance[key] = object[this.key];
+        }
+
+        for (let field of this.schema.values()) {
+            let value;
+            if (field.storage_key in object) {
+                value = object[field.storage_key];
+            } else if (field.name in object) {
+                value = object[field.name];
+            } else {
+                value = field.default;
+            }
+            value = field.cast(value);
+            // Una clave nula no es válida en IndexedDB, si no está la dejo sin definir para que se autoincremente
+            if (value !== null || field.name !== this.key) {
+                instance[field.storage_key] = value;
+            }
+        }
+    }
+
+    /**
+     * Verifico si un campo dado posee un índice en la tabla de la clase
+     * @param {string} field
+     * @returns {boolean}
+     */
+    static isIndexed(field) {
+        return field === this.key || this.indexes.includes(field);
+    }
+
+    /**
+     * Obtengo las relaciones declaradas por la clase, cada clase posee su propio mapa
+     * @returns {Map<string, Relation>}
+     */
+    static get relations() {
+        // Las copias creadas con setDB heredan las relaciones de la clase original
+        if (typeof this === 'function' && !Object.prototype.hasOwnProperty.call(this, '_relations')) {
+            this._relations = new Map();
+        }
+        return this._relations;
+    }
+
+    /**
+     * Declaro una relación y genero en el prototipo el accesor lazy con su nombre, ej: cat.owner()
+     * @param {Relation} relation
+     * @returns {Relation}
+     * @throws {Error} - Revoleo un error si ya existe una propiedad con el nombre de la relación
+     */
+    static addRelation(relation) {
+        let name = relation.name;
+        if (name in this.prototype) {
+            throw new Error('La clase ' + this.class_name + ' ya posee una propiedad llamada ' + name + '.');
+        }
+        this.relations.set(name, relation);
+        this.prototype[name] = function () {
+            return this.load(name).then(() => Relation.getLoaded(this, name));
+        };
+        return relation;
+    }
+
+    /**
+     * Obtengo una relación declarada dado su nombre
+     * @param {string} name
+     * @returns {Relation}
+     * @throws {Error} - Revoleo un error si la clase no declara la relación
+     */
+    static getRelation(name) {
+        let relation = this.relations.get(name);
+        if (typeof relation === 'undefined') {
+            throw new Error('La clase ' + this.class_name + ' no posee la relación ' + name + '.');
+        }
+        return relation;
+    }
+
+    /**
+     * La clase posee un único modelo relacionado, la clave foránea está en la tabla relacionada
+     * @param {typeof Model|string} related - clase relacionada o su nombre
+     * @param {string} [foreign_key] - por default <clase>_id
+     * @param {string} [name] - por default el nombre de la clase relacionada en snake_case
+     * @returns {HasOne}
+     */
+    static hasOne(related, foreign_key, name) {
+        return this.addRelation(new HasOne(this, related, foreign_key, name));
+    }
+
+    /**
+     * La clase posee varios modelos relacionados, la clave foránea está en la tabla relacionada
+     * @param {typeof Model|string} related - clase relacionada o su nombre
+     * @param {string} [foreign_key] - por default <clase>_id
+     * @param {string} [name] - por default la tabla de la clase relacionada
+     * @returns {HasMany}
+     */
+    static hasMany(related, foreign_key, name) {
+        return this.addRelation(new HasMany(this, related, foreign_key, name));
+    }
+
+    /**
+     * La clase pertenece a otro modelo, la clave foránea está en la tabla de la clase
+     * @param {typeof Model|string} related - clase relacionada o su nombre
+     * @param {string} [foreign_key] - por default <relacionado>_id
+     * @param {string} [name] - por default el nombre de la clase relacionada en snake_case
+     * @returns {BelongsTo}
+     */
+    static belongsTo(related, foreign_key, name) {
+        return this.addRelation(new BelongsTo(this, related, foreign_key, name));
+    }
+
+    /**
+     * Relación muchos a muchos a través de una tabla pivot
+     * @param {typeof Model|string} related - clase relacionada o su nombre
+     * @param {string} pivot - tabla pivot, se crea con MigrationVersion.addPivotTable
+     * @param {string} [foreign_key] - por default <clase>_id
+     * @param {string} [related_key] - por default <relacionado>_id
+     * @param {string} [name] - por default la tabla de la clase relacionada
+     * @returns {BelongsToMany}
+     */
+    static belongsToMany(related, pivot, foreign_key, related_key, name) {
+        return this.addRelation(new BelongsToMany(this, related, pivot, foreign_key, related_key, name));
+    }
+
+    /**
+     * Inicio una consulta que carga las relaciones dadas junto con los resultados
+     * Ej: Cat.with('owner').all()
+     * @param {...string} names - nombres de las relaciones
+     * @returns {Query}
+     */
+    static with(...names) {
+        return this.query().with(...names);
+    }
+
+    /**
+     * Cargo las relaciones dadas en un conjunto de instancias, con una transacción por tabla relacionada
+     * @param {Model[]} instances
+     * @param {string[]} names - nombres de las relaciones
+     * @returns {Promise<Model[]>}
+     */
+    static async eagerLoad(instances, names) {
+        for (let name of names) {
+            await this.getRelation(name).eagerLoad(instances);
+        }
+        return instances;
+    }
+
+    /**
+     * Cargo en la instancia las relaciones dadas que aún no se hayan cargado
+     * @param {...string} names - nombres de las relaciones
+     * @returns {Promise<Model>}
+     */
+    async load(...names) {
+        let pending = names.filter((name) => !Relation.isLoaded(this, name));
+        await this.constructor.eagerLoad([this], pending);
+        return this;
+    }
+
+    /**
+     * Obtengo el valor ya cargado de una relación, undefined si todavía no se cargó
+     * @param {string} name - nombre de la relación
+     * @returns {Model|Model[]|undefined}
+     */
+    relation(name) {
+        return Relation.getLoaded(this, name);
+    }
+
+    /**
+     * Serializo la instancia en un objeto plano sin el prefijo _ de los campos, con el serializador registrado para
+     * la clase, ver {@link MetaData.registerSerializer}. JSON.stringify lo usa con el serializador default.
+     * Las relaciones incluidas deben estar cargadas y se serializan con el serializador del mismo nombre de su clase,
+     * o su default si no tiene uno.
+     * Ej: cat.toJSON({serializer: 'api', relations: ['owner', 'toys.brand']})
+     * @param {{serializer?: string, relations?: string[]}|string} [options={}] - JSON.stringify pasa la clave de
+     * la propiedad, se ignora
+     * @returns {Object}
+     * @throws {Error} - Revoleo un error si no existe el serializador o si una relación incluida no está cargada
+     */
+    toJSON(options = {}) {
+        let {serializer = 'default', relations = []} = typeof options === 'object' && options !== null ? options : {};
+        let instance_serializer = MetaData.getSerializer(this.constructor, serializer);
+
+        let serialized = {};
+        for (let [name, nested] of Serializer.nest(instance_serializer.relations.concat(relations))) {
+            this.constructor.getRelation(name);
+            let value = Relation.getLoaded(this, name);
+            if (typeof value === 'undefined') {
+                throw new Error('La relación ' + name + ' de ' + this.class_name + ' no está cargada, cargarla con ' +
+                    'load o with antes de serializar.');
+            }
+            let json = (related) => related.isEmpty() ? null : related.toJSON({
+                serializer: MetaData.hasSerializer(related.constructor, serializer) ? serializer : 'default',
+                relations: nested,
+            });
+            serialized[name] = value instanceof Model ? json(value) : Array.from(value, json);
+        }
+        return instance_serializer.serialize(this, serialized);
+    }
+
+    /**
+     * Instancio uno o varios objetos serializados(ej: la respuesta de una API) con el serializador registrado para
+     * la clase, las instancias no se persisten
+     * Ej: let cat = Cat.fromJSON(await response.json(), {serializer: 'api'}); await cat.save();
+     * @param {Object|Object[]|string} data - objeto, array de objetos o su json
+     * @param {{serializer?: string}} [options={}]
+     * @returns {Model|Model[]}
+     */
+    static fromJSON(data, {serializer = 'default'} = {}) {
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
+        }
+        if (Array.isArray(data)) {
+            return data.map((object) => this.fromJSON(object, {serializer: serializer}));
+        }
+        let fields = MetaData.getSerializer(this, serializer).deserialize(this, data);
+        if (this.hasSchema()) {
+            return new this(fields);
+        }
+        let instance = new this();
+        for (let [field, value] of Object.entries(fields)) {
+            instance['_' + field] = value;
+        }
+        return instance;
+    }
+
+    /**
+     * Asocio la instancia con otra a través de una relación muchos a muchos
+     * @param {string} name - nombre de la relación
+     * @param {Model} related - instancia a asociar
+     * @returns {Promise<*>}
+     */
+    attach(name, related) {
+        return this.constructor.getRelation(name).attach(this, related);
+    }
+
+    /**
+     * Quito la asociación de la instancia con otra en una relación muchos a muchos
+     * @param {string} name - nombre de la relación
+     * @param {Model} related - instancia a desasociar
+     * @returns {Promise<void>}
+     */
+    detach(name, related) {
+        return this.constructor.getRelation(name).detach(this, related);
+    }
+
     /**
      * Obtengo la cant de entradas en una tabla dada
      * @returns {Promise<number>}
      */
     static count() {
 
+        if (this.softDeletes) {
+            return this.query().count();
+        }
         return this.db.count(this.table_name).then(function (cant) {
             return cant;
         });
@@ -312,6 +1177,9 @@ export class Model {
      */
     static countFromIndex(index, key) {
 
+        if (this.softDeletes) {
+            return this.query().where(index, key).count();
+        }
         return this.db.countFromIndex(this.table_name, index, key).then(function (cant) {
             return cant;
         });
@@ -325,8 +1193,11 @@ export class Model {
      * @returns {Promise<*>}
      */
     static last(index = this.key) {
+        if (this.softDeletes) {
+            return this.query().orderBy(index, 'desc').first();
+        }
         return this.db.getMaxFromIndex(this.table_name, index).then(function (obj) {
-            return this.instantiate(obj ? obj.value : null);
+            return this.open(obj ? obj.value : null);
         }.bind(this));
     }
 
@@ -338,22 +1209,102 @@ export class Model {
      * @returns {Promise<*>}
      */
     static first(index = this.key) {
+        if (this.softDeletes) {
+            return this.query().orderBy(index).first();
+        }
         return this.db.getMinFromIndex(this.table_name, index).then(function (obj) {
-            return this.instantiate(obj ? obj.value : null);
+            return this.open(obj ? obj.value : null);
         }.bind(this));
     }
 
     /**
-     * Instancio un objeto en su clase correspondiente
+     * Instancio un objeto en su clase correspondiente. Los hooks afterLoad asincrónicos no se esperan, si fallan se
+     * reporta el error. Las entradas con campos cifrados se instancian con {@link Model.open}
      * @param {Object} [object=null] - el objeto a instanciar puede ser nulo
      * @returns {Model}
+     * @throws {Error} - Revoleo un error si el objeto posee campos cifrados
      */
     static instantiate(object = null) {
-        if (object !== null) {
-            return new this(object);
+        if (object === null) {
+            return new this(null);
         }
-        return new this();
+        if (this.encrypted.some((field) => Encryption.isEncrypted(object['_' + field]))) {
+            throw new Error(this.class_name + ' guarda campos cifrados, instanciar sus entradas con ' +
+                this.class_name + '.open().');
+        }
+        let known = this.known(object);
+        if (typeof known !== 'undefined') {
+            return known;
+        }
+        let instance = this.materialize(object, object);
+        this.fireLoad(instance).catch((e) => console.error(e));
+        return instance;
+    }
 
+    /**
+     * Instancio una entrada cruda de la db en su clase correspondiente, descifrando antes sus campos cifrados y
+     * esperando los hooks afterLoad
+     * @param {Object} [object=null] - el objeto a instanciar puede ser nulo
+     * @returns {Promise<Model>}
+     */
+    static async open(object = null) {
+        if (object === null) {
+            return new this(null);
+        }
+        let known = this.known(object);
+        if (typeof known !== 'undefined') {
+            return known;
+        }
+        let instance = this.materialize(object, await Encryption.open(this, object));
+        await this.fireLoad(instance);
+        return instance;
+    }
+
+    /**
+     * Obtengo la instancia de una entrada que ya está en el mapa de identidad
+     * @param {Object} object - entrada cruda de la db
+     * @returns {Model|undefined}
+     */
+    static known(object) {
+        let map = this.identityMap;
+        return map !== null ? map.peek(this.table_name, object['_' + this.key]) : undefined;
+    }
+
+    /**
+     * Instancio una entrada ya descifrada y la guardo en el mapa de identidad
+     * @param {Object} object - entrada cruda de la db
+     * @param {Object} record - la entrada con sus campos descifrados
+     * @returns {Model}
+     */
+    static materialize(object, record) {
+        let instance = new this(Search.strip(record));
+        instance.markClean();
+        let map = this.identityMap;
+        let key = object['_' + this.key];
+        if (map !== null && typeof key !== 'undefined') {
+            map.set(this.table_name, key, instance);
+        }
+        return instance;
+    }
+
+    /**
+     * Ejecuto el hook afterLoad sobre una instancia recién obtenida de la db, los hooks asincrónicos se ejecutan en
+     * paralelo
+     * @param {Model} instance
+     * @returns {Promise<void>} - se resuelve cuando terminan los hooks asincrónicos
+     */
+    static fireLoad(instance) {
+        let pending = [];
+        if (typeof instance.afterLoad === 'function') {
+            pending.push(instance.afterLoad());
+        }
+        for (let observer of MetaData.getObservers(instance.constructor)) {
+            if (typeof observer.afterLoad === 'function') {
+                pending.push(observer.afterLoad(instance));
+            }
+        }
+        this.emit(instance, 'afterLoad');
+        return Promise.all(pending).then(() => {});
     }
 
     /**
@@ -366,30 +1317,176 @@ export class Model {
     }
 
     /**
-     * Actualizo al objeto en la db local
+     * Instancio un array de entradas crudas de la db, ver {@link Model.open}
+     * @param {Object[]} objects
+     * @returns {Promise<Model[]>}
+     */
+    static openArray(objects) {
+        return Promise.all(objects.map((obj) => this.open(obj)));
+    }
+
+    /**
+     * Actualizo al objeto en la db local, si la instancia fue obtenida de la db y no se modificó no se escribe nada
+     * ni se ejecutan los hooks
      * @returns {Promise<*>}
+     * @throws {ValidationError} - Rechazo si la instancia no cumple con las reglas de su clase
+     */
+    async update() {
+        if (!this.isDirty()) {
+            return this.id;
+        }
+        await Model.fire(this, 'beforeUpdate');
+        this.constructor.touchTimestamps([this]);
+        await Validator.assert(this);
+        let result = await this.constructor.db.update((await this.constructor.records([this]))[0]);
+        await Model.fire(this, 'afterUpdate');
+        this.markClean();
+        this.constructor.remember([this]);
+        return result;
+    }
+
+    /**
+     * Verifico si la instancia se modificó respecto de sus valores originales, las instancias que no se obtuvieron
+     * de la db ni se persistieron siempre están modificadas
+     * @param {string} [field] - campo a verificar, por default cualquiera
+     * @returns {boolean}
+     */
+    isDirty(field) {
+        let changes = this.getChanges();
+        return typeof field === 'undefined' ? Object.keys(changes).length > 0 : field in changes;
+    }
+
+    /**
+     * Obtengo los campos modificados respecto de los valores originales con su valor actual, si la instancia no
+     * posee valores originales todos sus campos son cambios
+     * Ej: cat.color = 'black'; cat.getChanges() -> {color: 'black'}
+     * @returns {Object<string, *>}
      */
-    update() {
-        return this.constructor.db.update(this);
+    getChanges() {
+        let original = originals.get(this) || {};
+        let changes = {};
+        for (let key of new Set(Object.keys(original).concat(Object.keys(this)))) {
+            if (!equals(original[key], this[key])) {
+                changes[key.startsWith('_') ? key.slice(1) : key] = this[key];
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Obtengo los valores originales de la instancia
+     * @param {string} [field] - campo a obtener, por default todos
+     * @returns {*} - undefined si la instancia no posee valores originales
+     */
+    getOriginal(field) {
+        let original = originals.get(this);
+        if (typeof original === 'undefined' || typeof field === 'undefined') {
+            return original && structuredClone(original);
+        }
+        return structuredClone(original['_' + field]);
+    }
+
+    /**
+     * Descarto los cambios de la instancia y vuelvo a sus valores originales
+     * @returns {Model}
+     * @throws {Error} - Revoleo un error si la instancia no posee valores originales
+     */
+    revert() {
+        let original = originals.get(this);
+        if (typeof original === 'undefined') {
+            throw new Error('La instancia no posee valores originales, no se obtuvo de la db ni se persistió.');
+        }
+        for (let key of Object.keys(this)) {
+            if (!(key in original)) {
+                delete this[key];
+            }
+        }
+        Object.assign(this, structuredClone(original));
+        return this;
+    }
+
+    /**
+     * Tomo los valores actuales de la instancia como originales, se hace al obtenerla de la db y al persistirla. Las
+     * relaciones BelongsTo cargadas cuya clave foránea cambió se descartan, el próximo acceso las vuelve a obtener.
+     * @returns {Model}
+     */
+    markClean() {
+        Relation.invalidate(this);
+        originals.set(this, structuredClone(Object.assign({}, this)));
+        return this;
+    }
+
+    /**
+     * Valido la instancia según las reglas de su clase, sin persistir nada
+     * @returns {Promise<Object<string, string[]>>} - reglas fallidas por campo, vacío si la instancia es válida
+     */
+    validate() {
+        return Validator.validate(this);
     }
 
     /**
      * Quito un registro de la DB dado su id correspondiente
      * @param {string|number} id - id a obtener
      * @param {string} [index='id'] - indicé por el cual se consulta el id
-     * @returns {Promise<*>}
+     * @returns {Promise<*>} - undefined si no existe
      */
-    static remove(id, index = this.key) {
-        let instance = this.get(id, index);
+    static async remove(id, index = this.key) {
+        let instance = await this.get(id, index);
+        if (instance.isEmpty()) {
+            return undefined;
+        }
         return instance.remove();
     }
 
     /**
-     * Quito a la instancia de su tabla correspondiente
+     * Quito a la instancia de su tabla correspondiente, si la clase usa softDeletes solo completo su deleted_at
      * @returns {Promise<*>}
      */
-    remove() {
-        return this.constructor.db.remove(this);
+    async remove() {
+        if (!this.constructor.softDeletes) {
+            return this.forceRemove();
+        }
+        await Model.fire(this, 'beforeRemove');
+        this['_' + Model.TIMESTAMPS.deleted] = new Date();
+        let result = await this.constructor.db.update((await this.constructor.records([this]))[0]);
+        await Model.fire(this, 'afterRemove');
+        this.markClean();
+        this.constructor.remember([this]);
+        return result;
+    }
+
+    /**
+     * Quito a la instancia de su tabla correspondiente aunque la clase use softDeletes
+     * @returns {Promise<*>}
+     */
+    async forceRemove() {
+        await Model.fire(this, 'beforeRemove');
+        let result = await this.constructor.db.remove(this);
+        await Model.fire(this, 'afterRemove');
+        return result;
+    }
+
+    /**
+     * Restauro una instancia eliminada con softDeletes
+     * @returns {Promise<*>}
+     */
+    async restore() {
+        await Model.fire(this, 'beforeRestore');
+        this['_' + Model.TIMESTAMPS.deleted] = null;
+        this.constructor.touchTimestamps([this]);
+        let result = await this.constructor.db.update((await this.constructor.records([this]))[0]);
+        await Model.fire(this, 'afterRestore');
+        this.markClean();
+        this.constructor.remember([this]);
+        return result;
+    }
+
+    /**
+     * Verifico si la instancia fue eliminada con softDeletes
+     * @returns {boolean}
+     */
+    isTrashed() {
+        return this.constructor.isTrashedRecord(this);
     }
 
     // Obtengo todos los elementos de una clase dada y los elimino de IndexedDB
@@ -447,9 +1544,267 @@ export class Model {
     /**
      * Almaceno un array de objetos de una clase dada en su tabla correspondiente
      * @param {[*]} objs
+     * @throws {ValidationError} - Rechazo si alguna instancia no cumple con las reglas de su clase
+     */
+    static async store(objs) {
+        await Model.fireAll(objs, 'beforeSave');
+        this.touchTimestamps(objs);
+        await this.assertValid(objs);
+        let result = await this.db.store(this.table_name, await this.records(objs));
+        this.assignKeys(objs, result);
+        await Model.fireAll(objs, 'afterSave');
+        Model.markAllClean(objs);
+        this.remember(objs);
+        return result;
+    }
+
+    /**
+     * Asigno a las instancias que no tienen clave la que les generó la db al persistirlas
+     * @param {[*]} objs
+     * @param {Array<string|number>} keys - clave de cada instancia, en orden
+     */
+    static assignKeys(objs, keys) {
+        let key = '_' + this.key;
+        objs.forEach((obj, i) => {
+            if (obj instanceof Model && typeof obj[key] === 'undefined') {
+                obj[key] = keys[i];
+            }
+        });
+    }
+
+    /**
+     * Valido las instancias dadas y rechazo con el error de la primera que no sea válida
+     * @param {[*]} objs
+     * @returns {Promise<void>}
+     * @throws {ValidationError}
+     */
+    static async assertValid(objs) {
+        let instances = objs.filter((obj) => obj instanceof Model);
+        for (let instance of instances) {
+            await Validator.assert(instance);
+        }
+        for (let [instance, errors] of Validator.duplicates(instances)) {
+            throw new ValidationError(errors, instance);
+        }
+    }
+
+    /**
+     * Persisto un conjunto de instancias de la clase(nuevas o existentes) en una única transacción
+     * @param {Model[]} instances
+     * @returns {Promise<*>}
+     * @throws {ValidationError} - Rechazo si alguna instancia no cumple con las reglas de su clase
+     */
+    static async saveMany(instances) {
+        await Model.fireAll(instances, 'beforeSave');
+        this.touchTimestamps(instances);
+        await this.assertValid(instances);
+        let result = await this.db.putMany(this.table_name, await this.records(instances));
+        this.assignKeys(instances, result);
+        await Model.fireAll(instances, 'afterSave');
+        Model.markAllClean(instances);
+        this.remember(instances);
+        return result;
+    }
+
+    /**
+     * Obtengo las entradas a escribir de los objetos dados: copias con sus campos cifrados y sus tokens de búsqueda,
+     * o los mismos objetos si la clase no cifra ni busca en ningún campo
+     * @param {[*]} objs
+     * @returns {Promise<Object[]>}
+     */
+    static async records(objs) {
+        return Search.index(this, objs, await Encryption.seal(this, objs));
+    }
+
+    /**
+     * Tomo los valores actuales de las instancias dadas como originales, ignorando los objetos que no son instancias
+     * de Model
+     * @param {[*]} objs
+     */
+    static markAllClean(objs) {
+        for (let obj of objs) {
+            if (obj instanceof Model) {
+                obj.markClean();
+            }
+        }
+    }
+
+    /**
+     * Mapa de identidad de la db de la clase, ver {@link DB#useIdentityMap}
+     * @returns {IdentityMap|null} - nulo si no está habilitado o la clase no tiene db
+     */
+    static get identityMap() {
+        return typeof this._db === 'undefined' ? null : this._db.identityMap;
+    }
+
+    /**
+     * Guardo en el mapa de identidad las instancias recién persistidas, la db descarta las entradas que se escriben
+     * ignorando los objetos que no son instancias o que no tienen clave
+     * @param {[*]} objs
      */
-    static store(objs) {
-        return this.db.store(this.table_name, objs);
+    static remember(objs) {
+        let map = this.identityMap;
+        if (map === null) {
+            return;
+        }
+        for (let obj of objs) {
+            if (obj instanceof Model && typeof obj['_' + this.key] !== 'undefined') {
+                map.set(this.table_name, obj['_' + this.key], obj);
+            }
+        }
+    }
+
+    /**
+     * Quito un conjunto de instancias de la clase de su tabla en una única transacción, si la clase usa
+     * softDeletes solo completo su deleted_at
+     * @param {Model[]} instances
+     * @param {boolean} [force=false] - eliminarlas aunque la clase use softDeletes
+     * @returns {Promise<*>}
+     */
+    static async removeMany(instances, force = false) {
+        await Model.fireAll(instances, 'beforeRemove');
+        let result;
+        let soft = this.softDeletes && !force;
+        if (soft) {
+            let now = new Date();
+            instances.forEach((instance) => instance['_' + Model.TIMESTAMPS.deleted] = now);
+            result = await this.db.putMany(this.table_name, await this.records(instances));
+        } else {
+            result = await this.db.removeMany(this.table_name, instances.map((i) => i.id));
+        }
+        await Model.fireAll(instances, 'afterRemove');
+        Model.markAllClean(instances);
+        if (soft) {
+            this.remember(instances);
+        }
+        return result;
+    }
+
+    /**
+     * @typedef {Object} ResultadoMasivo
+     * @property {Array} succeeded - elementos escritos, en orden
+     * @property {{item: *, error: Error}[]} failed - elementos que fallaron(no son válidos, violan un índice único,
+     * no existen, etc) con su error
+     */
+
+    /**
+     * Actualizo o inserto un conjunto de objetos de la clase de a lotes, a diferencia de saveMany si alguno falla
+     * no cancela a los demás. Los objetos que no son instancias se instancian, las claves autoincrementales
+     * generadas se asignan a las instancias.
+     * Ej: let {succeeded, failed} = await Cat.bulkPut(cats, {chunkSize: 1000, onProgress: ({processed, total}) => ...})
+     * @param {Array<Model|Object>} objs
+     * @param {{chunkSize?: number, onProgress?: function}} [options={}] - ver {@link DB#bulkPut}
+     * @returns {Promise<ResultadoMasivo>} - con las instancias escritas y las fallidas
+     */
+    static bulkPut(objs, options = {}) {
+        return this.bulkWrite(objs.map((obj) => obj instanceof this ? obj : new this(obj)), 'Save', options);
+    }
+
+    /**
+     * Quito de a lotes las entradas de la clase con las claves dadas, si la clase usa softDeletes solo completo su
+     * deleted_at. Las claves que no existen quedan en los fallidos.
+     * @param {Array<string|number>} ids
+     * @param {{force?: boolean, chunkSize?: number, onProgress?: function}} [options={}] - force para eliminarlas
+     * aunque la clase use softDeletes, ver {@link DB#bulkDelete}
+     * @returns {Promise<ResultadoMasivo>} - con las claves eliminadas y las fallidas
+     */
+    static async bulkDelete(ids, options = {}) {
+
+        let key = '_' + this.key;
+        let records = await this.db.getAllFromIndexKeys(this.table_name, this.key, ids);
+        if (!options.force) {
+            records = this.withoutTrashed(records);
+        }
+        let found = new Map(records.map((record) => [record[key], record]));
+
+        let instances = await this.openArray(ids.filter((id) => found.has(id)).map((id) => found.get(id)));
+        let result = await this.bulkWrite(instances, 'Remove', options);
+
+        let missing = ids.filter((id) => !found.has(id)).map((id) => ({
+            item: id,
+            error: new Error('La entrada de ' + this.class_name + ' con clave ' + id + ' no existe.'),
+        }));
+        return {
+            succeeded: result.succeeded.map((instance) => instance.id),
+            failed: missing.concat(result.failed.map((f) => ({item: f.item.id, error: f.error}))),
+        };
+    }
+
+    /**
+     * Escribo un conjunto de instancias de la clase de a lotes ejecutando los hooks de la operación dada, los hooks
+     * posteriores solo se ejecutan sobre las instancias escritas. Las instancias que no son válidas no se escriben y
+     * quedan en los fallidos.
+     * @param {Model[]} instances
+     * @param {'Save'|'Update'|'Remove'} operation
+     * @param {{force?: boolean, chunkSize?: number, onProgress?: function}} [options={}]
+     * @returns {Promise<ResultadoMasivo>}
+     */
+    static async bulkWrite(instances, operation, options = {}) {
+
+        let remove = operation === 'Remove';
+        let force = remove && (options.force || !this.softDeletes);
+        await Model.fireAll(instances, 'before' + operation);
+
+        let pending = [];
+        let failed = [];
+        if (remove) {
+            if (!force) {
+                let now = new Date();
+                instances.forEach((instance) => instance['_' + Model.TIMESTAMPS.deleted] = now);
+            }
+            pending = instances;
+        } else {
+            this.touchTimestamps(instances);
+            for (let instance of instances) {
+                try {
+                    await Validator.assert(instance);
+                    pending.push(instance);
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) {
+                        throw error;
+                    }
+                    failed.push({item: instance, error: error});
+                }
+            }
+            let duplicates = Validator.duplicates(pending);
+            pending = pending.filter((instance) => !duplicates.has(instance));
+            failed.push(...Array.from(duplicates, ([instance, errors]) => ({item: instance, error: new ValidationError(errors, instance)})));
+        }
+
+        let result = force
+            ? await this.db.bulkDelete(this.table_name, pending.map((instance) => instance.id), options)
+            : await this.db.bulkPut(this.table_name, await this.records(pending), options);
+
+        let succeeded = result.succeeded.map(({index}) => pending[index]);
+        this.assignKeys(succeeded, result.succeeded.map(({key}) => key));
+        failed.push(...result.failed.map(({index, error}) => ({item: pending[index], error: error})));
+
+        await Model.fireAll(succeeded, 'after' + operation);
+        Model.markAllClean(succeeded);
+        if (!force) {
+            this.remember(succeeded);
+        }
+        return {succeeded: succeeded, failed: failed};
+    }
+
+    /**
+     * Completo created_at(si no lo tienen) y updated_at de las instancias dadas, si la clase usa timestamps
+     * @param {[*]} objs
+     */
+    static touchTimestamps(objs) {
+        if (!this.timestamps) {
+            return;
+        }
+        let now = new Date();
+        for (let obj of objs) {
+            if (obj instanceof Model) {
+                let created = '_' + Model.TIMESTAMPS.created;
+                if (obj[created] === null || typeof obj[created] === 'undefined') {
+                    obj[created] = now;
+                }
+                obj['_' + Model.TIMESTAMPS.updated] = now;
+            }
+        }
     }
 
     /**
@@ -458,12 +1813,14 @@ export class Model {
      */
     static async nextNewId() {
 
-        return this.first().then(function (first) {
+        // Consulto la db directamente para contemplar también las instancias eliminadas con softDeletes
+        return this.db.getMinFromIndex(this.table_name, this.key).then(function (first) {
 
-            if (first.isEmpty()) {
+            if (!first) {
                 return -1;
             }
-            return first.id >= 0 ? -1 : first.id - 1;
-        });
+            let id = first.value['_' + this.key];
+            return id >= 0 ? -1 : id - 1;
+        }.bind(this));
     }
 }
@@ -0,0 +1,73 @@
+/**
+ * Tokens opacos de la paginación por clave, codifican la posición(clave del índice y clave primaria) de una entrada
+ * y el índice recorrido, así una página se retoma desde la posición exacta aunque haya claves repetidas en el índice.
+ * Las fechas se conservan como fechas para que el rango sobre el índice siga siendo válido.
+ */
+export class Pagination {
+
+    /**
+     * Genero el token de una posición
+     * @param {string} index - índice recorrido
+     * @param {*} key - clave del índice de la entrada
+     * @param {*} primaryKey - clave primaria de la entrada
+     * @returns {string}
+     */
+    static encode(index, key, primaryKey) {
+        let json = JSON.stringify({i: index, k: Pagination.pack(key), p: Pagination.pack(primaryKey)});
+        let bytes = new TextEncoder().encode(json);
+        return btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+    }
+
+    /**
+     * Obtengo la posición de un token
+     * @param {string} token
+     * @param {string} index - índice que se está recorriendo
+     * @returns {{key: *, primaryKey: *}}
+     * @throws {Error} - Revoleo un error si el token es inválido o pertenece a otro índice
+     */
+    static decode(token, index) {
+
+        let position;
+        try {
+            let bytes = Uint8Array.from(atob(token), (char) => char.charCodeAt(0));
+            position = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (e) {
+            throw new Error('El cursor de paginación ' + token + ' no es válido.');
+        }
+
+        if (position.i !== index) {
+            throw new Error('El cursor de paginación pertenece al índice ' + position.i + ' y no a ' + index + '.');
+        }
+        return {key: Pagination.unpack(position.k), primaryKey: Pagination.unpack(position.p)};
+    }
+
+    /**
+     * Preparo una clave para serializarla en json, marcando las fechas
+     * @param {*} key
+     * @returns {*}
+     */
+    static pack(key) {
+        if (key instanceof Date) {
+            return {d: key.toISOString()};
+        }
+        if (Array.isArray(key)) {
+            return key.map(Pagination.pack);
+        }
+        return key;
+    }
+
+    /**
+     * Restauro una clave serializada con pack
+     * @param {*} key
+     * @returns {*}
+     */
+    static unpack(key) {
+        if (Array.isArray(key)) {
+            return key.map(Pagination.unpack);
+        }
+        if (key !== null && typeof key === 'object' && typeof key.d === 'string') {
+            return new Date(key.d);
+        }
+        return key;
+    }
+}
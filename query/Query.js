@@ -0,0 +1,630 @@
+import {DB} from "../db/DB.js";
+import {Collection} from "../collection/Collection.js";
+import {Aggregate} from "../aggregate/Aggregate.js";
+
+/**
+ * @typedef {Object} Condicion
+ * @property {string} field - campo sobre el que se aplica la condición
+ * @property {*} [lower] - límite inferior del rango
+ * @property {*} [upper] - límite superior del rango
+ * @property {boolean} [lowerOpen=false] - si el límite inferior queda excluido
+ * @property {boolean} [upperOpen=false] - si el límite superior queda excluido
+ * @property {function(*): boolean} test - predicado que evalúa la condición en memoria
+ */
+
+/**
+ * Constructor de consultas encadenables sobre un modelo.
+ * * Las condiciones sobre campos indexados se resuelven con un IDBKeyRange sobre el índice correspondiente.
+ * * Las condiciones sobre campos no indexados se filtran en memoria mientras se recorre el cursor.
+ *
+ * Ej: Cat.query().where('age').between(2, 5).orderBy('name', 'desc').offset(20).limit(10).get()
+ */
+export class Query {
+
+    /** @type {typeof Model} */
+    #model;
+    /** @type {Condicion[]} */
+    #conditions = [];
+    /** @type {function(*): boolean[]} */
+    #filters = [];
+    /**
+     * Campo sobre el cual se aplicará el próximo operador
+     * @type {string|null}
+     */
+    #field = null;
+    /** @type {{field: string, direction: IDBCursorDirection}|null} */
+    #order = null;
+    /** @type {number} */
+    #offset = 0;
+    /** @type {number} */
+    #limit = Infinity;
+    /**
+     * Relaciones a cargar junto con los resultados
+     * @type {string[]}
+     */
+    #relations = [];
+    /**
+     * En los modelos con softDeletes, qué hacer con las entradas eliminadas: without las oculta, with las incluye y
+     * only obtiene solo ellas
+     * @type {'without'|'with'|'only'}
+     */
+    #trashed = 'without';
+
+    /**
+     * @param {typeof Model} model - Modelo sobre el cual se consulta
+     */
+    constructor(model) {
+        this.#model = model;
+    }
+
+    /** @returns {typeof Model} */
+    get model() {
+        return this.#model;
+    }
+
+    /**
+     * Relaciones que se cargan junto con los resultados
+     * @returns {string[]}
+     */
+    get relations() {
+        return [...this.#relations];
+    }
+
+    /**
+     * Selecciono el campo sobre el cual se aplicará el próximo operador, si se proporciona un valor se agrega
+     * directamente una condición de igualdad
+     * @param {string} field - nombre del campo
+     * @param {*} [value] - valor con el que debe coincidir el campo
+     * @returns {Query}
+     * @throws {Error} - Revoleo un error si el campo se guarda cifrado
+     */
+    where(field, value) {
+        this.#assertQueryable(field);
+        this.#field = field;
+        if (arguments.length > 1) {
+            return this.equals(value);
+        }
+        return this;
+    }
+
+    /**
+     * Alias de where, para que las consultas con varias condiciones se lean mejor
+     * @param {string} field - nombre del campo
+     * @param {*} [value] - valor con el que debe coincidir el campo
+     * @returns {Query}
+     */
+    and(field, value) {
+        return this.where(...arguments);
+    }
+
+    /**
+     * El campo debe ser igual al valor dado
+     * @param {*} value
+     * @returns {Query}
+     */
+    equals(value) {
+        return this.#addCondition({
+            lower: value,
+            upper: value,
+            test: (v) => Query.compare(v, value) === 0,
+        });
+    }
+
+    /**
+     * El campo debe ser estrictamente mayor al valor dado
+     * @param {*} value
+     * @returns {Query}
+     */
+    above(value) {
+        return this.#addCondition({
+            lower: value,
+            lowerOpen: true,
+            test: (v) => v !== undefined && v !== null && Query.compare(v, value) > 0,
+        });
+    }
+
+    /**
+     * El campo debe ser mayor o igual al valor dado
+     * @param {*} value
+     * @returns {Query}
+     */
+    aboveOrEqual(value) {
+        return this.#addCondition({
+            lower: value,
+            test: (v) => v !== undefined && v !== null && Query.compare(v, value) >= 0,
+        });
+    }
+
+    /**
+     * El campo debe ser estrictamente menor al valor dado
+     * @param {*} value
+     * @returns {Query}
+     */
+    below(value) {
+        return this.#addCondition({
+            upper: value,
+            upperOpen: true,
+            test: (v) => v !== undefined && v !== null && Query.compare(v, value) < 0,
+        });
+    }
+
+    /**
+     * El campo debe ser menor o igual al valor dado
+     * @param {*} value
+     * @returns {Query}
+     */
+    belowOrEqual(value) {
+        return this.#addCondition({
+            upper: value,
+            test: (v) => v !== undefined && v !== null && Query.compare(v, value) <= 0,
+        });
+    }
+
+    /**
+     * El campo debe estar entre los valores dados, por default ambos límites se incluyen
+     * @param {*} lower - límite inferior
+     * @param {*} upper - límite superior
+     * @param {boolean} [includeLower=true] - incluir el límite inferior
+     * @param {boolean} [includeUpper=true] - incluir el límite superior
+     * @returns {Query}
+     */
+    between(lower, upper, includeLower = true, includeUpper = true) {
+        return this.#addCondition({
+            lower: lower,
+            upper: upper,
+            lowerOpen: !includeLower,
+            upperOpen: !includeUpper,
+            test: function (v) {
+                if (v === undefined || v === null) {
+                    return false;
+                }
+                let from = Query.compare(v, lower);
+                let to = Query.compare(v, upper);
+                return (includeLower ? from >= 0 : from > 0) && (includeUpper ? to <= 0 : to < 0);
+            },
+        });
+    }
+
+    /**
+     * El campo(string) debe comenzar con el prefijo dado
+     * @param {string} prefix
+     * @returns {Query}
+     */
+    startsWith(prefix) {
+        return this.#addCondition({
+            lower: prefix,
+            upper: prefix + '\uffff',
+            test: (v) => typeof v === 'string' && v.startsWith(prefix),
+        });
+    }
+
+    /**
+     * El campo debe ser igual a alguno de los valores dados
+     * * Sobre un índice se recorre el rango entre el menor y el mayor valor y se descarta el resto en memoria
+     * @param {Array} values
+     * @returns {Query}
+     */
+    anyOf(values) {
+        let sorted = [...values].sort(Query.compare);
+        return this.#addCondition({
+            lower: sorted[0],
+            upper: sorted[sorted.length - 1],
+            partial: true,
+            test: (v) => sorted.some((value) => Query.compare(v, value) === 0),
+        });
+    }
+
+    /**
+     * Agrego un filtro arbitrario que se evalúa en memoria sobre cada instancia
+     * @param {function(Model): boolean} fn
+     * @returns {Query}
+     * @throws {Error} - Revoleo un error si la clase guarda campos cifrados, el filtro corre mientras se recorre el
+     * cursor y ahí no se pueden descifrar
+     */
+    filter(fn) {
+        let model = this.#model;
+        if (model.encrypted.length > 0) {
+            throw new Error(model.class_name + ' guarda campos cifrados, no se puede usar filter, filtrar las instancias obtenidas.');
+        }
+        // Instancio sin pasar por open para no ejecutar afterLoad sobre entradas que pueden descartarse
+        this.#filters.push((record) => fn(new model(record)));
+        return this;
+    }
+
+    /**
+     * Ordeno los resultados según un campo dado
+     * * Si el campo está indexado, el orden lo da el cursor, sino se ordena en memoria
+     * @param {string} field - campo por el cual ordenar
+     * @param {'asc'|'desc'} [direction='asc'] - sentido del orden
+     * @returns {Query}
+     * @throws {Error} - Revoleo un error si el campo se guarda cifrado
+     */
+    orderBy(field, direction = 'asc') {
+        this.#assertQueryable(field);
+        this.#order = {
+            field: field,
+            direction: direction === 'desc' ? DB.EXTREMOS.anterior : DB.EXTREMOS.siguiente,
+        };
+        return this;
+    }
+
+    /**
+     * Cantidad de resultados a omitir
+     * @param {number} n
+     * @returns {Query}
+     */
+    offset(n) {
+        this.#offset = n;
+        return this;
+    }
+
+    /**
+     * Cantidad máxima de resultados
+     * @param {number} n
+     * @returns {Query}
+     */
+    limit(n) {
+        this.#limit = n;
+        return this;
+    }
+
+    /**
+     * Cargo las relaciones dadas junto con los resultados, con una transacción por tabla relacionada
+     * @param {...string} names - nombres de las relaciones declaradas en el modelo
+     * @returns {Query}
+     */
+    with(...names) {
+        this.#relations.push(...names);
+        return this;
+    }
+
+    /**
+     * Incluyo las entradas eliminadas de los modelos con softDeletes
+     * @returns {Query}
+     */
+    withTrashed() {
+        this.#trashed = 'with';
+        return this;
+    }
+
+    /**
+     * Obtengo solo las entradas eliminadas de los modelos con softDeletes
+     * @returns {Query}
+     */
+    onlyTrashed() {
+        this.#trashed = 'only';
+        return this;
+    }
+
+    /**
+     * Ejecuto la consulta y obtengo la cantidad de resultados sin instanciarlos: sin condiciones en memoria cuento
+     * el rango del índice, sino recorro el cursor contando las entradas que pasan los filtros
+     * @returns {Promise<number>}
+     */
+    async count() {
+        let plan = this.#plan();
+        let db = this.#model.db;
+        let total = plan.filters.length === 0 ?
+            await db.count(this.#model.table_name, {index: plan.index, range: plan.range}) :
+            await db.reduce(this.#model.table_name, (n) => n + 1, 0, {
+                index: plan.index,
+                range: plan.range,
+                filter: (record) => plan.filters.every((f) => f(record)),
+            });
+        return Math.max(0, Math.min(total - this.#offset, this.#limit));
+    }
+
+    /**
+     * Ejecuto la consulta y obtengo las instancias resultantes
+     * @returns {Promise<Collection>}
+     */
+    async get() {
+        let records = await this.#fetch();
+        let instances = await this.#model.eagerLoad(await this.#model.openArray(records), this.#relations);
+        return new Collection(instances);
+    }
+
+    /**
+     * Alias de get, ej: Cat.with('owner').all()
+     * @returns {Promise<Collection>}
+     */
+    all() {
+        return this.get();
+    }
+
+    /**
+     * Ejecuto la consulta y obtengo la primera instancia resultante, si no hay resultados retorno una instancia
+     * vacía
+     * @returns {Promise<Model>}
+     */
+    async first() {
+        let records = await this.#fetch(Math.min(this.#limit, 1));
+        let instance = await this.#model.open(records.length > 0 ? records[0] : null);
+        if (!instance.isEmpty()) {
+            await this.#model.eagerLoad([instance], this.#relations);
+        }
+        return instance;
+    }
+
+    /**
+     * Actualizo los campos dados en todas las instancias que cumplen con la consulta, de a lotes y ejecutando los
+     * hooks de actualización, ver {@link Model.bulkWrite}
+     * Ej: await Cat.query().where('age').above(10).update({color: 'grey'})
+     * @param {Object<string, *>} fields - valores de los campos a actualizar
+     * @param {{chunkSize?: number, onProgress?: function}} [options={}] - ver {@link DB#bulkPut}
+     * @returns {Promise<ResultadoMasivo>} - con las instancias actualizadas y las fallidas
+     */
+    async update(fields, options = {}) {
+        let model = this.#model;
+        let instances = await model.openArray(await this.#fetch());
+        for (let instance of instances) {
+            for (let [field, value] of Object.entries(fields)) {
+                // Con esquema paso por el setter del campo para castear el valor
+                if (model.hasSchema() && model.schema.has(field)) {
+                    instance[field] = value;
+                } else {
+                    instance[Query.storageKey(field)] = value;
+                }
+            }
+        }
+        return model.bulkWrite(instances, 'Update', options);
+    }
+
+    /**
+     * Quito todas las instancias que cumplen con la consulta, de a lotes y ejecutando los hooks de eliminación. Si
+     * la clase usa softDeletes solo completo su deleted_at.
+     * Ej: await Cat.query().where('age').above(20).delete({force: true})
+     * @param {{force?: boolean, chunkSize?: number, onProgress?: function}} [options={}] - force para eliminarlas
+     * aunque la clase use softDeletes, ver {@link DB#bulkDelete}
+     * @returns {Promise<ResultadoMasivo>} - con las instancias eliminadas y las fallidas
+     */
+    async delete(options = {}) {
+        let instances = await this.#model.openArray(await this.#fetch());
+        return this.#model.bulkWrite(instances, 'Remove', options);
+    }
+
+    /**
+     * Calculo agregaciones sobre las entradas que cumplen con la consulta
+     * Ej: Cat.query().where('age').above(2).aggregate().groupBy('color').count()
+     * @returns {Aggregate}
+     */
+    aggregate() {
+        return new Aggregate(this.#model, this);
+    }
+
+    /**
+     * Recorro las entradas crudas que cumplen con las condiciones de la consulta en una única pasada del cursor, sin
+     * instanciarlas ni guardarlas en memoria. El orden no se tiene en cuenta.
+     * @param {function(*, Object): *} fn - recibe el acumulado y la entrada, retorna el nuevo acumulado
+     * @param {*} initial - valor inicial del acumulado
+     * @returns {Promise<*>}
+     * @throws {Error} - Revoleo un error si la consulta tiene offset o límite
+     */
+    reduce(fn, initial) {
+        if (this.#offset > 0 || this.#limit !== Infinity) {
+            throw new Error('No se puede recorrer una consulta con offset o límite en una única pasada.');
+        }
+        let plan = this.#plan();
+        return this.#model.db.reduce(this.#model.table_name, fn, initial, {
+            index: plan.index,
+            range: plan.range,
+            filter: plan.filters.length > 0 ? (record) => plan.filters.every((f) => f(record)) : null,
+        });
+    }
+
+    /**
+     * Obtengo las entradas crudas que cumplen con la consulta
+     * @param {number} [limit] - cantidad máxima de entradas, por default la de la consulta
+     * @returns {Promise<*[]>}
+     */
+    async #fetch(limit = this.#limit) {
+
+        let plan = this.#plan();
+        let filter = plan.filters.length > 0 ? (record) => plan.filters.every((f) => f(record)) : null;
+
+        // Si el cursor ya me da el orden pedido, delego el offset y el límite al recorrido del cursor
+        if (!plan.sort) {
+            return this.#model.db.select(this.#model.table_name, {
+                index: plan.index,
+                range: plan.range,
+                direction: plan.direction,
+                filter: filter,
+                offset: this.#offset,
+                limit: limit,
+            });
+        }
+
+        let records = await this.#model.db.select(this.#model.table_name, {
+            index: plan.index,
+            range: plan.range,
+            filter: filter,
+        });
+
+        let field = Query.storageKey(this.#order.field);
+        let sign = this.#order.direction === DB.EXTREMOS.anterior ? -1 : 1;
+        records.sort((a, b) => sign * Query.compare(a[field], b[field]));
+
+        return records.slice(this.#offset, this.#offset + limit);
+    }
+
+    /**
+     * Armo el plan de ejecución de la consulta: qué índice recorrer, con qué rango, en qué dirección y qué
+     * condiciones resolver en memoria
+     * @returns {{index: string|null, range: IDBKeyRange|null, direction: IDBCursorDirection, filters: function(*): boolean[], sort: boolean}}
+     */
+    #plan() {
+
+        let model = this.#model;
+        let indexed = this.#conditions.filter(function (c) {
+            let bounded = typeof c.lower !== 'undefined' || typeof c.upper !== 'undefined';
+            return bounded && model.isIndexed(c.field);
+        });
+
+        // Prefiero una condición sobre el campo por el que se ordena, así el cursor resuelve ambas cosas
+        let chosen = null;
+        if (this.#order !== null) {
+            chosen = indexed.find((c) => c.field === this.#order.field) || null;
+        }
+        if (chosen === null && indexed.length > 0) {
+            chosen = indexed[0];
+        }
+
+        let index = chosen !== null ? chosen.field : null;
+        if (index === null && this.#order !== null && model.isIndexed(this.#order.field)) {
+            index = this.#order.field;
+        }
+
+        let filters = this.#conditions
+            .filter((c) => c !== chosen || c.partial)
+            .map(function (c) {
+                let field = Query.storageKey(c.field);
+                return (record) => c.test(record[field]);
+            })
+            .concat(this.#filters);
+
+        if (model.softDeletes && this.#trashed !== 'with') {
+            let only = this.#trashed === 'only';
+            filters.unshift((record) => model.isTrashedRecord(record) === only);
+        }
+
+        let sort = this.#order !== null && this.#order.field !== index;
+
+        return {
+            index: index,
+            range: chosen !== null ? Query.keyRange(chosen, this.#model.db.keyRange) : null,
+            direction: this.#order !== null && !sort ? this.#order.direction : DB.EXTREMOS.siguiente,
+            filters: filters,
+            sort: sort,
+        };
+    }
+
+    /**
+     * Agrego una condición sobre el campo seleccionado con where
+     * @param {Object} condition
+     * @returns {Query}
+     * @throws {Error} - Revoleo un error si no se seleccionó un campo previamente
+     */
+    #addCondition(condition) {
+        if (this.#field === null) {
+            throw new Error('Antes de aplicar un operador hay que seleccionar un campo con where.');
+        }
+        condition.field = this.#field;
+        this.#conditions.push(condition);
+        return this;
+    }
+
+    /**
+     * Verifico que un campo se pueda consultar, los campos cifrados solo se pueden leer
+     * @param {string} field
+     * @throws {Error}
+     */
+    #assertQueryable(field) {
+        if (this.#model.encrypted.includes(field)) {
+            throw new Error('El campo ' + field + ' de ' + this.#model.class_name + ' se guarda cifrado, no se puede consultar.');
+        }
+    }
+
+    /**
+     * Obtengo el nombre de la propiedad con la que se almacena un campo en la db
+     * @param {string} field
+     * @returns {string}
+     */
+    static storageKey(field) {
+        return '_' + field;
+    }
+
+    /**
+     * Armo el IDBKeyRange correspondiente a una condición
+     * @param {Condicion} condition
+     * @param {{only: function, bound: function, lowerBound: function, upperBound: function}} [factory=IDBKeyRange] -
+     * fábrica de rangos del adaptador de la db
+     * @returns {IDBKeyRange}
+     */
+    static keyRange(condition, factory = IDBKeyRange) {
+        let hasLower = typeof condition.lower !== 'undefined';
+        let hasUpper = typeof condition.upper !== 'undefined';
+
+        if (hasLower && hasUpper) {
+            if (Query.compare(condition.lower, condition.upper) === 0 && !condition.lowerOpen && !condition.upperOpen) {
+                return factory.only(condition.lower);
+            }
+            return factory.bound(condition.lower, condition.upper, !!condition.lowerOpen, !!condition.upperOpen);
+        }
+        if (hasLower) {
+            return factory.lowerBound(condition.lower, !!condition.lowerOpen);
+        }
+        return factory.upperBound(condition.upper, !!condition.upperOpen);
+    }
+
+    /**
+     * Comparo dos valores con el orden de las claves de IndexedDB(número < fecha < string < binario < array), así el
+     * orden en memoria coincide con el de los índices. Los valores que no son claves van después de las claves y los
+     * nulos al final
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    static compare(a, b) {
+        let aEmpty = a === undefined || a === null;
+        let bEmpty = b === undefined || b === null;
+        if (aEmpty || bEmpty) {
+            return aEmpty === bEmpty ? 0 : (aEmpty ? 1 : -1);
+        }
+
+        let aRank = Query.rank(a);
+        let bRank = Query.rank(b);
+        if (aRank !== bRank) {
+            return aRank < bRank ? -1 : 1;
+        }
+
+        switch (aRank) {
+            case 1:
+                a = a.getTime();
+                b = b.getTime();
+                break;
+            case 3: {
+                let x = a instanceof ArrayBuffer ? new Uint8Array(a) : new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+                let y = b instanceof ArrayBuffer ? new Uint8Array(b) : new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+                for (let i = 0; i < Math.min(x.length, y.length); i++) {
+                    if (x[i] !== y[i]) {
+                        return x[i] < y[i] ? -1 : 1;
+                    }
+                }
+                return Math.sign(x.length - y.length);
+            }
+            case 4:
+                for (let i = 0; i < Math.min(a.length, b.length); i++) {
+                    let order = Query.compare(a[i], b[i]);
+                    if (order !== 0) {
+                        return order;
+                    }
+                }
+                return Math.sign(a.length - b.length);
+        }
+        if (a < b) {
+            return -1;
+        }
+        return a > b ? 1 : 0;
+    }
+
+    /**
+     * Posición del tipo de un valor en el orden de las claves de IndexedDB, 5 si no es una clave
+     * @param {*} value
+     * @returns {number}
+     */
+    static rank(value) {
+        if (typeof value === 'number') {
+            return 0;
+        }
+        if (value instanceof Date) {
+            return 1;
+        }
+        if (typeof value === 'string') {
+            return 2;
+        }
+        if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+            return 3;
+        }
+        return Array.isArray(value) ? 4 : 5;
+    }
+}
@@ -0,0 +1,405 @@
+import {MetaData} from "../model/Model.js";
+
+/**
+ * Relaciones ya cargadas de cada instancia, se guardan por fuera de la instancia para que no se persistan junto con
+ * ella
+ * @type {WeakMap<Model, Map<string, *>>}
+ */
+const loaded = new WeakMap();
+
+/**
+ * Clase base de las relaciones entre modelos, cada relación sabe cómo obtener los modelos relacionados de un
+ * conjunto de instancias con una única transacción por tabla relacionada
+ */
+export class Relation {
+
+    /** @type {typeof Model} */
+    parent;
+    /** @type {string} */
+    name;
+    /** @type {typeof Model|string} */
+    #related;
+
+    /**
+     * @param {typeof Model} parent - Clase que declara la relación
+     * @param {typeof Model|string} related - Clase relacionada o su nombre registrado en MetaData
+     * @param {string} name - nombre de la relación
+     */
+    constructor(parent, related, name) {
+        this.parent = parent;
+        this.#related = related;
+        this.name = name;
+    }
+
+    /**
+     * Obtengo la clase relacionada, si se declaró con su nombre la busco entre las clases registradas
+     * @returns {typeof Model}
+     * @throws {Error} - Revoleo un error si la clase relacionada no está registrada
+     */
+    get related() {
+        if (typeof this.#related !== 'string') {
+            return this.#related;
+        }
+        let clase = MetaData.getClass(this.#related);
+        if (typeof clase === 'undefined') {
+            throw new Error('La clase ' + this.#related + ' de la relación ' + this.name + ' no está registrada.');
+        }
+        return clase;
+    }
+
+    /**
+     * Nombre de la clase relacionada, no requiere que esté registrada
+     * @returns {string}
+     */
+    get related_name() {
+        return typeof this.#related === 'string' ? this.#related : this.#related.class_name;
+    }
+
+    /**
+     * Obtengo los modelos relacionados de un conjunto de instancias y los dejo cargados en cada una
+     * @param {Model[]} instances
+     * @returns {Promise<void>}
+     */
+    async eagerLoad(instances) {
+        throw new Error('Las relaciones deben implementar eagerLoad.');
+    }
+
+    /**
+     * Índices que necesita la relación para poder resolverse, agrupados por tabla
+     * @returns {{model: typeof Model|string, indexes: string[]}[]}
+     */
+    requiredIndexes() {
+        return [];
+    }
+
+    /**
+     * Obtengo el valor almacenado de un campo de una instancia
+     * @param {Model} instance
+     * @param {string} field
+     * @returns {*}
+     */
+    static value(instance, field) {
+        return instance['_' + field];
+    }
+
+    /**
+     * Obtengo los valores distintos y no nulos de un campo en un conjunto de instancias
+     * @param {Model[]} instances
+     * @param {string} field
+     * @returns {Array}
+     */
+    static keys(instances, field) {
+        let keys = instances.map((i) => Relation.value(i, field)).filter((k) => k !== undefined && k !== null);
+        return [...new Set(keys)];
+    }
+
+    /**
+     * Agrupo un conjunto de entradas por el valor de uno de sus campos
+     * @param {Object[]} records
+     * @param {string} field
+     * @returns {Map<*, Object[]>}
+     */
+    static group(records, field) {
+        let groups = new Map();
+        for (let record of records) {
+            let key = Relation.value(record, field);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(record);
+        }
+        return groups;
+    }
+
+    /**
+     * Dejo cargado el valor de una relación en una instancia
+     * @param {Model} instance
+     * @param {string} name - nombre de la relación
+     * @param {*} value
+     */
+    static setLoaded(instance, name, value) {
+        if (!loaded.has(instance)) {
+            loaded.set(instance, new Map());
+        }
+        loaded.get(instance).set(name, value);
+    }
+
+    /**
+     * Obtengo el valor cargado de una relación de una instancia
+     * @param {Model} instance
+     * @param {string} name - nombre de la relación
+     * @returns {*} - undefined si la relación no se cargó
+     */
+    static getLoaded(instance, name) {
+        return loaded.has(instance) ? loaded.get(instance).get(name) : undefined;
+    }
+
+    /**
+     * Verifico si una relación ya se cargó en una instancia
+     * @param {Model} instance
+     * @param {string} name - nombre de la relación
+     * @returns {boolean}
+     */
+    static isLoaded(instance, name) {
+        return loaded.has(instance) && loaded.get(instance).has(name);
+    }
+
+    /**
+     * Descarto el valor cargado de una relación de una instancia, el próximo acceso la vuelve a obtener de la db
+     * @param {Model} instance
+     * @param {string} name - nombre de la relación
+     */
+    static unload(instance, name) {
+        if (loaded.has(instance)) {
+            loaded.get(instance).delete(name);
+        }
+    }
+
+    /**
+     * Descarto las relaciones cargadas de una instancia que dependen de sus campos modificados: las BelongsTo cuya
+     * clave foránea cambió respecto de los valores originales
+     * @param {Model} instance
+     */
+    static invalidate(instance) {
+        if (!loaded.has(instance) || loaded.get(instance).size === 0) {
+            return;
+        }
+        let changes = instance.getChanges();
+        for (let relation of instance.constructor.relations.values()) {
+            if (relation instanceof BelongsTo && relation.foreign_key in changes) {
+                Relation.unload(instance, relation.name);
+            }
+        }
+    }
+
+    /**
+     * Paso un nombre de clase a snake_case, ej: AuditLog -> audit_log
+     * @param {string} name
+     * @returns {string}
+     */
+    static snake(name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    }
+}
+
+/**
+ * La instancia pertenece a otro modelo, la clave foránea está en la tabla de la instancia
+ * Ej: Cat.belongsTo(Owner) -> cat.owner_id
+ */
+export class BelongsTo extends Relation {
+
+    /**
+     * @param {typeof Model} parent
+     * @param {typeof Model|string} related
+     * @param {string} [foreign_key] - campo de la instancia con la clave del modelo relacionado, por default
+     * <relacionado>_id
+     * @param {string} [name] - nombre de la relación, por default el nombre de la clase relacionada en snake_case
+     */
+    constructor(parent, related, foreign_key, name) {
+        super(parent, related, null);
+        this.name = name || Relation.snake(this.related_name);
+        this.foreign_key = foreign_key || Relation.snake(this.related_name) + '_id';
+    }
+
+    async eagerLoad(instances) {
+        let related = this.related;
+        let keys = Relation.keys(instances, this.foreign_key);
+        let records = keys.length > 0 ? await related.db.getAllFromIndexKeys(related.table_name, related.key, keys) : [];
+        let groups = Relation.group(related.withoutTrashed(records), related.key);
+
+        for (let instance of instances) {
+            let matches = groups.get(Relation.value(instance, this.foreign_key));
+            Relation.setLoaded(instance, this.name, await related.open(matches ? matches[0] : null));
+        }
+    }
+
+    requiredIndexes() {
+        return [{model: this.parent, indexes: [this.foreign_key]}];
+    }
+}
+
+/**
+ * La instancia posee un único modelo relacionado, la clave foránea está en la tabla relacionada
+ * Ej: Owner.hasOne(House) -> house.owner_id
+ */
+export class HasOne extends Relation {
+
+    /**
+     * @param {typeof Model} parent
+     * @param {typeof Model|string} related
+     * @param {string} [foreign_key] - campo del modelo relacionado con la clave de la instancia, por default
+     * <clase>_id
+     * @param {string} [name] - nombre de la relación, por default el nombre de la clase relacionada en snake_case
+     */
+    constructor(parent, related, foreign_key, name) {
+        super(parent, related, null);
+        this.name = name || Relation.snake(this.related_name);
+        this.foreign_key = foreign_key || Relation.snake(parent.class_name) + '_id';
+    }
+
+    async eagerLoad(instances) {
+        let related = this.related;
+        let keys = Relation.keys(instances, this.parent.key);
+        let records = keys.length > 0 ? await related.db.getAllFromIndexKeys(related.table_name, this.foreign_key, keys) : [];
+        let groups = Relation.group(related.withoutTrashed(records), this.foreign_key);
+
+        for (let instance of instances) {
+            await this.assign(instance, groups.get(Relation.value(instance, this.parent.key)) || []);
+        }
+    }
+
+    /**
+     * Dejo cargadas en la instancia las entradas relacionadas
+     * @param {Model} instance
+     * @param {Object[]} records
+     * @returns {Promise<void>}
+     */
+    async assign(instance, records) {
+        Relation.setLoaded(instance, this.name, await this.related.open(records.length > 0 ? records[0] : null));
+    }
+
+    requiredIndexes() {
+        return [{model: this.related, indexes: [this.foreign_key]}];
+    }
+}
+
+/**
+ * La instancia posee varios modelos relacionados, la clave foránea está en la tabla relacionada
+ * Ej: Owner.hasMany(Cat, 'owner_id') -> cat.owner_id
+ */
+export class HasMany extends HasOne {
+
+    /**
+     * @param {typeof Model} parent
+     * @param {typeof Model|string} related
+     * @param {string} [foreign_key] - campo del modelo relacionado con la clave de la instancia, por default
+     * <clase>_id
+     * @param {string} [name] - nombre de la relación, por default la tabla de la clase relacionada
+     */
+    constructor(parent, related, foreign_key, name) {
+        super(parent, related, foreign_key, name);
+        if (!name) {
+            this.name = typeof related === 'string' ? Relation.snake(related) + 's' : related.table_name;
+        }
+    }
+
+    async assign(instance, records) {
+        Relation.setLoaded(instance, this.name, await this.related.openArray(records));
+    }
+}
+
+/**
+ * Relación muchos a muchos a través de una tabla pivot que guarda las claves de ambos modelos
+ * Ej: Cat.belongsToMany(Toy, 'cat_toy') -> pivot {cat_id, toy_id}
+ */
+export class BelongsToMany extends Relation {
+
+    /**
+     * @param {typeof Model} parent
+     * @param {typeof Model|string} related
+     * @param {string} pivot - tabla pivot
+     * @param {string} [foreign_key] - campo del pivot con la clave de la instancia, por default <clase>_id
+     * @param {string} [related_key] - campo del pivot con la clave del relacionado, por default <relacionado>_id
+     * @param {string} [name] - nombre de la relación, por default la tabla de la clase relacionada
+     */
+    constructor(parent, related, pivot, foreign_key, related_key, name) {
+        super(parent, related, null);
+        this.pivot = pivot;
+        this.foreign_key = foreign_key || Relation.snake(parent.class_name) + '_id';
+        this.related_key = related_key || Relation.snake(this.related_name) + '_id';
+        this.name = name || (typeof related === 'string' ? Relation.snake(related) + 's' : related.table_name);
+    }
+
+    async eagerLoad(instances) {
+        let related = this.related;
+        let db = this.parent.db;
+        let keys = Relation.keys(instances, this.parent.key);
+        let pivots = keys.length > 0 ? await db.getAllFromIndexKeys(this.pivot, this.foreign_key, keys) : [];
+        let related_keys = Relation.keys(pivots, this.related_key);
+        let records = related_keys.length > 0 ? await related.db.getAllFromIndexKeys(related.table_name, related.key, related_keys) : [];
+        let by_key = Relation.group(related.withoutTrashed(records), related.key);
+        let groups = Relation.group(pivots, this.foreign_key);
+
+        for (let instance of instances) {
+            let matches = (groups.get(Relation.value(instance, this.parent.key)) || [])
+                .map((p) => by_key.get(Relation.value(p, this.related_key)))
+                .filter((r) => typeof r !== 'undefined')
+                .map((r) => r[0]);
+            Relation.setLoaded(instance, this.name, await related.openArray(matches));
+        }
+    }
+
+    /**
+     * Asocio una instancia con una instancia relacionada agregando una entrada al pivot, si ya están asociadas no
+     * agrego nada. La búsqueda y la escritura se hacen en una única transacción sobre el pivot
+     * @param {Model} instance
+     * @param {Model} related
+     * @returns {Promise<*[]>} - clave de la entrada del pivot
+     */
+    async attach(instance, related) {
+        let db = this.parent.db;
+        let result = await db.transaction([this.pivot], db.TRANSACTION_MODE.escritura, async (tx) => {
+            let keys = await this.#pairs(tx, instance, related);
+            if (keys.length > 0) {
+                return keys.slice(0, 1);
+            }
+            let entry = {};
+            entry['_' + this.foreign_key] = instance.id;
+            entry['_' + this.related_key] = related.id;
+            return db.store(this.pivot, [entry]);
+        });
+        this.#unload(instance, related);
+        return result;
+    }
+
+    /**
+     * Quito la asociación entre una instancia y una instancia relacionada, en una única transacción sobre el pivot
+     * @param {Model} instance
+     * @param {Model} related
+     * @returns {Promise<void>}
+     */
+    async detach(instance, related) {
+        let db = this.parent.db;
+        await db.transaction([this.pivot], db.TRANSACTION_MODE.escritura, async (tx) => {
+            let keys = await this.#pairs(tx, instance, related);
+            if (keys.length > 0) {
+                await db.removeMany(this.pivot, keys);
+            }
+        });
+        this.#unload(instance, related);
+    }
+
+    /**
+     * Obtengo las claves de las entradas del pivot que asocian a una instancia con una instancia relacionada
+     * @param {IDBTransaction} tx - transacción sobre el pivot
+     * @param {Model} instance
+     * @param {Model} related
+     * @returns {Promise<*[]>}
+     */
+    async #pairs(tx, instance, related) {
+        // La clave del pivot es la que se le dio al crearlo, ver MigrationVersion.addPivotTable
+        let key_path = tx.objectStore(this.pivot).keyPath;
+        let entries = (await this.parent.db.getAllFromIndex(this.pivot, this.foreign_key, instance.id))
+            .filter((entry) => Relation.value(entry, this.related_key) === related.id);
+        return entries.map((entry) => Array.isArray(key_path) ? key_path.map((path) => entry[path]) : entry[key_path]);
+    }
+
+    /**
+     * Descarto la relación cargada en la instancia y, si la clase relacionada declara la inversa sobre el mismo
+     * pivot, también en la instancia relacionada
+     * @param {Model} instance
+     * @param {Model} related
+     */
+    #unload(instance, related) {
+        Relation.unload(instance, this.name);
+        for (let relation of related.constructor.relations.values()) {
+            if (relation instanceof BelongsToMany && relation.pivot === this.pivot) {
+                Relation.unload(related, relation.name);
+            }
+        }
+    }
+
+    requiredIndexes() {
+        return [];
+    }
+}
@@ -0,0 +1,140 @@
+import {MetaData} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+
+/**
+ * Compara el esquema declarado por las clases registradas en MetaData(tabla, clave e índices) con el esquema de
+ * la db conectada y genera la migración que los iguala.
+ *
+ * Ej:
+ * let migration = await SchemaDiff.generate(db, {name: 'índice por color'});
+ * if (migration !== null) {
+ *     db.addMigration(migration);
+ * }
+ */
+export class SchemaDiff {
+
+    /**
+     * Obtengo el esquema declarado por una clase
+     * @param {typeof Model} clase
+     * @returns {{keyPath: string, autoIncrement: boolean, indexes: Object<string, {keyPath: string|string[], unique: boolean, multiEntry: boolean}>, definitions: Object<string, string|DefinicionIndice>}}
+     */
+    static declared(clase) {
+
+        let indexes = {};
+        let definitions = {};
+
+        for (let name of [clase.key].concat(clase.indexes)) {
+            let definition = clase.index_definitions[name] || name;
+            let described = MigrationVersion.describeIndex(definition);
+            indexes[name] = {keyPath: described.keyPath, unique: described.unique, multiEntry: described.multiEntry};
+            definitions[name] = definition;
+        }
+
+        return {
+            keyPath: '_' + clase.key,
+            autoIncrement: clase.autoincrement,
+            indexes: indexes,
+            definitions: definitions,
+        };
+    }
+
+    /**
+     * Comparo dos índices
+     * @param {{keyPath: string|string[], unique: boolean, multiEntry: boolean}} a
+     * @param {{keyPath: string|string[], unique: boolean, multiEntry: boolean}} b
+     * @returns {boolean}
+     */
+    static sameIndex(a, b) {
+        return [].concat(a.keyPath).join(',') === [].concat(b.keyPath).join(',') &&
+            Array.isArray(a.keyPath) === Array.isArray(b.keyPath) &&
+            !!a.unique === !!b.unique && !!a.multiEntry === !!b.multiEntry;
+    }
+
+    /**
+     * Genero la migración que lleva el esquema de la db conectada al declarado por las clases registradas:
+     * * crea las tablas que faltan
+     * * cambia la clave de las tablas cuya clave no coincide
+     * * agrega los índices que faltan, quita los que sobran y recrea los que cambiaron de opciones
+     * * las tablas que no pertenecen a ninguna clase(ej: pivots) solo se quitan con la opción drop_unknown
+     * @param {DB} db - db conectada
+     * @param {Object} [options]
+     * @param {number} [options.version] - versión de la migración, por default la asigna DB.addMigration
+     * @param {string} [options.name='Migración generada'] - nombre de la migración
+     * @param {boolean} [options.drop_unknown=false] - quitar las tablas que no pertenecen a ninguna clase
+     * @param {string[]} [options.ignore=[]] - tablas a ignorar
+     * @returns {Promise<MigrationVersion|null>} - null si el esquema ya está al día
+     */
+    static async generate(db, {version = undefined, name = 'Migración generada', drop_unknown = false, ignore = []} = {}) {
+
+        let live = await db.schema();
+        let migration = new MigrationVersion(version, name);
+        let changes = 0;
+        let tables = new Set();
+
+        for (let clase of MetaData.clases.values()) {
+
+            let table = clase.table_name;
+            if (ignore.includes(table) || tables.has(table)) {
+                continue;
+            }
+            tables.add(table);
+
+            let declared = SchemaDiff.declared(clase);
+            let current = live[table];
+
+            // Trabajo con el nombre de la tabla y no con la clase, para no modificar los índices de la clase
+            if (typeof current === 'undefined') {
+                let indexes = clase.indexes.map((index) => declared.definitions[index]);
+                migration.addTable(table, clase.key, clase.autoincrement, indexes);
+                changes++;
+                continue;
+            }
+
+            let current_indexes = current.indexes;
+            if (current.keyPath !== declared.keyPath || current.autoIncrement !== declared.autoIncrement) {
+                migration.changeKey(table, clase.key, clase.autoincrement);
+                changes++;
+                // Al cambiar la clave se crea el índice de la nueva clave
+                current_indexes = Object.assign({}, current_indexes);
+                current_indexes[clase.key] = declared.indexes[clase.key];
+            }
+
+            let remove = [];
+            let add = [];
+
+            for (let [index, definition] of Object.entries(current_indexes)) {
+                if (typeof declared.indexes[index] === 'undefined') {
+                    remove.push(index);
+                } else if (!SchemaDiff.sameIndex(definition, declared.indexes[index])) {
+                    remove.push(index);
+                    add.push(declared.definitions[index]);
+                }
+            }
+            for (let index of Object.keys(declared.indexes)) {
+                if (typeof current_indexes[index] === 'undefined') {
+                    add.push(declared.definitions[index]);
+                }
+            }
+
+            if (remove.length > 0) {
+                migration.removeIndexes(table, remove);
+                changes++;
+            }
+            if (add.length > 0) {
+                migration.addIndexes(table, add);
+                changes++;
+            }
+        }
+
+        if (drop_unknown) {
+            for (let table of Object.keys(live)) {
+                if (!tables.has(table) && !ignore.includes(table)) {
+                    migration.removeTable(table);
+                    changes++;
+                }
+            }
+        }
+
+        return changes > 0 ? migration : null;
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * Valor ligado a la ejecución de un callback: lo ve el callback y todo lo que se llame desde él, aunque espere
+ * operaciones asincrónicas, pero no el resto del código que corre al mismo tiempo.
+ * Usa AsyncLocalStorage donde existe(node, deno, bun). Los navegadores todavía no lo tienen, ahí el valor es
+ * ambiental: mientras dure el callback lo ve cualquier código, se haya llamado desde él o no, ver {@link Scope#isolated}.
+ *
+ * Ej:
+ * let scope = new Scope();
+ * await scope.run(tx, async () => { scope.current; // tx });
+ * scope.current; // undefined
+ */
+export class Scope {
+
+    /**
+     * Clase con la que se aíslan los valores, null si el entorno no la tiene. Se puede pisar(ej: con un polyfill)
+     * antes de crear los scopes
+     * @type {typeof AsyncLocalStorage|null}
+     */
+    static storage = globalThis.AsyncLocalStorage
+        ?? globalThis.process?.getBuiltinModule?.('node:async_hooks')?.AsyncLocalStorage
+        ?? null;
+
+    /** @type {AsyncLocalStorage|null} */
+    #storage;
+    /**
+     * Valores de los callbacks en curso cuando no se pueden aislar, el último es el que se ve
+     * @type {Array}
+     */
+    #stack = [];
+
+    constructor() {
+        this.#storage = Scope.storage === null ? null : new Scope.storage();
+    }
+
+    /**
+     * Si el valor solo lo ve el código llamado desde el callback
+     * @returns {boolean}
+     */
+    get isolated() {
+        return this.#storage !== null;
+    }
+
+    /**
+     * Valor del callback en curso, undefined si no hay ninguno
+     * @returns {*}
+     */
+    get current() {
+        if (this.#storage !== null) {
+            return this.#storage.getStore();
+        }
+        return this.#stack.length > 0 ? this.#stack[this.#stack.length - 1] : undefined;
+    }
+
+    /**
+     * Ejecuto un callback con un valor
+     * @param {*} value
+     * @param {function(): Promise<*>} callback
+     * @returns {Promise<*>} - lo que retorne el callback
+     */
+    async run(value, callback) {
+        if (this.#storage !== null) {
+            return this.#storage.run(value, callback);
+        }
+        this.#stack.push(value);
+        try {
+            return await callback();
+        } finally {
+            this.#stack.splice(this.#stack.lastIndexOf(value), 1);
+        }
+    }
+}
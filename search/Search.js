@@ -0,0 +1,200 @@
+import {Collection} from "../collection/Collection.js";
+
+/**
+ * Búsqueda de texto sobre los campos declarados en la propiedad estática searchable de cada modelo. Al persistir una
+ * instancia sus campos se normalizan(minúsculas, sin acentos) y se parten en tokens, que se guardan en la propiedad
+ * _search_tokens de la entrada con un índice multiEntry, así cada token se busca por el índice.
+ *
+ * Sintaxis de la búsqueda:
+ * * 'black fluffy' - todas las palabras(AND)
+ * * 'black OR white' - alguna de las alternativas, cada una puede tener varias palabras
+ * * 'flu*' - palabras que empiecen con flu
+ */
+export class Search {
+
+    /**
+     * Definición del índice multiEntry con los tokens, ver {@link MigrationVersion#addSearchIndex}
+     * @type {DefinicionIndice}
+     */
+    static INDEX = Object.freeze({name: 'search_tokens', keyPath: 'search_tokens', multiEntry: true});
+
+    static MODES = Object.freeze({
+        and: 'and',
+        or: 'or',
+    });
+
+    /**
+     * Función que lleva cada token a su raíz, por default no se modifican
+     * @type {function(string): string}
+     */
+    static #stemmer = (token) => token;
+
+    /**
+     * Configuro la función de stemming, debe ser sincrónica ya que también se usa dentro de las migraciones.
+     * Cambiarla no actualiza los tokens ya guardados.
+     * Ej: Search.useStemmer((token) => token.replace(/(es|s)$/, ''));
+     * @param {function(string): string|null} stemmer - null para no modificar los tokens
+     */
+    static useStemmer(stemmer) {
+        Search.#stemmer = stemmer === null ? (token) => token : stemmer;
+    }
+
+    /**
+     * Normalizo un texto: minúsculas y sin acentos
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+    }
+
+    /**
+     * Parto un texto normalizado en tokens(letras y números)
+     * @param {string} text
+     * @param {boolean} [stem=true] - aplicar la función de stemming a cada token
+     * @returns {string[]}
+     */
+    static tokenize(text, stem = true) {
+        let tokens = Search.normalize(text).split(/[^\p{L}\p{N}]+/u).filter((token) => token.length > 0);
+        return stem ? tokens.map((token) => Search.#stemmer(token)) : tokens;
+    }
+
+    /**
+     * Obtengo los tokens distintos de los campos buscables de un objeto(instancia o entrada cruda)
+     * @param {typeof Model} model
+     * @param {Object} object
+     * @returns {string[]}
+     */
+    static tokens(model, object) {
+        let tokens = new Set();
+        for (let field of model.searchable) {
+            for (let value of [].concat(object['_' + field] ?? [])) {
+                if (value !== null && typeof value !== 'object') {
+                    Search.tokenize(String(value)).forEach((token) => tokens.add(token));
+                }
+            }
+        }
+        return [...tokens];
+    }
+
+    /**
+     * Obtengo copias de las entradas a escribir con los tokens de los objetos originales, si la clase no declara
+     * campos buscables devuelvo las mismas entradas
+     * @param {typeof Model} model
+     * @param {Object[]} objs - instancias originales
+     * @param {Object[]} records - entradas a escribir, pueden ser las mismas instancias
+     * @returns {Object[]}
+     */
+    static index(model, objs, records) {
+        if (model.searchable.length === 0) {
+            return records;
+        }
+        return records.map(function (record, i) {
+            let copy = Object.assign(Object.create(Object.getPrototypeOf(record)), record);
+            copy['_' + Search.INDEX.name] = Search.tokens(model, objs[i]);
+            return copy;
+        });
+    }
+
+    /**
+     * Quito los tokens de una entrada cruda antes de instanciarla, para que no queden en la instancia
+     * @param {Object} record
+     * @returns {Object}
+     */
+    static strip(record) {
+        let key = '_' + Search.INDEX.name;
+        if (!(key in record)) {
+            return record;
+        }
+        let copy = Object.assign({}, record);
+        delete copy[key];
+        return copy;
+    }
+
+    /**
+     * Paso una búsqueda a alternativas(OR) de términos que deben estar todos(AND)
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {'and'|'or'} [options.mode='and'] - cómo combinar las palabras de cada alternativa
+     * @param {boolean} [options.prefix=false] - todas las palabras se buscan como prefijos
+     * @returns {{token: string, prefix: boolean}[][]}
+     */
+    static parse(text, {mode = Search.MODES.and, prefix = false} = {}) {
+
+        let clauses = [];
+        for (let alternative of text.split(/\s+OR\s+/)) {
+            let terms = [];
+            for (let word of alternative.split(/\s+/)) {
+                let wildcard = prefix || word.endsWith('*');
+                // Los prefijos no pasan por el stemming, la raíz podría no ser prefijo de la palabra buscada
+                let tokens = Search.tokenize(word, !wildcard);
+                tokens.forEach((token, i) => terms.push({token: token, prefix: wildcard && i === tokens.length - 1}));
+            }
+            if (mode === Search.MODES.or) {
+                clauses.push(...terms.map((term) => [term]));
+            } else if (terms.length > 0) {
+                clauses.push(terms);
+            }
+        }
+        return clauses;
+    }
+
+    /**
+     * Busco las instancias de un modelo que coincidan con un texto, ordenadas por relevancia: cada término que
+     * coincide con un token suma 2 y cada término que solo coincide como prefijo suma 1, los empates se ordenan por
+     * clave
+     * @param {typeof Model} model
+     * @param {string} text
+     * @param {Object} [options]
+     * @param {'and'|'or'} [options.mode='and'] - cómo combinar las palabras de cada alternativa
+     * @param {boolean} [options.prefix=false] - todas las palabras se buscan como prefijos
+     * @param {number} [options.limit=Infinity] - cantidad máxima de resultados
+     * @returns {Promise<Collection>}
+     * @throws {Error} - Revoleo un error si la clase no declara campos buscables
+     */
+    static async search(model, text, {mode = Search.MODES.and, prefix = false, limit = Infinity} = {}) {
+
+        if (model.searchable.length === 0) {
+            throw new Error('La clase ' + model.class_name + ' no declara campos buscables.');
+        }
+
+        let clauses = Search.parse(text, {mode: mode, prefix: prefix});
+        let key = '_' + model.key;
+        let tokens = '_' + Search.INDEX.name;
+
+        // Obtengo una única vez las entradas de cada término, por el índice de tokens
+        let matches = new Map();
+        for (let term of clauses.flat()) {
+            let id = term.token + (term.prefix ? '*' : '');
+            if (matches.has(id)) {
+                continue;
+            }
+            let range = term.prefix ? model.db.keyRange.bound(term.token, term.token + '\uffff') : model.db.keyRange.only(term.token);
+            let records = await model.db.select(model.table_name, {index: Search.INDEX.name, range: range});
+            let found = new Map();
+            for (let record of model.withoutTrashed(records)) {
+                found.set(record[key], {record: record, score: record[tokens].includes(term.token) ? 2 : 1});
+            }
+            matches.set(id, found);
+        }
+
+        let results = new Map();
+        for (let clause of clauses) {
+            let found = clause.map((term) => matches.get(term.token + (term.prefix ? '*' : '')));
+            for (let [pk, match] of found[0]) {
+                if (!found.every((f) => f.has(pk))) {
+                    continue;
+                }
+                let score = found.reduce((total, f) => total + f.get(pk).score, 0);
+                if (!results.has(pk) || results.get(pk).score < score) {
+                    results.set(pk, {record: match.record, score: score});
+                }
+            }
+        }
+
+        let ranked = [...results.values()]
+            .sort((a, b) => b.score - a.score || model.db.adapter.cmp(a.record[key], b.record[key]))
+            .slice(0, limit);
+        return new Collection(await model.openArray(ranked.map((r) => r.record)));
+    }
+}
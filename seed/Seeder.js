@@ -0,0 +1,55 @@
+/**
+ * Clase base de los seeders, cada seeder carga un conjunto de datos en la db(normalmente con las factories de los
+ * modelos) y puede ejecutar otros seeders. Se ejecutan en orden con {@link MetaData.seed}.
+ *
+ * Ej:
+ * class CatSeeder extends Seeder {
+ *     async run(db) {
+ *         await Cat.factory().count(50).create();
+ *     }
+ * }
+ * await MetaData.seed(db, [OwnerSeeder, CatSeeder]);
+ */
+export class Seeder {
+
+    /**
+     * Cargo los datos del seeder
+     * @param {DB} db
+     * @returns {Promise<void>}
+     */
+    async run(db) {
+        throw new Error('Los seeders deben implementar run.');
+    }
+
+    /**
+     * Ejecuto otros seeders en orden desde este
+     * @param {DB} db
+     * @param {...(typeof Seeder|Seeder|function(DB): Promise<void>)} seeders
+     * @returns {Promise<void>}
+     */
+    async call(db, ...seeders) {
+        for (let seeder of seeders) {
+            await Seeder.execute(seeder, db);
+        }
+    }
+
+    /**
+     * Ejecuto un seeder dado como clase, instancia o función
+     * @param {typeof Seeder|Seeder|function(DB): Promise<void>} seeder
+     * @param {DB} db
+     * @returns {Promise<void>}
+     * @throws {Error} - Revoleo un error si no es un seeder
+     */
+    static async execute(seeder, db) {
+        if (typeof seeder === 'function' && seeder.prototype instanceof Seeder) {
+            return new seeder().run(db);
+        }
+        if (seeder instanceof Seeder) {
+            return seeder.run(db);
+        }
+        if (typeof seeder === 'function') {
+            return seeder(db);
+        }
+        throw new Error('Los seeders deben extender la clase Seeder o ser funciones.');
+    }
+}
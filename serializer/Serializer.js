@@ -0,0 +1,184 @@
+/**
+ * Convierte las instancias de un modelo en objetos planos para las APIs y viceversa: quita el prefijo _ con el que se
+ * almacenan los campos, oculta campos y renombra las claves según la convención de la API.
+ * Se configura con propiedades, en una subclase o al instanciarlo, y se registra por clase y nombre con
+ * {@link MetaData.registerSerializer}, así un modelo puede tener un payload distinto para cada endpoint.
+ *
+ * Ej:
+ * class CatApiSerializer extends Serializer {
+ *     hidden = ['chip'];
+ *     case = Serializer.CASES.camel;
+ *     relations = ['owner'];
+ * }
+ * MetaData.registerSerializer(Cat, CatApiSerializer, 'api');
+ * cat.toJSON({serializer: 'api'}); Cat.fromJSON(payload, {serializer: 'api'});
+ */
+export class Serializer {
+
+    /**
+     * @typedef {string} CASES
+     */
+
+    /**
+     * Enum con las convenciones para nombrar las claves del objeto serializado
+     * @readonly
+     * @enum {CASES}
+     */
+    static CASES = Object.freeze({
+        /** Las claves quedan con el nombre de cada campo */
+        original: 'original',
+        /** ownerId */
+        camel: 'camel',
+        /** owner_id */
+        snake: 'snake',
+    });
+
+    /**
+     * Campos que no se serializan ni se aceptan al deserializar
+     * @type {string[]}
+     */
+    hidden = [];
+    /**
+     * Si no es nulo, los únicos campos que se serializan y se aceptan al deserializar
+     * @type {string[]|null}
+     */
+    visible = null;
+    /**
+     * Convención de las claves
+     * @type {CASES}
+     */
+    case = Serializer.CASES.original;
+    /**
+     * Relaciones que se incluyen siempre, deben estar cargadas
+     * @type {string[]}
+     */
+    relations = [];
+
+    /**
+     * @param {{hidden?: string[], visible?: string[]|null, case?: CASES, relations?: string[]}} [options={}] -
+     * configuración, en las subclases las propiedades declaradas la pisan
+     */
+    constructor(options = {}) {
+        Object.assign(this, options);
+    }
+
+    /**
+     * Serializo una instancia con sus relaciones ya serializadas
+     * @param {Model} instance
+     * @param {Object<string, *>} [relations={}] - valor serializado de cada relación, por nombre
+     * @returns {Object}
+     * @throws {Error} - Revoleo un error si la convención de las claves no existe
+     */
+    serialize(instance, relations = {}) {
+        let json = {};
+        for (let key of Object.keys(instance)) {
+            let field = key.slice(1);
+            if (key.startsWith('_') && this.includes(field)) {
+                json[this.key(field)] = instance[key];
+            }
+        }
+        for (let [name, value] of Object.entries(relations)) {
+            json[this.key(name)] = value;
+        }
+        return json;
+    }
+
+    /**
+     * Paso un objeto serializado a los campos de un modelo, ignorando las claves ocultas y las relaciones
+     * @param {typeof Model} model
+     * @param {Object} data
+     * @returns {Object<string, *>} - valor de cada campo, por nombre
+     */
+    deserialize(model, data) {
+        let known = model.hasSchema() ? [...model.schema.keys(), model.key] : [];
+        let fields = new Map(known.map((field) => [this.key(field), field]));
+        let values = {};
+        for (let [key, value] of Object.entries(data)) {
+            let field = fields.has(key) ? fields.get(key) : this.field(key);
+            if (this.includes(field) && !model.relations.has(field)) {
+                values[field] = value;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Verifico si un campo se serializa
+     * @param {string} field
+     * @returns {boolean}
+     */
+    includes(field) {
+        return !this.hidden.includes(field) && (this.visible === null || this.visible.includes(field));
+    }
+
+    /**
+     * Obtengo la clave con la que se serializa un campo
+     * @param {string} field
+     * @returns {string}
+     */
+    key(field) {
+        switch (this.case) {
+            case Serializer.CASES.original:
+                return field;
+            case Serializer.CASES.camel:
+                return Serializer.camel(field);
+            case Serializer.CASES.snake:
+                return Serializer.snake(field);
+        }
+        throw new Error('La convención de claves ' + this.case + ' no existe, usar original, camel o snake.');
+    }
+
+    /**
+     * Obtengo el campo de una clave que no pertenece al esquema, deshaciendo la convención
+     * @param {string} key
+     * @returns {string}
+     */
+    field(key) {
+        switch (this.case) {
+            case Serializer.CASES.camel:
+                return Serializer.snake(key);
+            case Serializer.CASES.snake:
+                return Serializer.camel(key);
+            default:
+                return key;
+        }
+    }
+
+    /**
+     * Ej: owner_id -> ownerId
+     * @param {string} name
+     * @returns {string}
+     */
+    static camel(name) {
+        return name.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+    }
+
+    /**
+     * Ej: ownerId -> owner_id
+     * @param {string} name
+     * @returns {string}
+     */
+    static snake(name) {
+        return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+    }
+
+    /**
+     * Agrupo las relaciones pedidas con la notación de puntos por su primer nivel
+     * Ej: ['owner', 'owner.address', 'toys'] -> Map {owner => ['address'], toys => []}
+     * @param {string[]} relations
+     * @returns {Map<string, string[]>}
+     */
+    static nest(relations) {
+        let nested = new Map();
+        for (let path of relations) {
+            let [name, ...rest] = path.split('.');
+            if (!nested.has(name)) {
+                nested.set(name, []);
+            }
+            if (rest.length > 0) {
+                nested.get(name).push(rest.join('.'));
+            }
+        }
+        return nested;
+    }
+}
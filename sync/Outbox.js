@@ -0,0 +1,168 @@
+/**
+ * Cola persistente de los cambios locales pendientes de enviar al servidor, junto con el cursor del último pull de
+ * cada tabla. Los cambios sobre un mismo registro se combinan: una actualización sobre un alta pendiente modifica el
+ * alta y una baja sobre un alta pendiente descarta ambas, ya que el servidor nunca conoció el registro. Un alta o una
+ * actualización sobre una baja pendiente la reemplaza por una actualización completa, ya que el servidor todavía tiene
+ * el registro.
+ *
+ * Las tablas se crean con {@link MigrationVersion#addSyncTables}.
+ */
+export class Outbox {
+
+    /**
+     * @typedef {string} ACTIONS
+     */
+
+    /**
+     * Enum con las acciones que se registran
+     * @readonly
+     * @enum {ACTIONS}
+     */
+    static ACTIONS = Object.freeze({
+        create: 'create',
+        update: 'update',
+        delete: 'delete',
+    });
+
+    /** @type {DB} */
+    #db;
+    /** @type {string} */
+    #table;
+
+    /**
+     * @param {DB} db
+     * @param {string} [table='outbox'] - tabla de la cola, los cursores se guardan en <tabla>_cursors
+     */
+    constructor(db, table = 'outbox') {
+        this.#db = db;
+        this.#table = table;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get table() {
+        return this.#table;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get cursors_table() {
+        return this.#table + '_cursors';
+    }
+
+    /**
+     * Registro un cambio local sobre un registro, combinándolo con los cambios pendientes del mismo. La lectura de los
+     * pendientes y la escritura se hacen en una transacción sobre la cola, o en la transacción compartida en curso si
+     * la abarca(ver {@link DB#transaction}), así dos cambios concurrentes sobre un registro no se pisan
+     * @param {string} table - tabla del registro
+     * @param {ACTIONS} action
+     * @param {string|number} key - clave del registro
+     * @param {Object|null} record - copia del registro tal como se almacena(con las propiedades _campo)
+     * @param {Object|null} [changes=null] - campos modificados en una actualización, con el mismo formato que el
+     * registro, nulo para enviar el registro completo
+     * @returns {Promise<void>}
+     */
+    record(table, action, key, record, changes = null) {
+        return this.#db.transaction([this.#table], this.#db.TRANSACTION_MODE.escritura, async () => {
+
+            let pending = await this.pending(table, key);
+            let created = pending.find((entry) => entry._action === Outbox.ACTIONS.create);
+            let deleted = pending.length > 0 && pending[pending.length - 1]._action === Outbox.ACTIONS.delete;
+
+            if (action !== Outbox.ACTIONS.delete && pending.length > 0 && !deleted) {
+                let entry = pending[pending.length - 1];
+                entry._record = record;
+                // Las actualizaciones acumulan sus cambios, un alta o un cambio completo se sigue enviando completo
+                entry._changes = entry._changes === null || changes === null ? null : Object.assign(entry._changes, changes);
+                entry._timestamp = Date.now();
+                entry._revision++;
+                await this.#db.putMany(this.#table, [entry]);
+                return;
+            }
+
+            if (pending.length > 0) {
+                await this.#db.removeMany(this.#table, pending.map((entry) => entry._id));
+            }
+            if (action === Outbox.ACTIONS.delete && typeof created !== 'undefined') {
+                return;
+            }
+
+            // Si se vuelve a crear un registro con una baja pendiente el servidor lo sigue teniendo, se envía completo
+            let replaced = deleted && action !== Outbox.ACTIONS.delete;
+            await this.#db.store(this.#table, [{
+                _table: table,
+                _key: key,
+                _action: replaced ? Outbox.ACTIONS.update : action,
+                _record: record,
+                _changes: action === Outbox.ACTIONS.update && !replaced ? changes : null,
+                _timestamp: Date.now(),
+                _revision: 0,
+            }]);
+        });
+    }
+
+    /**
+     * Obtengo todos los cambios pendientes en el orden en que se registraron
+     * @returns {Promise<Object[]>}
+     */
+    entries() {
+        return this.#db.getAll(this.#table);
+    }
+
+    /**
+     * Obtengo los cambios pendientes de un registro
+     * @param {string} table
+     * @param {string|number} key
+     * @returns {Promise<Object[]>}
+     */
+    pending(table, key) {
+        return this.#db.getAllFromIndex(this.#table, 'table_key', [table, key]);
+    }
+
+    /**
+     * @returns {Promise<number>}
+     */
+    count() {
+        return this.#db.count(this.#table);
+    }
+
+    /**
+     * Actualizo cambios pendientes
+     * @param {Object[]} entries
+     * @returns {Promise<*>}
+     */
+    put(entries) {
+        return this.#db.putMany(this.#table, entries);
+    }
+
+    /**
+     * Descarto cambios pendientes
+     * @param {Object[]} entries
+     * @returns {Promise<*>}
+     */
+    remove(entries) {
+        return this.#db.removeMany(this.#table, entries.map((entry) => entry._id));
+    }
+
+    /**
+     * Obtengo el cursor del último pull de una tabla
+     * @param {string} table
+     * @returns {Promise<*>} - nulo si nunca se hizo un pull
+     */
+    async getCursor(table) {
+        let entry = await this.#db.getByIndex(this.cursors_table, 'table', table);
+        return typeof entry === 'undefined' ? null : entry._cursor;
+    }
+
+    /**
+     * Guardo el cursor del último pull de una tabla
+     * @param {string} table
+     * @param {*} cursor
+     * @returns {Promise<*>}
+     */
+    setCursor(table, cursor) {
+        return this.#db.putMany(this.cursors_table, [{_table: table, _cursor: cursor}]);
+    }
+}
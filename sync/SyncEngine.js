@@ -0,0 +1,599 @@
+import {MetaData, Model} from "../model/Model.js";
+import {BelongsTo, BelongsToMany, HasOne} from "../relation/Relation.js";
+import {EventEmitter} from "../event/EventEmitter.js";
+import {Encryption} from "../encryption/Encryption.js";
+import {Search} from "../search/Search.js";
+import {Outbox} from "./Outbox.js";
+import {FetchTransport, TransportError} from "./Transport.js";
+
+/**
+ * Sincroniza las tablas de los modelos con un servidor:
+ * * registra en el {@link Outbox} las altas, modificaciones y bajas locales de las clases que se sigan con track()
+ * * push envía los cambios pendientes en orden, reintentando con backoff exponencial los errores de red y 5xx
+ * * cuando el servidor asigna la clave definitiva a un registro creado localmente(con clave negativa, ver
+ * {@link Model.nextNewId}) la reemplazo en su tabla, en las claves foráneas de las demás tablas(según las
+ * relaciones declaradas) y en los cambios pendientes
+ * * pull obtiene los cambios del servidor desde el último cursor de cada tabla
+ * * los conflictos se resuelven según la estrategia configurada: last-write-wins, server-wins o una función propia
+ *
+ * Los registros viajan al servidor con los nombres de los campos, sin el _ con el que se almacenan. Los campos cifrados
+ * (ver {@link Encryption}) se guardan cifrados en el outbox y viajan cifrados, los registros recibidos se cifran y
+ * tokenizan como en cualquier escritura de su modelo.
+ *
+ * Ej:
+ * let sync = new SyncEngine(db, {url: 'https://api.example.com/sync', conflict: 'server-wins'});
+ * sync.track(Cat, Owner);
+ * await sync.sync();
+ */
+export class SyncEngine {
+
+    /**
+     * @typedef {string} STRATEGIES
+     */
+
+    /**
+     * Enum con las estrategias de resolución de conflictos, también se puede usar una función
+     * (local, server, {table, action, key}) => registro combinado
+     * @readonly
+     * @enum {STRATEGIES}
+     */
+    static STRATEGIES = Object.freeze({
+        last_write_wins: 'last-write-wins',
+        server_wins: 'server-wins',
+    });
+
+    /** @type {DB} */
+    #db;
+    /** @type {Transport} */
+    #transport;
+    /** @type {Outbox} */
+    #outbox;
+    /** @type {STRATEGIES|function(Object|null, Object|null, Object): Object|Promise<Object>} */
+    #conflict;
+    /** @type {number} */
+    #retries;
+    /** @type {number} */
+    #backoff;
+    /** @type {number} */
+    #max_backoff;
+    /** @type {string} */
+    #timestamp;
+    /** @type {function(number): Promise<void>} */
+    #sleep;
+    /** @type {Map<string, typeof Model>} */
+    #classes = new Map();
+    /** @type {EventEmitter} */
+    #events = new EventEmitter();
+    /** @type {Promise<*>|null} */
+    #running = null;
+
+    /**
+     * @param {DB} db
+     * @param {Object} options
+     * @param {Transport} [options.transport] - transporte a utilizar, si no se proporciona se usa un
+     * {@link FetchTransport} con la url dada
+     * @param {string} [options.url] - url base de la API para el transporte por defecto
+     * @param {string} [options.outbox='outbox'] - tabla de la cola de cambios
+     * @param {STRATEGIES|function} [options.conflict='last-write-wins'] - estrategia de resolución de conflictos
+     * @param {number} [options.retries=5] - reintentos ante errores reintentables
+     * @param {number} [options.backoff=500] - espera en ms antes del primer reintento, se duplica en cada uno
+     * @param {number} [options.max_backoff=30000] - espera máxima en ms entre reintentos
+     * @param {string} [options.timestamp='updated_at'] - campo del servidor con la fecha de modificación, lo usa
+     * last-write-wins
+     * @param {function(number): Promise<void>} [options.sleep] - función de espera, para reemplazarla en los tests
+     * @throws {Error} - Revoleo un error si no se proporciona un transporte ni una url o si la estrategia no existe
+     */
+    constructor(db, {
+        transport = undefined,
+        url = undefined,
+        outbox = 'outbox',
+        conflict = SyncEngine.STRATEGIES.last_write_wins,
+        retries = 5,
+        backoff = 500,
+        max_backoff = 30000,
+        timestamp = 'updated_at',
+        sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)),
+    } = {}) {
+
+        if (typeof transport === 'undefined' && typeof url === 'undefined') {
+            throw new Error('Se debe proporcionar un transporte o la url del servidor.');
+        }
+        if (typeof conflict !== 'function' && !Object.values(SyncEngine.STRATEGIES).includes(conflict)) {
+            throw new Error('La estrategia de resolución de conflictos ' + conflict + ' no existe.');
+        }
+
+        this.#db = db;
+        this.#transport = transport || new FetchTransport(url);
+        this.#outbox = new Outbox(db, outbox);
+        this.#conflict = conflict;
+        this.#retries = retries;
+        this.#backoff = backoff;
+        this.#max_backoff = max_backoff;
+        this.#timestamp = timestamp;
+        this.#sleep = sleep;
+    }
+
+    /**
+     * @returns {Outbox}
+     */
+    get outbox() {
+        return this.#outbox;
+    }
+
+    /**
+     * Me suscribo a un evento de la sincronización: pushed, pulled, conflict, remapped, retry
+     * @param {string} event
+     * @param {function(Object): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    on(event, fn) {
+        return this.#events.on(event, fn);
+    }
+
+    /**
+     * @param {string} event
+     * @param {function(Object): void} fn
+     * @returns {function(): void} - función para desuscribirse
+     */
+    once(event, fn) {
+        return this.#events.once(event, fn);
+    }
+
+    /**
+     * @param {string} event
+     * @param {function} [fn]
+     */
+    off(event, fn) {
+        this.#events.off(event, fn);
+    }
+
+    /**
+     * Sigo los cambios locales de las clases dadas: las instancias nuevas(con clave negativa) se registran como
+     * altas y las demás como modificaciones, de las que solo se envían los campos modificados. Las bajas de las clases
+     * con softDeletes se envían como modificaciones de su deleted_at. Los cambios hechos dentro de
+     * {@link DB#transaction} se registran en su transacción, que debe incluir la tabla del outbox, así el cambio y su
+     * registro en la cola son atómicos.
+     * @param {...typeof Model} classes
+     * @returns {SyncEngine}
+     */
+    track(...classes) {
+
+        let outbox = this.#outbox;
+        let record = async (instance, action, changes) => {
+            let clase = instance.constructor;
+            let [sealed] = action === Outbox.ACTIONS.delete ? [null] : await Encryption.seal(clase, [Object.assign({}, instance)]);
+            let [modified] = action === Outbox.ACTIONS.update ? await Encryption.seal(clase, [SyncEngine.fromServer(changes)]) : [null];
+            return outbox.record(instance.table_name, action, instance.id, sealed, modified);
+        };
+
+        for (let clase of classes) {
+            if (this.#classes.has(clase.table_name)) {
+                continue;
+            }
+            this.#classes.set(clase.table_name, clase);
+            MetaData.observe(clase, {
+                afterSave: (instance, changes) => record(instance, instance.isPersisted() ? Outbox.ACTIONS.update : Outbox.ACTIONS.create, changes),
+                afterUpdate: (instance, changes) => record(instance, instance.isPersisted() ? Outbox.ACTIONS.update : Outbox.ACTIONS.create, changes),
+                afterRemove: (instance, changes) => instance.isTrashed() && Model.TIMESTAMPS.deleted in changes ?
+                    record(instance, Outbox.ACTIONS.update, changes) : record(instance, Outbox.ACTIONS.delete),
+                afterRestore: (instance, changes) => record(instance, Outbox.ACTIONS.update, changes),
+            });
+        }
+        return this;
+    }
+
+    /**
+     * Envío los cambios pendientes y luego obtengo los del servidor, si ya hay una sincronización en curso
+     * retorno la misma
+     * @returns {Promise<{pushed: number, pulled: number}>}
+     */
+    sync() {
+        if (this.#running === null) {
+            this.#running = (async () => {
+                let pushed = await this.push();
+                let pulled = await this.pull();
+                return {pushed: pushed, pulled: pulled};
+            })().finally(() => this.#running = null);
+        }
+        return this.#running;
+    }
+
+    /**
+     * Envío los cambios pendientes en el orden en que se registraron, si uno falla luego de los reintentos se
+     * detiene el envío y los restantes quedan pendientes
+     * @returns {Promise<number>} - cantidad de cambios enviados
+     * @throws {TransportError}
+     */
+    async push() {
+
+        let pushed = 0;
+        let entries = await this.#outbox.entries();
+
+        while (entries.length > 0) {
+            let remapped = await this.#pushEntry(entries.shift());
+            pushed++;
+            // Al reemplazar una clave se modifican los cambios pendientes que la referencian
+            if (remapped) {
+                entries = await this.#outbox.entries();
+            }
+        }
+        return pushed;
+    }
+
+    /**
+     * Obtengo los cambios del servidor de las tablas seguidas desde el último cursor de cada una
+     * @param {...typeof Model} classes - clases a actualizar, por default todas las seguidas
+     * @returns {Promise<number>} - cantidad de registros recibidos
+     * @throws {TransportError}
+     */
+    async pull(...classes) {
+
+        if (classes.length === 0) {
+            classes = Array.from(this.#classes.values());
+        }
+
+        let pulled = 0;
+        for (let clase of classes) {
+            pulled += await this.#pullTable(clase);
+        }
+        return pulled;
+    }
+
+    /**
+     * Envío un cambio pendiente y aplico la respuesta del servidor
+     * @param {Object} entry - entrada del outbox
+     * @returns {Promise<boolean>} - si se reemplazó la clave del registro
+     */
+    async #pushEntry(entry) {
+
+        let clase = this.#class(entry._table);
+        let change = {
+            table: entry._table,
+            action: entry._action,
+            key: entry._key,
+            record: entry._record === null ? null : SyncEngine.toServer(entry._record),
+            changes: entry._changes ? SyncEngine.toServer(entry._changes) : null,
+            force: false,
+        };
+
+        let result = await this.#retry(() => this.#transport.push(change));
+        let record = change.action === Outbox.ACTIONS.delete ? null : result.record;
+
+        if (result.status === 'conflict') {
+            let resolved = await this.#resolve(change.action, change.record, result.record, entry._timestamp, change);
+            record = resolved.record;
+            if (resolved.push) {
+                let forced = Object.assign({}, change, {record: resolved.record, changes: null, force: true});
+                let retried = await this.#retry(() => this.#transport.push(forced));
+                if (retried.status === 'conflict') {
+                    throw new Error('El servidor rechazó el cambio forzado sobre ' + change.table + ' ' + change.key + '.');
+                }
+                record = change.action === Outbox.ACTIONS.delete ? null : retried.record || resolved.record;
+            }
+        }
+
+        let key = record === null || typeof record === 'undefined' ? entry._key : record[clase.key];
+        let remap = typeof key !== 'undefined' && key !== null && key !== entry._key;
+        let references = remap ? await this.#references(clase) : [];
+        let stored = record === null || typeof record === 'undefined' ? null : (await this.#records(clase, [record]))[0];
+        let tables = [clase.table_name, this.#outbox.table].concat(references.map((r) => r.table));
+
+        await this.#db.transaction(Array.from(new Set(tables)), this.#db.TRANSACTION_MODE.escritura, async () => {
+
+            if (remap) {
+                await this.#remap(clase, entry._key, key, references);
+            }
+
+            // Si el registro se modificó o eliminó localmente mientras se enviaba, conservo el cambio para el
+            // próximo push
+            let current = (await this.#outbox.pending(clase.table_name, remap ? key : entry._key))
+                .find((e) => e._id === entry._id);
+            if (typeof current === 'undefined') {
+                if (entry._action !== Outbox.ACTIONS.delete) {
+                    await this.#outbox.record(clase.table_name, Outbox.ACTIONS.delete, remap ? key : entry._key, null);
+                }
+                return;
+            }
+            if (current._revision !== entry._revision) {
+                if (current._action === Outbox.ACTIONS.create) {
+                    current._action = Outbox.ACTIONS.update;
+                }
+                await this.#outbox.put([current]);
+                return;
+            }
+
+            if (stored !== null) {
+                await this.#db.putMany(clase.table_name, [stored]);
+            }
+            await this.#outbox.remove([entry]);
+        });
+
+        if (remap) {
+            this.#events.emit('remapped', {table: clase.table_name, from: entry._key, to: key});
+        }
+        this.#events.emit('pushed', {table: change.table, action: change.action, key: remap ? key : change.key, record: record || null});
+        return remap;
+    }
+
+    /**
+     * Obtengo y aplico los cambios del servidor sobre la tabla de una clase en una única transacción
+     * @param {typeof Model} clase
+     * @returns {Promise<number>}
+     */
+    async #pullTable(clase) {
+
+        let table = clase.table_name;
+        let cursor = await this.#outbox.getCursor(table);
+        let result = await this.#retry(() => this.#transport.pull(table, cursor));
+        let deleted = result.deleted || [];
+
+        let puts = [];
+        let updates = [];
+        let merged = new Map();
+        let discards = [];
+
+        for (let record of result.records) {
+
+            let key = record[clase.key];
+            let pending = await this.#outbox.pending(table, key);
+            if (pending.length === 0) {
+                puts.push(record);
+                continue;
+            }
+
+            let entry = pending[pending.length - 1];
+            let local = entry._record === null ? null : SyncEngine.toServer(entry._record);
+            let resolved = await this.#resolve(entry._action, local, record, entry._timestamp,
+                {table: table, action: entry._action, key: key});
+
+            if (!resolved.push) {
+                puts.push(record);
+                discards.push(...pending);
+            } else if (resolved.record !== local) {
+                // Una función propia combinó ambos registros, el resultado queda pendiente de enviar
+                merged.set(puts.length, entry);
+                puts.push(resolved.record);
+                entry._changes = null;
+                entry._action = Outbox.ACTIONS.update;
+                updates.push(entry);
+            }
+        }
+
+        puts = await this.#records(clase, puts);
+        for (let [i, entry] of merged) {
+            entry._record = Search.strip(puts[i]);
+        }
+
+        // Las bajas del servidor descartan los cambios locales pendientes sobre el registro
+        for (let key of deleted) {
+            discards.push(...await this.#outbox.pending(table, key));
+        }
+
+        let tables = [table, this.#outbox.table, this.#outbox.cursors_table];
+        await this.#db.transaction(tables, this.#db.TRANSACTION_MODE.escritura, async () => {
+            if (puts.length > 0) {
+                await this.#db.putMany(table, puts);
+            }
+            if (deleted.length > 0) {
+                await this.#db.removeMany(table, deleted);
+            }
+            if (updates.length > 0) {
+                await this.#outbox.put(updates);
+            }
+            if (discards.length > 0) {
+                await this.#outbox.remove(discards);
+            }
+            await this.#outbox.setCursor(table, typeof result.cursor === 'undefined' ? cursor : result.cursor);
+        });
+
+        this.#events.emit('pulled', {table: table, records: result.records.length, deleted: deleted.length});
+        return result.records.length;
+    }
+
+    /**
+     * Paso registros del servidor a las entradas que se almacenan, con sus campos cifrados y sus tokens de búsqueda.
+     * Se llama antes de abrir la transacción en la que se escriben, esperar a Web Crypto la cerraría.
+     * @param {typeof Model} clase
+     * @param {Object[]} records - registros con los nombres del servidor, sus campos cifrados pueden venir cifrados
+     * @returns {Promise<Object[]>}
+     */
+    async #records(clase, records) {
+        let opened = [];
+        for (let record of records) {
+            opened.push(await Encryption.open(clase, SyncEngine.fromServer(record)));
+        }
+        return clase.records(opened);
+    }
+
+    /**
+     * Resuelvo un conflicto entre la versión local y la del servidor de un registro
+     * @param {string} action - acción local pendiente
+     * @param {Object|null} local - registro local con los nombres del servidor, nulo si se eliminó
+     * @param {Object|null} server - registro del servidor
+     * @param {number} timestamp - momento del cambio local
+     * @param {Object} change - {table, action, key}
+     * @returns {Promise<{record: Object|null, push: boolean}>} - registro resultante y si se debe enviar al servidor
+     */
+    async #resolve(action, local, server, timestamp, change) {
+
+        this.#events.emit('conflict', {table: change.table, action: action, key: change.key, local: local, server: server});
+
+        if (typeof this.#conflict === 'function') {
+            let merged = await this.#conflict(local, server, {table: change.table, action: action, key: change.key});
+            return {record: merged, push: true};
+        }
+
+        if (this.#conflict === SyncEngine.STRATEGIES.last_write_wins) {
+            let value = server === null ? undefined : server[this.#timestamp];
+            let server_time = typeof value === 'undefined' || value === null ? NaN : new Date(value).getTime();
+            // Si el servidor no informa cuándo se modificó, el cambio local es el último conocido
+            if (isNaN(server_time) || timestamp >= server_time) {
+                return {record: local, push: true};
+            }
+        }
+
+        return {record: server, push: false};
+    }
+
+    /**
+     * Reemplazo la clave de un registro en su tabla, en las claves foráneas que lo referencian y en los cambios
+     * pendientes, debe ejecutarse dentro de una transacción que abarque todas esas tablas
+     * @param {typeof Model} clase
+     * @param {string|number} from - clave local
+     * @param {string|number} to - clave asignada por el servidor
+     * @param {{table: string, field: string, indexed: boolean}[]} references
+     * @returns {Promise<void>}
+     */
+    async #remap(clase, from, to, references) {
+
+        let table = clase.table_name;
+        let key = '_' + clase.key;
+
+        let record = await this.#db.getByIndex(table, clase.key, from);
+        if (typeof record !== 'undefined') {
+            await this.#db.removeByKey(table, from);
+            record[key] = to;
+            await this.#db.putMany(table, [record]);
+        }
+
+        for (let reference of references) {
+            let field = '_' + reference.field;
+            let records = reference.indexed ?
+                await this.#db.getAllFromIndex(reference.table, reference.field, from) :
+                (await this.#db.getAll(reference.table)).filter((r) => r[field] === from);
+            if (records.length > 0) {
+                records.forEach((r) => r[field] = to);
+                await this.#db.putMany(reference.table, records);
+            }
+        }
+
+        let changed = [];
+        for (let entry of await this.#outbox.entries()) {
+            let modified = false;
+            if (entry._table === table && entry._key === from) {
+                entry._key = to;
+                if (entry._record !== null) {
+                    entry._record[key] = to;
+                }
+                modified = true;
+            }
+            for (let reference of references) {
+                let field = '_' + reference.field;
+                for (let values of [entry._record, entry._changes]) {
+                    if (entry._table === reference.table && values && values[field] === from) {
+                        values[field] = to;
+                        modified = true;
+                    }
+                }
+            }
+            if (modified) {
+                changed.push(entry);
+            }
+        }
+        if (changed.length > 0) {
+            await this.#outbox.put(changed);
+        }
+    }
+
+    /**
+     * Obtengo las tablas y campos que referencian a la clave de una clase según las relaciones declaradas por
+     * todas las clases registradas, solo las tablas existentes en la db
+     * @param {typeof Model} clase
+     * @returns {Promise<{table: string, field: string, indexed: boolean}[]>}
+     */
+    async #references(clase) {
+
+        let schema = await this.#db.schema();
+        let references = new Map();
+        let add = (table, field) => {
+            if (typeof schema[table] !== 'undefined') {
+                let indexed = typeof schema[table].indexes[field] !== 'undefined' &&
+                    schema[table].indexes[field].keyPath === '_' + field;
+                references.set(table + '.' + field, {table: table, field: field, indexed: indexed});
+            }
+        };
+
+        for (let other of MetaData.clases.values()) {
+            for (let relation of other.relations.values()) {
+                let own = other.table_name === clase.table_name;
+                if (relation instanceof BelongsToMany) {
+                    if (own) {
+                        add(relation.pivot, relation.foreign_key);
+                    }
+                    if (relation.related.table_name === clase.table_name) {
+                        add(relation.pivot, relation.related_key);
+                    }
+                } else if (relation instanceof BelongsTo) {
+                    if (relation.related.table_name === clase.table_name) {
+                        add(other.table_name, relation.foreign_key);
+                    }
+                } else if (relation instanceof HasOne && own) {
+                    add(relation.related.table_name, relation.foreign_key);
+                }
+            }
+        }
+        return Array.from(references.values());
+    }
+
+    /**
+     * Ejecuto una operación del transporte reintentando los errores reintentables con backoff exponencial
+     * @param {function(): Promise<*>} operation
+     * @returns {Promise<*>}
+     * @throws {Error} - el último error si se agotan los reintentos o el primero que no es reintentable
+     */
+    async #retry(operation) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await operation();
+            } catch (e) {
+                if (!(e instanceof TransportError) || !e.retryable || attempt >= this.#retries) {
+                    throw e;
+                }
+                let delay = Math.min(this.#backoff * Math.pow(2, attempt), this.#max_backoff);
+                this.#events.emit('retry', {error: e, attempt: attempt + 1, delay: delay});
+                await this.#sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * @param {string} table
+     * @returns {typeof Model}
+     * @throws {Error} - Revoleo un error si la tabla no pertenece a una clase seguida
+     */
+    #class(table) {
+        let clase = this.#classes.get(table) || Array.from(MetaData.clases.values()).find((c) => c.table_name === table);
+        if (typeof clase === 'undefined') {
+            throw new Error('La tabla ' + table + ' no pertenece a ninguna clase registrada.');
+        }
+        return clase;
+    }
+
+    /**
+     * Paso un registro almacenado a los nombres de campo del servidor
+     * Ej: {_id: -1, _name: 'Tom'} -> {id: -1, name: 'Tom'}
+     * @param {Object} record
+     * @returns {Object}
+     */
+    static toServer(record) {
+        let converted = {};
+        for (let [field, value] of Object.entries(record)) {
+            converted[field.startsWith('_') ? field.slice(1) : field] = value;
+        }
+        return converted;
+    }
+
+    /**
+     * Paso un registro del servidor al formato con el que se almacena
+     * Ej: {id: 5, name: 'Tom'} -> {_id: 5, _name: 'Tom'}
+     * @param {Object} record
+     * @returns {Object}
+     */
+    static fromServer(record) {
+        let converted = {};
+        for (let [field, value] of Object.entries(record)) {
+            converted['_' + field] = value;
+        }
+        return converted;
+    }
+}
@@ -0,0 +1,175 @@
+/**
+ * Error de comunicación con el servidor, los que son reintentables(errores de red, 429 y 5xx) se reintentan con
+ * backoff exponencial
+ */
+export class TransportError extends Error {
+
+    /**
+     * @param {string} message
+     * @param {number} [status=0] - status http de la respuesta, 0 si no hubo respuesta
+     * @param {boolean} [retryable=true] - si se puede reintentar la operación
+     */
+    constructor(message, status = 0, retryable = true) {
+        super(message);
+        this.name = 'TransportError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * @typedef {Object} Change - cambio local a enviar al servidor
+ * @property {string} table - tabla del registro
+ * @property {string} action - create, update o delete
+ * @property {string|number} key - clave local del registro, negativa si el servidor todavía no lo conoce
+ * @property {Object|null} record - registro con los nombres de campo del servidor(sin _), nulo al eliminar
+ * @property {Object|null} changes - en una actualización, solo los campos modificados, nulo si se debe enviar el
+ * registro completo
+ * @property {boolean} force - si se debe pisar la versión del servidor, se envía al resolver un conflicto
+ */
+
+/**
+ * @typedef {Object} PushResult
+ * @property {string} status - ok o conflict
+ * @property {Object|null} record - registro tal como quedó en el servidor, con la clave asignada por él al crear
+ */
+
+/**
+ * @typedef {Object} PullResult
+ * @property {Object[]} records - registros creados o modificados desde el cursor dado
+ * @property {Array<string|number>} [deleted=[]] - claves de los registros eliminados desde el cursor dado
+ * @property {*} cursor - cursor a enviar en el próximo pull
+ */
+
+/**
+ * Interfaz que deben implementar los transportes que usa {@link SyncEngine}, permite reemplazar el transporte por
+ * defecto(fetch) por websockets, un cliente propio o un mock en los tests
+ */
+export class Transport {
+
+    /**
+     * Envío un cambio local al servidor
+     * @param {Change} change
+     * @returns {Promise<PushResult>}
+     * @throws {TransportError}
+     */
+    async push(change) {
+        throw new Error('El transporte debe implementar push.');
+    }
+
+    /**
+     * Obtengo los cambios del servidor sobre una tabla desde un cursor dado
+     * @param {string} table
+     * @param {*} since - cursor retornado por el pull anterior, nulo en el primero
+     * @returns {Promise<PullResult>}
+     * @throws {TransportError}
+     */
+    async pull(table, since) {
+        throw new Error('El transporte debe implementar pull.');
+    }
+}
+
+/**
+ * Transporte por defecto, habla con una API REST:
+ * * create -> POST url/tabla
+ * * update -> PATCH url/tabla/clave con los campos modificados, o PUT con el registro completo
+ * * delete -> DELETE url/tabla/clave
+ * * pull -> GET url/tabla?since=cursor, responde {records, deleted, cursor}
+ * Al forzar un cambio se agrega ?force=1, un 409 es un conflicto y su cuerpo el registro del servidor.
+ *
+ * Ej: new FetchTransport('https://api.example.com/sync', {headers: {Authorization: 'Bearer ...'}})
+ */
+export class FetchTransport extends Transport {
+
+    /** @type {string} */
+    #url;
+    /** @type {Object<string, string>} */
+    #headers;
+    /** @type {function(string, Object): Promise<Response>} */
+    #fetch;
+
+    /**
+     * @param {string} url - url base de la API
+     * @param {Object} [options]
+     * @param {Object<string, string>} [options.headers={}] - headers a enviar en cada request
+     * @param {function(string, Object): Promise<Response>} [options.fetch] - implementación de fetch, por default la
+     * global
+     */
+    constructor(url, {headers = {}, fetch = undefined} = {}) {
+        super();
+        this.#url = url.replace(/\/+$/, '');
+        this.#headers = headers;
+        this.#fetch = fetch || ((...args) => globalThis.fetch(...args));
+    }
+
+    async push(change) {
+
+        let partial = change.action === 'update' && change.changes !== null && typeof change.changes !== 'undefined';
+        let methods = {create: 'POST', update: partial ? 'PATCH' : 'PUT', delete: 'DELETE'};
+        let url = this.#url + '/' + encodeURIComponent(change.table);
+        if (change.action !== 'create') {
+            url += '/' + encodeURIComponent(change.key);
+        }
+        if (change.force) {
+            url += '?force=1';
+        }
+
+        let response = await this.#request(url, {
+            method: methods[change.action],
+            body: change.action === 'delete' ? undefined : JSON.stringify(partial ? change.changes : change.record),
+        }, [409]);
+        let record = await FetchTransport.body(response);
+
+        return {status: response.status === 409 ? 'conflict' : 'ok', record: record};
+    }
+
+    async pull(table, since) {
+
+        let url = this.#url + '/' + encodeURIComponent(table);
+        if (since !== null && typeof since !== 'undefined') {
+            url += '?since=' + encodeURIComponent(since);
+        }
+
+        let response = await this.#request(url, {method: 'GET'});
+        let body = await FetchTransport.body(response) || {};
+
+        return {records: body.records || [], deleted: body.deleted || [], cursor: body.cursor};
+    }
+
+    /**
+     * Hago un request y revoleo un {@link TransportError} si falla
+     * @param {string} url
+     * @param {Object} init
+     * @param {number[]} [accepted=[]] - status de error que no se consideran fallas
+     * @returns {Promise<Response>}
+     * @throws {TransportError}
+     */
+    async #request(url, init, accepted = []) {
+
+        let response;
+        try {
+            response = await this.#fetch(url, Object.assign({
+                headers: Object.assign({'Content-Type': 'application/json', 'Accept': 'application/json'}, this.#headers),
+            }, init));
+        } catch (e) {
+            throw new TransportError('No se pudo conectar con el servidor: ' + e.message + '.');
+        }
+
+        if (!response.ok && !accepted.includes(response.status)) {
+            let retryable = response.status === 429 || response.status >= 500;
+            throw new TransportError('El servidor respondió ' + response.status + ' a ' + init.method + ' ' + url + '.',
+                response.status, retryable);
+        }
+        return response;
+    }
+
+    /**
+     * Obtengo el cuerpo json de una respuesta, nulo si está vacío
+     * @param {Response} response
+     * @returns {Promise<*>}
+     */
+    static async body(response) {
+        let text = await response.text();
+        return text.length > 0 ? JSON.parse(text) : null;
+    }
+}
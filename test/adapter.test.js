@@ -0,0 +1,158 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {MemoryAdapter, MemoryKeyRange} from "../adapter/MemoryAdapter.js";
+
+/**
+ * Abro una db con una tabla autoincremental people con índices único(email), compuesto(name) y multiEntry(tags)
+ * @param {MemoryAdapter} adapter
+ * @returns {Promise<Object>}
+ */
+function open(adapter) {
+    return adapter.open('people', 1, {
+        upgrade(db) {
+            let store = db.createObjectStore('people', {keyPath: 'id', autoIncrement: true});
+            store.createIndex('email', 'email', {unique: true});
+            store.createIndex('name', ['last', 'first']);
+            store.createIndex('tags', 'tags', {multiEntry: true});
+        },
+    });
+}
+
+describe('MemoryAdapter', () => {
+
+    let adapter;
+    let db;
+
+    beforeEach(async () => {
+        adapter = new MemoryAdapter();
+        db = await open(adapter);
+        let tx = db.transaction('people', 'readwrite');
+        let store = tx.objectStore('people');
+        await store.add({first: 'Ana', last: 'Diaz', email: 'ana@x', age: 30, tags: ['a', 'b']});
+        await store.add({first: 'Juan', last: 'Diaz', email: 'juan@x', age: 25, tags: ['b']});
+        await store.add({first: 'Eva', last: 'Perez', email: 'eva@x', age: 40, tags: []});
+        await tx.done;
+    });
+
+    it('ordena las claves como IndexedDB', () => {
+        let keys = [[1], 'b', new Uint8Array([1]), new Date(0), 2, 'a', -1];
+        let sorted = [...keys].sort((a, b) => adapter.cmp(a, b));
+        assert.deepEqual(sorted, [-1, 2, new Date(0), 'a', 'b', new Uint8Array([1]), [1]]);
+        assert.throws(() => adapter.cmp({}, 1), {name: 'DataError'});
+    });
+
+    it('genera claves autoincrementales y respeta las explícitas', async () => {
+        let store = db.transaction('people', 'readwrite').objectStore('people');
+        assert.equal(await store.put({id: 10, email: 'z@x'}), 10);
+        assert.equal(await store.add({email: 'w@x'}), 11);
+        assert.equal((await store.get(11)).id, 11);
+    });
+
+    it('consulta índices compuestos, multiEntry y con rangos', async () => {
+        let store = db.transaction('people').objectStore('people');
+        assert.deepEqual((await store.index('name').getAll(MemoryKeyRange.only(['Diaz', 'Juan']))).map((p) => p.first), ['Juan']);
+        assert.equal(await store.index('name').count(MemoryKeyRange.bound(['Diaz'], ['Diaz', []])), 2);
+        assert.deepEqual((await store.index('tags').getAll('b')).map((p) => p.first), ['Ana', 'Juan']);
+        assert.deepEqual(await store.getAllKeys(MemoryKeyRange.lowerBound(1, true)), [2, 3]);
+        assert.equal((await store.index('email').get('eva@x')).first, 'Eva');
+    });
+
+    it('recorre cursores en todas las direcciones', async () => {
+        let index = db.transaction('people').objectStore('people').index('tags');
+        let collect = async (direction) => {
+            let keys = [];
+            let cursor = await index.openCursor(null, direction);
+            while (cursor) {
+                keys.push(cursor.key + cursor.primaryKey);
+                cursor = await cursor.continue();
+            }
+            return keys;
+        };
+        assert.deepEqual(await collect('next'), ['a1', 'b1', 'b2']);
+        assert.deepEqual(await collect('prev'), ['b2', 'b1', 'a1']);
+        assert.deepEqual(await collect('nextunique'), ['a1', 'b1']);
+        assert.deepEqual(await collect('prevunique'), ['b1', 'a1']);
+    });
+
+    it('continúa un cursor desde una clave primaria y escribe a través de él', async () => {
+        let tx = db.transaction('people', 'readwrite');
+        let cursor = await tx.objectStore('people').index('tags').openCursor();
+        cursor = await cursor.continuePrimaryKey('b', 2);
+        assert.equal(cursor.value.first, 'Juan');
+        await cursor.update(Object.assign(cursor.value, {age: 26}));
+        cursor = await tx.objectStore('people').openCursor(3);
+        await cursor.delete();
+        await tx.done;
+
+        let store = db.transaction('people').objectStore('people');
+        assert.equal((await store.get(2)).age, 26);
+        assert.equal(await store.count(), 2);
+    });
+
+    it('deshace la transacción si falla una operación', async () => {
+        let tx = db.transaction('people', 'readwrite');
+        let store = tx.objectStore('people');
+        await store.put({id: 1, email: 'ana@x', age: 31});
+        await assert.rejects(store.add({email: 'juan@x'}), {name: 'ConstraintError'});
+        await assert.rejects(tx.done, {name: 'ConstraintError'});
+
+        assert.equal((await db.transaction('people').objectStore('people').get(1)).age, 30);
+    });
+
+    it('deshace la transacción al abortarla', async () => {
+        let tx = db.transaction('people', 'readwrite');
+        await tx.objectStore('people').clear();
+        tx.abort();
+        await assert.rejects(tx.done, {name: 'AbortError'});
+        assert.equal(await db.transaction('people').objectStore('people').count(), 3);
+    });
+
+    it('termina la transacción al esperar algo que no es de la db', async () => {
+        let tx = db.transaction('people');
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        assert.throws(() => tx.objectStore('people'), {name: 'InvalidStateError'});
+    });
+
+    it('ejecuta de a una las transacciones de escritura sobre la misma tabla', async () => {
+        let first = db.transaction('people', 'readwrite').objectStore('people');
+        let second = db.transaction('people', 'readwrite').objectStore('people');
+        let order = [];
+        let a = second.put({id: 1, email: 'second@x'}).then(() => order.push('second'));
+        let b = first.get(1).then(() => order.push('first'));
+        await Promise.all([a, b]);
+        assert.deepEqual(order, ['first', 'second']);
+    });
+
+    it('actualiza la versión y deshace la actualización si se aborta', async () => {
+        db.close();
+        assert.equal(await adapter.version('people'), 1);
+
+        await assert.rejects(adapter.open('people', 2, {
+            upgrade(connection, old_version, new_version, transaction) {
+                connection.deleteObjectStore('people');
+                connection.createObjectStore('other');
+                transaction.abort();
+            },
+        }), {name: 'AbortError'});
+        assert.equal(await adapter.version('people'), 1);
+
+        db = await adapter.open('people');
+        assert.equal(db.version, 1);
+        assert.deepEqual(Array.from(db.objectStoreNames), ['people']);
+    });
+
+    it('avisa a las conexiones abiertas y espera a que se cierren para actualizar', async () => {
+        let events = [];
+        let other = await adapter.open('people', 1, {blocking: () => events.push('blocking')});
+        let upgraded = adapter.open('people', 2, {blocked: () => events.push('blocked')});
+
+        assert.deepEqual(events, []);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        assert.deepEqual(events, ['blocking', 'blocked']);
+
+        db.close();
+        other.close();
+        assert.equal((await upgraded).version, 2);
+        await assert.rejects(adapter.open('people', 1), {name: 'VersionError'});
+    });
+});
@@ -0,0 +1,75 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {connect} from "./helpers.js";
+
+class Cat extends Model {
+
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string', age: 'integer', color: 'string', weight: 'float', born: 'date'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+describe('Aggregate', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Cat, 'id', true, ['age']);
+        db = await connect(migration);
+
+        let cats = [];
+        for (let i = 1; i <= 8; i++) {
+            cats.push(new Cat({id: i, name: 'c' + i, age: i, color: ['black', 'white', 'grey'][i % 3], weight: i % 4 ? i + 0.5 : null, born: new Date(2020, i % 2, 1)}));
+        }
+        await Cat.saveMany(cats);
+        await (await Cat.get(8)).remove();
+    });
+
+    it('calcula sumas, promedios, extremos y valores distintos', async () => {
+        assert.equal(await Cat.aggregate().count(), 7);
+        assert.equal(await Cat.aggregate().sum('weight'), 1.5 + 2.5 + 3.5 + 5.5 + 6.5 + 7.5);
+        assert.equal(await Cat.aggregate().avg('age'), 4);
+        assert.equal(await Cat.aggregate().min('name'), 'c1');
+        assert.deepEqual(await Cat.aggregate().max('born'), new Date(2020, 1, 1));
+        assert.deepEqual(await Cat.aggregate().distinct('color'), ['black', 'grey', 'white']);
+        assert.deepEqual(await Cat.aggregate().distinct('born'), [new Date(2020, 0, 1), new Date(2020, 1, 1)]);
+        assert.deepEqual(await Cat.withTrashed().aggregate().run({cats: ['count'], heaviest: ['max', 'weight']}), {cats: 8, heaviest: 7.5});
+    });
+
+    it('acota el recorrido con las condiciones de una consulta', async () => {
+        let query = Cat.query().where('age').between(2, 6).where('color', 'grey');
+        assert.equal(await Cat.aggregate(query).count(), 2);
+        assert.equal(await query.aggregate().sum('age'), 2 + 5);
+        assert.equal(await Cat.query().where('age').above(10).aggregate().avg('weight'), null);
+        await assert.rejects(Cat.query().limit(3).aggregate().count(), /offset o límite/);
+    });
+
+    it('agrupa por el valor de un campo', async () => {
+        let counts = await Cat.aggregate().groupBy('color').count();
+        assert.deepEqual([...counts], [['white', 3], ['grey', 2], ['black', 2]]);
+
+        let born = await Cat.aggregate().groupBy('born').count();
+        assert.equal(born.size, 2);
+
+        let stats = await Cat.query().where('age').below(7).aggregate().groupBy('color').run({
+            cats: ['count'],
+            weight: ['avg', 'weight'],
+            names: ['distinct', 'name'],
+        });
+        assert.deepEqual(stats.get('grey'), {cats: 2, weight: 4, names: ['c2', 'c5']});
+        assert.deepEqual(stats.get('black'), {cats: 2, weight: 5, names: ['c3', 'c6']});
+        await assert.rejects(Cat.aggregate().run({x: ['median', 'age']}), /median no existe/);
+    });
+});
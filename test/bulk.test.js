@@ -0,0 +1,99 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {ValidationError} from "../validation/Validator.js";
+import {connect} from "./helpers.js";
+
+class Cat extends Model {
+
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string', age: 'integer'};
+    static rules = {age: {min: 0}};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+let updated = [];
+Cat.on('updated', (cat) => updated.push(cat.id));
+
+describe('Escrituras masivas', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Cat, 'id', true, [{keyPath: 'name', unique: true}, 'age']);
+        db = await connect(migration);
+        updated = [];
+    });
+
+    it('inserta y actualiza de a lotes informando el progreso y las entradas que fallan', async () => {
+        await new Cat({name: 'Tom', age: 1}).save();
+
+        let progress = [];
+        let {succeeded, failed} = await Cat.bulkPut([
+            {id: 1, name: 'Tom', age: 5},
+            new Cat({name: 'Kit', age: 2}),
+            {name: 'Tom', age: 1},
+            {name: 'Bad', age: -1},
+        ], {chunkSize: 2, onProgress: (p) => progress.push(p)});
+
+        assert.deepEqual(succeeded.map((cat) => [cat.id, cat.name]), [[1, 'Tom'], [2, 'Kit']]);
+        assert.equal(succeeded[1].isDirty(), false);
+        assert.deepEqual(failed.map((f) => f.item.name), ['Bad', 'Tom']);
+        assert.ok(failed[0].error instanceof ValidationError);
+        assert.equal(failed[1].error.name, 'ConstraintError');
+        assert.deepEqual(progress, [
+            {table: 'cats', processed: 2, total: 3, failed: 0},
+            {table: 'cats', processed: 3, total: 3, failed: 1},
+        ]);
+        assert.deepEqual((await Cat.all()).pluck('age').toArray(), [5, 2]);
+        await assert.rejects(db.bulkPut('cats', [], {chunkSize: 0}), /entero mayor a 0/);
+    });
+
+    it('elimina por clave y reporta las claves que no existen', async () => {
+        await Cat.bulkPut(['Tom', 'Kit', 'Nube', 'Félix'].map((name, i) => ({name: name, age: i})));
+
+        let result = await Cat.bulkDelete([1, 2, 99]);
+        assert.deepEqual(result.succeeded, [1, 2]);
+        assert.deepEqual(result.failed.map((f) => f.item), [99]);
+        assert.match(result.failed[0].error.message, /Cat con clave 99 no existe/);
+        assert.equal(await Cat.count(), 2);
+        assert.equal(await db.count('cats'), 4);
+
+        assert.deepEqual((await Cat.bulkDelete([1], {force: true})).succeeded, [1]);
+        assert.equal(await db.count('cats'), 3);
+
+        await Cat.remove(3);
+        assert.equal((await Cat.get(3)).isEmpty(), true);
+        assert.equal(await Cat.remove(42), undefined);
+    });
+
+    it('actualiza y elimina las instancias de una consulta', async () => {
+        await Cat.bulkPut(['Tom', 'Kit', 'Nube', 'Félix'].map((name, i) => ({name: name, age: i})));
+
+        let result = await Cat.query().where('age').above(1).update({age: '10'});
+        assert.deepEqual(result.succeeded.map((cat) => cat.age), [10, 10]);
+        assert.deepEqual(updated, [3, 4]);
+
+        result = await Cat.query().where('age').below(5).update({age: -1});
+        assert.equal(result.succeeded.length, 0);
+        assert.equal(result.failed.length, 2);
+
+        result = await Cat.query().where('age', 10).delete({chunkSize: 1});
+        assert.equal(result.succeeded.length, 2);
+        assert.deepEqual((await Cat.all()).pluck('name').toArray(), ['Tom', 'Kit']);
+
+        await Cat.withTrashed().where('name').anyOf(['Nube', 'Kit']).delete({force: true});
+        assert.deepEqual((await db.getAll('cats')).map((r) => r._name), ['Tom', 'Félix']);
+    });
+});
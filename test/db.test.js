@@ -0,0 +1,127 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {DB} from "../db/DB.js";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {connect, tick} from "./helpers.js";
+
+class Cat extends Model {
+
+    static fields = {id: 'integer', name: 'string', color: 'string', born: 'date'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+/** @returns {MigrationVersion} */
+function migration() {
+    let migration = new MigrationVersion(1);
+    migration.addTable(Cat, 'id', true, ['color', {keyPath: 'name', unique: true}]);
+    migration.addTable('logs');
+    return migration;
+}
+
+describe('DB', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        db = await connect(migration());
+        let cats = [];
+        for (let i = 1; i <= 7; i++) {
+            cats.push(new Cat({id: i, name: 'c' + i, color: i % 2 ? 'black' : 'white', born: new Date(2020, 1, i)}));
+        }
+        await Cat.saveMany(cats);
+        await db.store('logs', [{_message: 'ñandú'}]);
+    });
+
+    it('exporta e importa un volcado json', async () => {
+        let json = await db.export();
+        let target = await connect(migration());
+        let progress = [];
+        let transactions = [];
+        target.transaction = (...args) => {
+            transactions.push(args[0]);
+            return DB.prototype.transaction.apply(target, args);
+        };
+
+        let result = await target.import(json, {chunkSize: 3, onProgress: (p) => progress.push(p.imported + '/' + p.total)});
+        assert.deepEqual(result, {imported: 8, tables: ['cats', 'logs']});
+        assert.deepEqual(progress, ['3/8', '6/8', '7/8', '8/8']);
+        assert.deepEqual(transactions, []);
+        await target.import(json, {mode: 'replace'});
+        assert.deepEqual(transactions, [['cats', 'logs']]);
+
+        let cats = await target.getAll('cats');
+        assert.equal(cats.length, 7);
+        assert.ok(cats[0]._born instanceof Date);
+    });
+
+    it('exporta de a lotes en ndjson e importa reemplazando', async () => {
+        let lines = [];
+        for await (let line of await db.export({format: 'ndjson', batch: 3})) {
+            lines.push(line);
+        }
+        assert.equal(lines.length, 9);
+
+        let target = await connect(migration());
+        await target.putMany('cats', [{_id: 99, _name: 'extra'}]);
+        let encoder = new TextEncoder();
+        let chunks = lines.join('').match(/[\s\S]{1,50}/g).map((chunk) => encoder.encode(chunk));
+        await target.import((async function* () {
+            yield* chunks;
+        })(), {mode: 'replace'});
+
+        assert.equal(await target.count('cats'), 7);
+        assert.equal((await target.getAll('logs'))[0]._message, 'ñandú');
+    });
+
+    it('rechaza volcados de una versión posterior del esquema', async () => {
+        let dump = JSON.parse(await db.export());
+        dump.schema_version = 5;
+        await assert.rejects(db.import(dump), /migrar la db antes de importarlo/);
+
+        dump = JSON.parse(await db.export());
+        dump.data.dogs = [{_id: 1}];
+        await assert.rejects(db.import(dump, {mode: 'replace'}), /tablas dogs, que no figuran en su esquema/);
+        dump = JSON.parse(await db.export());
+        dump.schema.cats.keyPath = '_name';
+        await assert.rejects(db.import(dump, {mode: 'replace'}), /tablas cats del volcado tienen otra clave/);
+        assert.equal(await db.count('cats'), 7);
+
+        dump = JSON.parse(await db.export());
+        dump.data.cats.push({_id: 50, _name: 'c1'});
+        await assert.rejects(db.import(JSON.stringify(dump), {mode: 'replace', atomic: true}), {name: 'ConstraintError'});
+        assert.equal(await db.count('cats'), 7);
+        await assert.rejects(db.import([].values(), {atomic: true}), /requiere el volcado completo en memoria/);
+    });
+
+    it('vuelve a ejecutar las consultas en vivo al escribir en sus tablas', async () => {
+        let seen = [];
+        let changes = [];
+        let off = db.onChange((change) => changes.push(change.tables));
+        let subscription = Cat.live(Cat.query().where('color', 'black')).subscribe((cats) => seen.push(cats.length));
+        await tick();
+
+        await new Cat({id: 8, name: 'c8', color: 'black'}).save();
+        await tick();
+        await db.store('logs', [{_message: 'otra tabla'}]);
+        await tick();
+
+        subscription.unsubscribe();
+        off();
+        await new Cat({id: 9, name: 'c9', color: 'black'}).save();
+        await tick();
+
+        assert.deepEqual(seen, [4, 5]);
+        assert.deepEqual(changes, [['cats'], ['logs']]);
+        assert.ok(subscription.closed);
+    });
+});
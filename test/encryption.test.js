@@ -0,0 +1,94 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Encryption, StaticKeyProvider} from "../encryption/Encryption.js";
+import {connect} from "./helpers.js";
+
+class Patient extends Model {
+
+    static fields = {id: 'integer', name: 'string', ssn: 'string', notes: 'json', born: 'date'};
+
+    static encrypted = ['ssn', 'notes', 'born'];
+
+    static get table() {
+        return 'patients';
+    }
+
+    static get class() {
+        return 'Patient';
+    }
+}
+
+Patient.register();
+
+describe('Encryption', () => {
+
+    let db;
+    let provider;
+
+    beforeEach(async () => {
+        provider = new StaticKeyProvider({v1: crypto.getRandomValues(new Uint8Array(32))});
+        Encryption.use(provider);
+        let migration = new MigrationVersion(1);
+        migration.addTable(Patient, 'id', true, ['name']);
+        db = await connect(migration);
+    });
+
+    it('guarda cifrados los campos declarados y los descifra al instanciar', async () => {
+        let since = new Date(Date.UTC(2001, 0, 1));
+        await new Patient({name: 'Ana', ssn: '123-45', notes: {allergies: ['penicilina'], since: since}, born: new Date(1990, 0, 1)}).save();
+
+        let record = (await db.getAll('patients'))[0];
+        assert.equal(record._name, 'Ana');
+        assert.ok(Encryption.isEncrypted(record._ssn));
+        assert.equal(record._ssn.key, 'v1');
+        assert.ok(!JSON.stringify(record).includes('123-45'));
+        let opened = await Encryption.open(Patient, record);
+        assert.deepEqual([opened._born, opened._notes.since], [new Date(1990, 0, 1), since]);
+        assert.throws(() => Patient.instantiate(record), /Patient guarda campos cifrados, instanciar sus entradas con Patient.open/);
+        assert.equal((await Patient.open(record)).ssn, '123-45');
+
+        let patient = await Patient.get(1);
+        assert.equal(patient.ssn, '123-45');
+        assert.deepEqual(patient.notes, {allergies: ['penicilina'], since: since});
+        assert.deepEqual(patient.born, new Date(1990, 0, 1));
+        assert.equal(patient.isDirty(), false);
+
+        patient.ssn = '999-99';
+        await patient.update();
+        assert.equal(patient.ssn, '999-99');
+        assert.equal((await Patient.query().where('name', 'Ana').first()).ssn, '999-99');
+    });
+
+    it('no permite consultar ni indexar los campos cifrados', () => {
+        assert.throws(() => Patient.query().where('ssn', '123-45'), /se guarda cifrado, no se puede consultar/);
+        assert.throws(() => Patient.query().orderBy('born'), /no se puede consultar/);
+        assert.throws(() => Patient.query().filter((p) => p.ssn === '123-45'), /Patient guarda campos cifrados, no se puede usar filter/);
+
+        let migration = new MigrationVersion(2);
+        assert.throws(() => migration.addIndexes(Patient, [{keyPath: ['name', 'ssn']}]), /campo ssn de Patient se guarda cifrado, no se puede indexar/);
+        assert.throws(() => new MigrationVersion(1).addTable(Patient, 'id', true, ['notes']), /no se puede indexar/);
+        assert.throws(() => migration.reencrypt('patients'), /declaren campos cifrados/);
+    });
+
+    it('vuelve a cifrar con la clave rotada', async () => {
+        await Patient.saveMany([new Patient({name: 'Ana', ssn: '1'}), new Patient({name: 'Eva', ssn: '2'})]);
+        await db.putMany('patients', [{_id: 3, _name: 'Kit', _ssn: '3', _notes: null}]);
+
+        provider.add('v2', await Encryption.generateKey()).use('v2');
+        let migration = new MigrationVersion(2);
+        migration.reencrypt(Patient);
+        assert.deepEqual(migration.describe(), [{operation: 'reencrypt', table: 'patients'}]);
+
+        await migration.runDeferred(db);
+        let records = await db.getAll('patients');
+        assert.deepEqual(records.map((r) => r._ssn.key), ['v2', 'v2', 'v2']);
+        assert.equal(records[2]._notes, null);
+        assert.deepEqual((await Patient.all()).pluck('ssn').toArray(), ['1', '2', '3']);
+        assert.equal(await Encryption.reencrypt(db, Patient), 0);
+
+        Encryption.use(new StaticKeyProvider({v2: crypto.getRandomValues(new Uint8Array(32))}));
+        await assert.rejects(Patient.get(1), /No se pudo descifrar un valor con la clave v2/);
+    });
+});
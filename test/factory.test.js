@@ -0,0 +1,140 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {MetaData, Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Factory} from "../factory/Factory.js";
+import {Seeder} from "../seed/Seeder.js";
+import {connect} from "./helpers.js";
+
+class Owner extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'owners';
+    }
+
+    static get class() {
+        return 'Owner';
+    }
+}
+
+class Cat extends Model {
+
+    static fields = {id: 'integer', name: 'string', color: 'string', age: 'integer', owner_id: 'integer'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Toy extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'toys';
+    }
+
+    static get class() {
+        return 'Toy';
+    }
+}
+
+Owner.register();
+Cat.register();
+Toy.register();
+Owner.hasMany(Cat, 'owner_id');
+Cat.belongsTo(Owner);
+Cat.belongsToMany(Toy, 'cat_toy');
+
+Factory.define(Owner, {name: ({sequence}) => 'Owner ' + sequence});
+Factory.define(Cat, {
+    name: ({sequence}) => 'Cat ' + sequence,
+    color: Factory.sequence('white', 'grey'),
+    age: ({index}) => index + 1,
+    owner_id: () => Owner.factory(),
+}, {
+    black: {color: 'black'},
+    senior: ({index}) => ({age: 15 + index}),
+});
+Factory.define(Toy, {name: ({sequence}) => 'Toy ' + sequence});
+
+describe('Factory', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Owner);
+        migration.addTable(Cat, 'id', true, ['owner_id']);
+        migration.addTable(Toy);
+        migration.addPivotTable('cat_toy', 'cat_id', 'toy_id');
+        db = await connect(migration);
+        Factory.resetSequences();
+    });
+
+    it('arma instancias con secuencias, estados y atributos dados', () => {
+        let cats = Cat.factory().count(3).make();
+        assert.deepEqual(cats.pluck('name').toArray(), ['Cat 1', 'Cat 2', 'Cat 3']);
+        assert.deepEqual(cats.pluck('color').toArray(), ['white', 'grey', 'white']);
+        assert.equal(cats[0].owner_id, null);
+
+        let cat = Cat.factory().state('black', 'senior').state({name: 'Tom'}).make({age: 3});
+        assert.ok(cat instanceof Cat);
+        assert.deepEqual([cat.name, cat.color, cat.age], ['Tom', 'black', 3]);
+        assert.throws(() => Cat.factory().state('orange'), /no tiene el estado orange/);
+    });
+
+    it('persiste las instancias y crea sus modelos relacionados', async () => {
+        let cats = await Cat.factory().count(2).create();
+        assert.deepEqual(cats.pluck('id').toArray(), [1, 2]);
+        assert.deepEqual(cats.pluck('owner_id').toArray(), [1, 2]);
+        assert.equal(cats[0].isDirty(), false);
+        assert.equal(await Owner.count(), 2);
+
+        let owner = await Owner.factory().has(Cat.factory().count(3).state('black')).create();
+        assert.deepEqual((await owner.cats()).map((cat) => cat.color), ['black', 'black', 'black']);
+
+        await Cat.factory().count(2).for(Owner.factory()).create();
+        assert.deepEqual((await Cat.query().where('owner_id', 4).get()).pluck('name').toArray(), ['Cat 6', 'Cat 7']);
+
+        let cat = await Cat.factory().for(owner).has(Toy.factory().count(2)).create();
+        assert.equal(cat.owner_id, owner.id);
+        await cat.load('toys');
+        assert.deepEqual(cat.relation('toys').map((toy) => toy.name), ['Toy 1', 'Toy 2']);
+    });
+
+    it('ejecuta los seeders en orden sobre la db vaciada', async () => {
+        await Toy.factory().count(5).create();
+        await db.store('cat_toy', [{_cat_id: 1, _toy_id: 1}]);
+
+        class OwnerSeeder extends Seeder {
+            async run() {
+                await Owner.factory().count(2).create();
+            }
+        }
+
+        class CatSeeder extends Seeder {
+            async run(db) {
+                await this.call(db, async () => {
+                    await Cat.factory().count(3).for(await Owner.first()).create();
+                });
+            }
+        }
+
+        await MetaData.seed(db, [OwnerSeeder, new CatSeeder()]);
+        assert.equal(await Toy.count(), 0);
+        assert.equal(await db.count('cat_toy'), 0);
+        assert.equal(await Owner.count(), 2);
+        assert.deepEqual((await Cat.all()).pluck('owner_id').toArray(), [1, 1, 1]);
+        assert.equal((await Cat.get(1)).name, 'Cat 1');
+
+        await assert.rejects(MetaData.seed(db, [{}], {fresh: false}), /deben extender la clase Seeder/);
+        assert.equal(await Owner.count(), 2);
+    });
+});
@@ -0,0 +1,27 @@
+import {DB} from "../db/DB.js";
+import {Model} from "../model/Model.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+
+let count = 0;
+
+/**
+ * Creo una db en memoria nueva con las migraciones dadas, la conecto y se la asigno a los modelos registrados
+ * @param {...MigrationVersion} migrations
+ * @returns {Promise<DB>}
+ */
+export async function connect(...migrations) {
+    let db = new DB('test-' + (++count), 0, new MemoryAdapter());
+    migrations.forEach((migration) => db.addMigration(migration));
+    await db.connect();
+    Model.init(db);
+    return db;
+}
+
+/**
+ * Espero a que terminen las transacciones y notificaciones pendientes
+ * @param {number} [ms=20]
+ * @returns {Promise<void>}
+ */
+export function tick(ms = 20) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,139 @@
+import {describe, it, beforeEach, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import {DB} from "../db/DB.js";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+import {tick} from "./helpers.js";
+
+class Cat extends Model {
+
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+let count = 0;
+
+/**
+ * Abro una db sobre el adaptador dado con la tabla de gatos
+ * @param {string} name
+ * @param {MemoryAdapter} adapter
+ * @returns {Promise<DB>}
+ */
+async function open(name, adapter) {
+    let migration = new MigrationVersion(1);
+    migration.addTable(Cat, 'id', true, ['name']);
+    let db = new DB(name, 0, adapter).addMigration(migration);
+    await db.connect();
+    return db;
+}
+
+describe('Mapa de identidad', () => {
+
+    let adapter;
+    let db;
+
+    beforeEach(async () => {
+        adapter = new MemoryAdapter();
+        db = await open('identity-' + (++count), adapter);
+        Model.init(db);
+        await Cat.saveMany(['Tom', 'Kit', 'Nube'].map((name) => new Cat({name: name})));
+    });
+
+    afterEach(() => db.useIdentityMap(null));
+
+    it('devuelve la misma instancia en cada lectura de una entrada', async () => {
+        assert.notEqual(await Cat.get(1), await Cat.get(1));
+
+        let map = db.useIdentityMap({capacity: 2});
+        let tom = await Cat.get(1);
+        assert.equal(await Cat.get(1), tom);
+        assert.equal(await Cat.query().where('name', 'Tom').first(), tom);
+        assert.equal((await Cat.allFromIndex('name', 'Tom'))[0], tom);
+
+        tom.name = 'Tomás';
+        assert.equal((await Cat.get(1)).name, 'Tomás');
+        await tom.update();
+        assert.equal(await Cat.get(1), tom);
+        assert.deepEqual(map.stats, {hits: 3, misses: 1, evictions: 0, hitRate: 0.75, size: 1, capacity: 2});
+
+        await Cat.get(2);
+        await Cat.get(3);
+        assert.equal(map.size, 2);
+        assert.equal(map.stats.evictions, 1);
+        assert.notEqual(await Cat.get(1), tom);
+
+        await (await Cat.get(3)).remove();
+        assert.equal((await Cat.get(3)).isEmpty(), true);
+        assert.throws(() => db.useIdentityMap({capacity: 0}), /entero mayor a 0/);
+    });
+
+    it('descarta las entradas escritas por fuera de los modelos, en otras pestañas o en transacciones abortadas', async () => {
+        db.useIdentityMap();
+        let tom = await Cat.get(1);
+
+        await db.putMany('cats', [{_id: 1, _name: 'Félix'}]);
+        let felix = await Cat.get(1);
+        assert.notEqual(felix, tom);
+        assert.equal(felix.name, 'Félix');
+
+        await assert.rejects(db.transaction([Cat], 'readwrite', async () => {
+            felix.name = 'Gato';
+            await felix.update();
+            throw new Error('Se cancela');
+        }), /Se cancela/);
+        assert.equal((await Cat.get(1)).name, 'Félix');
+
+        let kit = await Cat.get(2);
+        let other = await open('identity-' + count, adapter);
+        await other.putMany('cats', [{_id: 2, _name: 'Kitty'}]);
+        await tick();
+        assert.notEqual(await Cat.get(2), kit);
+        assert.equal((await Cat.get(2)).name, 'Kitty');
+
+        await Cat.clean();
+        assert.equal((await Cat.get(2)).isEmpty(), true);
+    });
+
+    it('usa un mapa propio dentro de un bloque', async () => {
+        let stats = await db.withIdentityMap(async (map) => {
+            assert.equal(db.identityMap, map);
+            assert.equal(await Cat.get(1), await Cat.get(1));
+            return map.stats;
+        });
+        assert.deepEqual([stats.hits, stats.misses], [1, 1]);
+        assert.equal(db.identityMap, null);
+        assert.notEqual(await Cat.get(1), await Cat.get(1));
+    });
+
+    it('solo usa el mapa del bloque desde su callback', async () => {
+        let global = db.useIdentityMap();
+        let tom = await Cat.get(1);
+        let block = db.withIdentityMap(async (map) => {
+            let kit = await Cat.get(2);
+            await tick();
+            assert.equal(db.identityMap, map);
+            assert.equal(await Cat.get(2), kit);
+            assert.notEqual(await Cat.get(1), tom);
+            return map.stats;
+        });
+        await tick(5);
+        assert.equal(db.identityMap, global);
+        assert.equal(await Cat.get(1), tom);
+        assert.equal(global.peek('cats', 2), undefined);
+
+        let stats = await block;
+        assert.deepEqual([stats.hits, stats.misses], [1, 2]);
+        assert.deepEqual([global.stats.hits, global.stats.misses], [1, 1]);
+    });
+});
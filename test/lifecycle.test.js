@@ -0,0 +1,145 @@
+import {describe, it, beforeEach, afterEach} from "node:test";
+import assert from "node:assert/strict";
+import {DB} from "../db/DB.js";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+
+class Cat extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+/**
+ * Adaptador en memoria que puede fallar al abrir, para probar la reconexión
+ */
+class FlakyAdapter extends MemoryAdapter {
+
+    failing = false;
+
+    open(name, version, callbacks) {
+        return this.failing ? Promise.reject(new Error('Sin acceso al almacenamiento.')) : super.open(name, version, callbacks);
+    }
+}
+
+describe('Ciclo de vida de la conexión', () => {
+
+    let adapter;
+    let events;
+
+    /**
+     * Creo una db sobre el adaptador compartido registrando sus eventos
+     * @param {number} versions - cantidad de migraciones
+     * @returns {DB}
+     */
+    let create = (versions = 1) => {
+        let db = new DB('lifecycle', 0, adapter);
+        let first = new MigrationVersion(1);
+        first.addTable(Cat);
+        db.addMigration(first);
+        for (let version = 2; version <= versions; version++) {
+            db.addMigration(new MigrationVersion(version));
+        }
+        for (let event of Object.values(DB.EVENTOS)) {
+            db.on(event, (detail) => events.push(typeof detail === 'undefined' ? event : [event, detail]));
+        }
+        return db;
+    };
+
+    beforeEach(() => {
+        adapter = new FlakyAdapter();
+        events = [];
+    });
+
+    afterEach(() => DB.reconnection = {attempts: 3, delay: 100});
+
+    it('cierra, reabre y elimina la db', async () => {
+        let db = create();
+        assert.equal(db.state, DB.ESTADOS.desconectada);
+        await assert.rejects(db.getAll('cats'), /no está conectada, llamar a connect/);
+
+        await Promise.all([db.connect(), db.connect()]);
+        assert.equal(db.isConnected, true);
+        await db.putMany('cats', [{_id: 1, _name: 'Tom'}]);
+
+        db.close();
+        assert.equal(db.state, DB.ESTADOS.cerrada);
+        await assert.rejects(db.count('cats'), /está cerrada/);
+        assert.throws(() => db.tx('cats', 'readonly'), /está cerrada/);
+
+        await db.connect();
+        assert.equal(await db.count('cats'), 1);
+
+        await db.delete();
+        assert.equal(await adapter.version('lifecycle'), 0);
+        assert.deepEqual(events, [
+            ['open', {reconnected: false}],
+            ['close', {reason: 'close'}],
+            ['open', {reconnected: false}],
+            ['close', {reason: 'delete'}],
+        ]);
+    });
+
+    it('se cierra cuando otra pestaña actualiza la db y avisa si otra conexión lo impide', async () => {
+        let db = create();
+        await db.connect();
+
+        let other = create(2);
+        await other.connect();
+        assert.equal(db.isConnected, false);
+        assert.equal(other.isConnected, true);
+        assert.deepEqual(events, [
+            ['open', {reconnected: false}],
+            ['versionchange', {oldVersion: 1, newVersion: 2}],
+            ['close', {reason: 'versionchange'}],
+            ['open', {reconnected: false}],
+        ]);
+        await assert.rejects(db.connect(), /versión mayor a la de la última migración/);
+
+        events = [];
+        let raw = await adapter.open('lifecycle');
+        let deleted = DB.delete('lifecycle', {adapter: adapter, blocked: () => events.push('blocked')});
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        assert.deepEqual(events, [['versionchange', {oldVersion: 2, newVersion: null}], ['close', {reason: 'versionchange'}], 'blocked']);
+
+        raw.close();
+        await deleted;
+        assert.equal(await adapter.version('lifecycle'), 0);
+    });
+
+    it('reconecta luego de un cierre anormal y encola las operaciones', async () => {
+        let db = create();
+        await db.connect();
+        Model.init(db);
+        await new Cat({id: 1, name: 'Tom'}).save();
+
+        adapter.terminate('lifecycle');
+        assert.equal(db.state, DB.ESTADOS.conectando);
+        let [cat, count] = await Promise.all([Cat.get(1), db.count('cats')]);
+        assert.equal(cat.name, 'Tom');
+        assert.equal(count, 1);
+        assert.equal(db.isConnected, true);
+        assert.deepEqual(events.slice(1), ['terminated', ['open', {reconnected: true}]]);
+
+        DB.reconnection = {attempts: 2, delay: 1};
+        adapter.failing = true;
+        adapter.terminate('lifecycle');
+        await assert.rejects(Cat.get(1), /Sin acceso al almacenamiento/);
+        assert.equal(db.state, DB.ESTADOS.cerrada);
+        assert.equal(events[events.length - 1][0], 'error');
+
+        adapter.failing = false;
+        await db.connect();
+        assert.equal((await Cat.get(1)).name, 'Tom');
+    });
+});
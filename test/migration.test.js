@@ -0,0 +1,117 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {DB} from "../db/DB.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+
+/**
+ * Creo la primera versión de una db de gatos con datos, directamente sobre el adaptador
+ * @param {MemoryAdapter} adapter
+ * @returns {Promise<void>}
+ */
+async function seed(adapter) {
+    let connection = await adapter.open('cats', 1, {
+        upgrade(db, old_version, new_version, transaction) {
+            first().run(db, transaction);
+        },
+    });
+    let tx = connection.transaction('cats', 'readwrite');
+    await tx.objectStore('cats').add({_name: 'Tom', _color: 'black'});
+    await tx.objectStore('cats').add({_name: 'Kit', _color: 'white'});
+    await tx.done;
+    connection.close();
+}
+
+function first() {
+    let migration = new MigrationVersion(1, 'crear gatos');
+    migration.addTable('cats', 'id', true, ['name']);
+    return migration;
+}
+
+describe('MigrationVersion', () => {
+
+    let adapter;
+
+    beforeEach(() => {
+        adapter = new MemoryAdapter();
+    });
+
+    it('crea las tablas y los índices declarados', async () => {
+        let db = new DB('cats', 0, adapter);
+        let migration = new MigrationVersion(1);
+        migration.addTable('cats', 'id', true, ['name', {keyPath: 'chip', unique: true}, {name: 'tags', keyPath: 'tags', multiEntry: true}]);
+        migration.addSyncTables();
+        db.addMigration(migration);
+        await db.connect();
+
+        let schema = await db.schema();
+        assert.deepEqual(Object.keys(schema), ['cats', 'outbox', 'outbox_cursors']);
+        assert.deepEqual(schema.cats.indexes.chip, {keyPath: '_chip', unique: true, multiEntry: false});
+        assert.equal(schema.cats.indexes.tags.multiEntry, true);
+        assert.deepEqual(schema.outbox.indexes.table_key.keyPath, ['_table', '_key']);
+        assert.equal(schema.outbox_cursors.autoIncrement, false);
+
+        await db.store('cats', [{_chip: 'a', _tags: ['x', 'y']}, {_chip: 'b', _tags: ['y']}]);
+        assert.equal((await db.getAllFromIndex('cats', 'tags', 'y')).length, 2);
+        await assert.rejects(db.store('cats', [{_chip: 'a'}]), {name: 'ConstraintError'});
+    });
+
+    it('corre solo las migraciones pendientes y conserva los datos', async () => {
+        await seed(adapter);
+
+        let second = new MigrationVersion(2, 'color');
+        second.addIndexes('cats', ['color']);
+        second.transform('cats', (cat) => cat._color === 'white' ? null : Object.assign(cat, {_name: cat._name.toUpperCase()}));
+        let third = new MigrationVersion(3, 'renombrar');
+        third.renameTable('cats', 'felines');
+
+        let db = new DB('cats', 0, adapter);
+        db.addMigration(first()).addMigration(second).addMigration(third);
+        assert.deepEqual(await db.migrationStatus(), {
+            current: 1,
+            target: 3,
+            applied: [{version: 1, name: 'crear gatos'}],
+            pending: [{version: 2, name: 'color'}, {version: 3, name: 'renombrar'}],
+        });
+
+        await db.connect();
+        assert.deepEqual((await db.getAllFromIndex('felines', 'color', 'black')).map((cat) => cat._name), ['TOM']);
+        assert.equal(await db.count('felines'), 1);
+        assert.equal((await db.migrationStatus()).pending.length, 0);
+    });
+
+    it('deja la db en la versión anterior si falla una migración', async () => {
+        await seed(adapter);
+
+        let broken = new MigrationVersion(2);
+        broken.addIndexes('cats', ['color']);
+        broken.transform('cats', () => {
+            throw new Error('falla');
+        });
+
+        let db = new DB('cats', 0, adapter);
+        db.addMigration(first()).addMigration(broken);
+        await assert.rejects(db.connect(), /falla/);
+        assert.equal(await adapter.version('cats'), 1);
+    });
+
+    it('valida las versiones de las migraciones', async () => {
+        let db = new DB('cats', 0, adapter);
+        db.addMigration(new MigrationVersion(1)).addMigration(new MigrationVersion(3));
+        await assert.rejects(db.connect(), /Falta la migración con la versión 2/);
+
+        db = new DB('cats', 0, adapter);
+        await assert.rejects(db.connect(), /No me asignaste ninguna migración/);
+    });
+
+    it('describe las operaciones sin correrlas', () => {
+        let db = new DB('cats', 0, adapter);
+        let second = new MigrationVersion(2, 'chip');
+        second.addIndexes('cats', [{keyPath: 'chip', unique: true}]);
+        db.addMigration(first()).addMigration(second);
+
+        let lines = [];
+        db.dryRun(1, (line) => lines.push(line));
+        assert.deepEqual(lines, ['[2 chip] createIndex cats.chip(_chip) unique']);
+    });
+});
@@ -0,0 +1,271 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {MetaData, Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Field} from "../field/Field.js";
+import {Scope} from "../scope/Scope.js";
+import {connect, tick} from "./helpers.js";
+
+class Cat extends Model {
+
+    static fields = {
+        id: 'integer',
+        name: 'string',
+        age: {type: 'integer', default: 0},
+        vaccinated: {type: 'boolean', default: false},
+        born: 'date',
+        tags: 'json',
+    };
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+
+    beforeSave() {
+        this.name = this.name.trim();
+    }
+}
+
+class Dog extends Model {
+
+    static timestamps = true;
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'dogs';
+    }
+
+    static get class() {
+        return 'Dog';
+    }
+}
+
+class Fish extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'fish';
+    }
+
+    static get class() {
+        return 'Fish';
+    }
+
+    async afterLoad() {
+        await Promise.resolve();
+        if (this.name === 'Nemo') {
+            throw new Error('Nemo no carga');
+        }
+        this.ready = true;
+    }
+}
+
+Cat.register();
+Dog.register();
+Fish.register();
+
+let events = [];
+MetaData.observe(Cat, {afterUpdate: (cat, changes) => events.push(['observer', cat.id, changes])});
+Cat.on('removed', (cat) => events.push(['removed', cat.id]));
+
+/**
+ * Migración con las tablas de los modelos
+ * @returns {MigrationVersion}
+ */
+function tables() {
+    let migration = new MigrationVersion(1);
+    migration.addTable(Cat, 'id', true, ['name']);
+    migration.addTable(Dog, 'id', true, ['name']);
+    migration.addTable(Fish);
+    return migration;
+}
+
+describe('Model', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        db = await connect(tables());
+        events = [];
+    });
+
+    it('castea los campos y completa los valores por default', () => {
+        let cat = new Cat({name: 'Tom', age: '3', born: '2020-01-01'});
+        assert.equal(cat.age, 3);
+        assert.equal(cat.vaccinated, false);
+        assert.ok(cat.born instanceof Date);
+        assert.equal(new Cat({age: ' 7 '}).age, 7);
+        assert.throws(() => new Cat({age: '12abc'}), /age espera un número entero y recibió 12abc/);
+        assert.throws(() => new Cat({age: '2.5'}), /age espera un número entero/);
+        assert.throws(() => new Cat({age: ''}), /age espera un número entero/);
+        assert.equal(new Cat({tags: 'hello'}).tags, 'hello');
+        assert.equal(new Cat({tags: '"x"'}).tags, '"x"');
+
+        let tom = Cat.instantiate({_id: 1, _name: 'Tom', _age: 2});
+        assert.deepEqual([tom.name, tom.age, tom.isDirty()], ['Tom', 2, false]);
+        assert.deepEqual(Cat.instantiateArray([{_id: 2, _name: 'Kit'}]).map((cat) => cat.name), ['Kit']);
+    });
+
+    it('espera los hooks afterLoad asincrónicos y reporta los que fallan al instanciar', async () => {
+        await Fish.saveMany([new Fish({name: 'Dory'}), new Fish({name: 'Nemo'})]);
+        assert.equal((await Fish.get(1)).ready, true);
+        await assert.rejects(Fish.get(2), /Nemo no carga/);
+
+        let errors = [];
+        let report = console.error;
+        console.error = (e) => errors.push(e.message);
+        try {
+            Fish.instantiate({_id: 2, _name: 'Nemo'});
+            await tick();
+        } finally {
+            console.error = report;
+        }
+        assert.deepEqual(errors, ['Nemo no carga']);
+    });
+
+    it('no comparte los valores por default entre instancias', () => {
+        let field = new Field('tags', {type: 'json', default: []});
+        field.default.push(1);
+        assert.deepEqual(field.default, []);
+    });
+
+    it('guarda, obtiene, actualiza y elimina instancias', async () => {
+        let cat = new Cat({name: ' Tom ', tags: ['a']});
+        await cat.save();
+
+        let stored = await Cat.get(1);
+        assert.equal(stored.name, 'Tom');
+        assert.deepEqual(stored.tags, ['a']);
+
+        stored.age = 4;
+        await stored.update();
+        assert.equal((await Cat.get(1)).age, 4);
+        assert.deepEqual(events, [['observer', 1, {age: 4}]]);
+
+        await stored.remove();
+        assert.ok((await Cat.get(1)).isEmpty());
+        assert.equal(await Cat.count(), 0);
+        assert.deepEqual(events.at(-1), ['removed', 1]);
+    });
+
+    it('no escribe las instancias sin cambios', async () => {
+        await new Cat({name: 'Tom'}).save();
+        let cat = await Cat.get(1);
+        assert.equal(cat.isDirty(), false);
+
+        await cat.update();
+        assert.deepEqual(events, []);
+
+        cat.name = 'Kit';
+        assert.deepEqual(cat.getChanges(), {name: 'Kit'});
+        assert.equal(cat.getOriginal('name'), 'Tom');
+        cat.revert();
+        assert.equal(cat.name, 'Tom');
+        assert.equal(cat.isDirty(), false);
+
+        let kit = new Cat({name: 'Kit'});
+        await kit.save();
+        let nube = new Cat({name: 'Nube'});
+        await Cat.saveMany([nube]);
+        assert.deepEqual([kit.id, nube.id], [2, 3]);
+        kit.age = 2;
+        await kit.update();
+        assert.equal(await Cat.count(), 3);
+        assert.equal((await Cat.get(2)).age, 2);
+    });
+
+    it('completa las fechas y oculta las instancias eliminadas', async () => {
+        await Dog.saveMany([new Dog({id: 1, name: 'Rex'}), new Dog({id: 2, name: 'Fido'})]);
+        let dog = await Dog.get(1);
+        assert.ok(dog.created_at instanceof Date);
+        assert.ok(dog.updated_at instanceof Date);
+
+        await dog.remove();
+        assert.ok((await Dog.get(1)).isEmpty());
+        assert.equal(await Dog.count(), 1);
+        assert.equal((await Dog.withTrashed().get()).length, 2);
+        assert.equal((await db.getAll('dogs')).length, 2);
+
+        let trashed = await Dog.onlyTrashed().first();
+        assert.ok(trashed.isTrashed());
+        await trashed.restore();
+        assert.equal(await Dog.count(), 2);
+
+        await (await Dog.get(2)).forceRemove();
+        assert.equal(await Dog.withTrashed().count(), 1);
+    });
+
+    it('deshace todo lo hecho en una transacción que falla', async () => {
+        await new Cat({name: 'Tom'}).save();
+
+        await assert.rejects(db.transaction([Cat, Dog], 'readwrite', async () => {
+            let cat = await Cat.get(1);
+            cat.name = 'Kit';
+            await cat.update();
+            await new Dog({id: 1, name: 'Rex'}).save();
+            throw new Error('falla');
+        }), /falla/);
+
+        assert.equal((await Cat.get(1)).name, 'Tom');
+        assert.equal(await Dog.count(), 0);
+    });
+
+    it('revolea un error si se espera otra cosa dentro de una transacción', async () => {
+        await assert.rejects(db.transaction([Cat], 'readwrite', async () => {
+            await new Promise((resolve) => setTimeout(resolve, 5));
+            await Cat.get(1);
+        }), /La transacción compartida ya terminó/);
+    });
+
+    it('solo usa la transacción compartida desde su callback y une las anidadas', async () => {
+        let callback = db.transaction([Cat], 'readwrite', async () => {
+            await new Cat({name: 'Tom'}).save();
+            await db.transaction([Cat], 'readonly', async () => assert.equal(await Cat.count(), 1));
+            await new Cat({name: 'Kit'}).save();
+        });
+        let outside = new Dog({id: 1, name: 'Rex'}).save();
+        let concurrent = db.transaction([Dog], 'readwrite', () => new Dog({id: 2, name: 'Fido'}).save());
+        await Promise.all([callback, outside, concurrent]);
+        assert.deepEqual([await Cat.count(), await Dog.count()], [2, 2]);
+
+        await assert.rejects(db.transaction([Cat], 'readwrite', async () => {
+            await new Cat({name: 'Nube'}).save();
+            await db.transaction([Dog], 'readwrite', () => Dog.count());
+        }), /no abarca las tablas dogs/);
+        assert.equal(await Cat.count(), 2);
+    });
+
+    it('encola las transacciones concurrentes si no se pueden aislar por callback', async () => {
+        let storage = Scope.storage;
+        Scope.storage = null;
+        try {
+            db = await connect(tables());
+        } finally {
+            Scope.storage = storage;
+        }
+
+        let order = [];
+        let first = db.transaction([Cat], 'readwrite', async () => {
+            await new Cat({name: 'Tom'}).save();
+            order.push('cats');
+        });
+        let outside = new Dog({id: 1, name: 'Rex'}).save();
+        let second = db.transaction([Dog], 'readwrite', async () => {
+            await new Dog({id: 2, name: 'Fido'}).save();
+            order.push('dogs');
+        });
+        await Promise.all([first, outside, second]);
+        assert.deepEqual(order, ['cats', 'dogs']);
+        assert.deepEqual([await Cat.count(), await Dog.count()], [1, 2]);
+
+        await assert.rejects(db.transaction([Cat], 'readwrite', async () => {
+            await db.transaction([Dog], 'readwrite', () => Dog.count());
+        }), /no abarca las tablas dogs/);
+    });
+});
@@ -0,0 +1,170 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Query} from "../query/Query.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+import {connect} from "./helpers.js";
+
+class Owner extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'owners';
+    }
+
+    static get class() {
+        return 'Owner';
+    }
+}
+
+class Cat extends Model {
+
+    static fields = {id: 'integer', name: 'string', age: {type: 'integer', default: 0}, color: 'string', owner_id: 'integer'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Toy extends Model {
+
+    static fields = {id: 'integer', name: 'string'};
+
+    static get table() {
+        return 'toys';
+    }
+
+    static get class() {
+        return 'Toy';
+    }
+}
+
+Owner.register();
+Cat.register();
+Toy.register();
+Owner.hasMany(Cat, 'owner_id');
+Cat.belongsTo(Owner);
+Cat.belongsToMany(Toy, 'cat_toy');
+
+describe('Query', () => {
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Owner, 'id', true, ['name']);
+        migration.addTable(Cat, 'id', true, ['age', 'name', 'owner_id']);
+        migration.addTable(Toy);
+        migration.addPivotTable('cat_toy', 'cat_id', 'toy_id', 'pivot_id');
+        await connect(migration);
+
+        await Owner.saveMany([new Owner({id: 1, name: 'Ana'}), new Owner({id: 2, name: 'Eva'})]);
+        let cats = [];
+        for (let i = 1; i <= 10; i++) {
+            cats.push(new Cat({id: i, name: 'c' + i, age: i % 5, color: i % 2 ? 'black' : 'white', owner_id: i <= 7 ? 1 : 2}));
+        }
+        await Cat.saveMany(cats);
+    });
+
+    it('combina condiciones sobre índices y en memoria', async () => {
+        let cats = await Cat.query().where('age').between(2, 4).where('color', 'black').orderBy('name', 'desc').get();
+        assert.deepEqual(cats.pluck('name').toArray(), ['c9', 'c7', 'c3']);
+
+        cats = await Cat.query().where('name').startsWith('c1').get();
+        assert.deepEqual(cats.pluck('name').toArray(), ['c1', 'c10']);
+
+        cats = await Cat.query().where('age').anyOf([0, 3]).orderBy('age').offset(1).limit(3).get();
+        assert.deepEqual(cats.pluck('age').toArray(), [0, 3, 3]);
+
+        assert.equal(await Cat.query().where('age').above(2).count(), 4);
+        assert.equal(await Cat.query().where('age').between(1, 3).offset(2).limit(3).count(), 3);
+        assert.equal(await Cat.query().where('age').between(1, 3).offset(5).count(), 1);
+        assert.equal(await Cat.query().where('color', 'white').limit(2).count(), 2);
+        assert.equal(await Cat.query().where('age', 9).count(), 0);
+        assert.equal((await Cat.query().filter((cat) => cat.id % 3 === 0).get()).length, 3);
+
+        let fail = true;
+        let query = Cat.query().filter(() => {
+            if (fail) {
+                throw new Error('falla');
+            }
+            return true;
+        });
+        await assert.rejects(query.first(), /falla/);
+        fail = false;
+        assert.equal((await query.get()).length, 10);
+    });
+
+    it('ordena en memoria con el orden de las claves de IndexedDB', () => {
+        let values = [['b'], [1, 'a'], 'a', new Date(0), 10, [1, 2], 2, new Uint8Array([1]), '10'];
+        let sorted = [2, 10, new Date(0), '10', 'a', new Uint8Array([1]), [1, 2], [1, 'a'], ['b']];
+        assert.deepEqual([...values].sort(Query.compare), sorted);
+        let adapter = new MemoryAdapter();
+        assert.deepEqual([...values].sort(Query.compare), [...values].sort((a, b) => adapter.cmp(a, b)));
+        assert.deepEqual([null, 'a', true, 1].sort(Query.compare), [1, 'a', true, null]);
+    });
+
+    it('agrupa y actualiza colecciones', async () => {
+        let cats = await Cat.all();
+        assert.deepEqual([...cats.groupBy('age').keys()], [1, 2, 3, 4, 0]);
+        assert.equal(cats.chunk(3).length, 4);
+        assert.throws(() => cats.chunk(0), /entero mayor a 0, se recibió 0/);
+        assert.throws(() => cats.chunk(NaN), /entero mayor a 0/);
+        assert.throws(() => cats.chunk(1.5), /entero mayor a 0/);
+
+        await cats.update({color: 'grey'});
+        assert.equal((await Cat.query().where('color', 'grey').get()).length, 10);
+    });
+
+    it('carga relaciones de forma diferida y anticipada', async () => {
+        let cats = await Cat.query().where('age', 1).with('owner').get();
+        assert.deepEqual(cats.map((cat) => cat.relation('owner').name).toArray(), ['Ana', 'Ana']);
+
+        let owner = await Owner.get(2);
+        assert.deepEqual((await owner.cats()).map((cat) => cat.id), [8, 9, 10]);
+        let cat = await Cat.get(9);
+        assert.equal((await cat.owner()).name, 'Eva');
+
+        cat.owner_id = 1;
+        await cat.update();
+        assert.equal((await cat.owner()).name, 'Ana');
+
+        let toy = new Toy({name: 'Ratón'});
+        await toy.save();
+        assert.equal((await cat.toys()).length, 0);
+        let [key] = await cat.attach('toys', toy);
+        assert.deepEqual(await cat.attach('toys', toy), [key]);
+        assert.deepEqual((await cat.toys()).map((t) => t.name), ['Ratón']);
+        assert.deepEqual((await Cat.with('toys').where('id', 9).first()).relation('toys').map((t) => t.name), ['Ratón']);
+        assert.equal((await Cat.db.getAll('cat_toy')).length, 1);
+        await cat.detach('toys', toy);
+        assert.equal((await cat.toys()).length, 0);
+        assert.equal((await Cat.db.getAll('cat_toy')).length, 0);
+    });
+
+    it('pagina por índice hacia adelante y hacia atrás', async () => {
+        let ids = (page) => page.items.pluck('id').toArray();
+
+        let page = await Cat.paginate({index: 'age', pageSize: 4});
+        assert.deepEqual(ids(page), [5, 10, 1, 6]);
+        page = await Cat.paginate({index: 'age', pageSize: 4, after: page.next});
+        assert.deepEqual(ids(page), [2, 7, 3, 8]);
+        page = await Cat.paginate({index: 'age', pageSize: 4, after: page.next});
+        assert.deepEqual(ids(page), [4, 9]);
+        assert.equal(page.next, null);
+
+        page = await Cat.paginate({index: 'age', pageSize: 4, before: page.previous});
+        assert.deepEqual(ids(page), [2, 7, 3, 8]);
+        await assert.rejects(Cat.paginate({index: 'name', after: page.next}), /pertenece al índice age/);
+
+        let all = [];
+        for await (let cat of Cat.iterate('name', {batch: 3})) {
+            all.push(cat.name);
+        }
+        assert.deepEqual(all, ['c1', 'c10', 'c2', 'c3', 'c4', 'c5', 'c6', 'c7', 'c8', 'c9']);
+    });
+});
@@ -0,0 +1,144 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {DB} from "../db/DB.js";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {SchemaDiff} from "../schema/SchemaDiff.js";
+import {MemoryAdapter} from "../adapter/MemoryAdapter.js";
+
+class Owner extends Model {
+
+    static indexes = ['name'];
+
+    static get table() {
+        return 'owners';
+    }
+
+    static get class() {
+        return 'Owner';
+    }
+}
+
+class Cat extends Model {
+
+    static indexes = ['name', 'color', 'tags'];
+    static index_definitions = {name: {keyPath: 'name', unique: true}, tags: {keyPath: 'tags', multiEntry: true}};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Dog extends Model {
+
+    static key = 'code';
+    static autoincrement = false;
+
+    static get table() {
+        return 'dogs';
+    }
+
+    static get class() {
+        return 'Dog';
+    }
+}
+
+Owner.register();
+Cat.register();
+Dog.register();
+
+/**
+ * Primera versión de la db, anterior a lo que declaran las clases
+ * @returns {MigrationVersion}
+ */
+function first() {
+    let migration = new MigrationVersion(1);
+    migration.addTable('cats', 'id', true, ['name', 'age', 'tags']);
+    migration.addTable('dogs');
+    migration.addTable('legacy');
+    migration.addTable('cat_toy');
+    return migration;
+}
+
+describe('SchemaDiff', () => {
+
+    let adapter;
+    let db;
+
+    beforeEach(async () => {
+        adapter = new MemoryAdapter();
+        db = new DB('schema', 0, adapter).addMigration(first());
+        await db.connect();
+        await db.store('dogs', [{_code: 'A', _name: 'Rex'}, {_code: 'B', _name: 'Toby'}]);
+    });
+
+    it('agrega las tablas y los índices que faltan, recrea los que cambiaron y cambia las claves', async () => {
+        let migration = await SchemaDiff.generate(db, {version: 2});
+        assert.deepEqual(migration.describe().map((op) => [op.operation, op.table, op.index || op.keyPath || op.from]), [
+            ['createObjectStore', 'owners', '_id'],
+            ['createIndex', 'owners', 'id'],
+            ['createIndex', 'owners', 'name'],
+            ['deleteIndex', 'cats', 'age'],
+            ['deleteIndex', 'cats', 'name'],
+            ['deleteIndex', 'cats', 'tags'],
+            ['createIndex', 'cats', 'name'],
+            ['createIndex', 'cats', 'tags'],
+            ['createIndex', 'cats', 'color'],
+            ['createObjectStore', 'dogs__rekey', '_code'],
+            ['copyRecords', 'dogs__rekey', 'dogs'],
+            ['deleteObjectStore', 'dogs', undefined],
+            ['createObjectStore', 'dogs', undefined],
+            ['copyRecords', 'dogs', 'dogs__rekey'],
+            ['deleteObjectStore', 'dogs__rekey', undefined],
+            ['createIndex', 'dogs', 'code'],
+            ['deleteIndex', 'dogs', 'id'],
+        ]);
+        assert.deepEqual(migration.describe().filter((op) => op.table === 'cats' && op.operation === 'createIndex')
+            .map((op) => [op.index, op.unique, op.multiEntry]), [['name', true, false], ['tags', false, true], ['color', false, false]]);
+    });
+
+    it('solo quita las tablas desconocidas con drop_unknown y respeta las ignoradas', async () => {
+        let dropped = (migration) => migration.describe()
+            .filter((op) => op.operation === 'deleteObjectStore' && !op.table.endsWith('__rekey'))
+            .map((op) => op.table);
+
+        assert.deepEqual(dropped(await SchemaDiff.generate(db)), ['dogs']);
+        assert.deepEqual(dropped(await SchemaDiff.generate(db, {drop_unknown: true})), ['dogs', 'cat_toy', 'legacy']);
+
+        let migration = await SchemaDiff.generate(db, {drop_unknown: true, ignore: ['cat_toy', 'owners', 'cats', 'dogs']});
+        assert.deepEqual(migration.describe(), [{operation: 'deleteObjectStore', table: 'legacy'}]);
+        assert.equal(await SchemaDiff.generate(db, {ignore: ['owners', 'cats', 'dogs']}), null);
+    });
+
+    it('lee el esquema dentro de una transacción que no abarca todas las tablas', async () => {
+        let dropped = await db.transaction(['dogs'], 'readwrite', async () => {
+            let migration = await SchemaDiff.generate(db, {drop_unknown: true, ignore: ['cats', 'owners', 'dogs']});
+            await db.store('dogs', [{_code: 'C', _name: 'Kit'}]);
+            return migration.describe();
+        });
+        assert.deepEqual(dropped, [{operation: 'deleteObjectStore', table: 'cat_toy'}, {operation: 'deleteObjectStore', table: 'legacy'}]);
+        assert.deepEqual((await db.getAll('dogs')).map((dog) => dog._code), ['A', 'B', 'C']);
+    });
+
+    it('deja la db igual a lo que declaran las clases al aplicar la migración generada', async () => {
+        let migration = await SchemaDiff.generate(db, {version: 2, drop_unknown: true, ignore: ['cat_toy']});
+        db.close();
+
+        let upgraded = new DB('schema', 0, adapter).addMigration(first()).addMigration(migration);
+        await upgraded.connect();
+
+        let schema = await upgraded.schema();
+        assert.deepEqual(Object.keys(schema).sort(), ['cat_toy', 'cats', 'dogs', 'owners']);
+        for (let clase of [Owner, Cat, Dog]) {
+            let {definitions, ...declared} = SchemaDiff.declared(clase);
+            assert.deepEqual(schema[clase.table_name], declared);
+        }
+        assert.deepEqual((await upgraded.getAll('dogs')).map((dog) => [dog._code, dog._name]), [['A', 'Rex'], ['B', 'Toby']]);
+        assert.equal(await SchemaDiff.generate(upgraded, {drop_unknown: true, ignore: ['cat_toy']}), null);
+        upgraded.close();
+    });
+});
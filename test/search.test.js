@@ -0,0 +1,85 @@
+import {describe, it, beforeEach, after} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Search} from "../search/Search.js";
+import {connect} from "./helpers.js";
+
+class Cat extends Model {
+
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string', notes: 'string', tags: 'json'};
+    static searchable = ['name', 'notes', 'tags'];
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+Cat.register();
+
+describe('Search', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Cat);
+        db = await connect(migration);
+
+        await Cat.saveMany([
+            new Cat({id: 1, name: 'Tom', notes: 'Gato negro y peludo', tags: ['Ático']}),
+            new Cat({id: 2, name: 'Félix', notes: 'Blanco, muy peludo'}),
+            new Cat({id: 3, name: 'Negrita', notes: 'Gata negra'}),
+            new Cat({id: 4, name: 'Nube', notes: 'blanca'}),
+        ]);
+    });
+
+    after(() => Search.useStemmer(null));
+
+    it('normaliza los campos en tokens sin dejarlos en las instancias', async () => {
+        let record = (await db.getAll('cats'))[1];
+        assert.deepEqual(record._search_tokens, ['felix', 'blanco', 'muy', 'peludo']);
+
+        let cat = await Cat.get(2);
+        assert.equal('_search_tokens' in cat, false);
+        cat.notes = 'Blanco';
+        await cat.update();
+        assert.deepEqual((await db.getAll('cats'))[1]._search_tokens, ['felix', 'blanco']);
+        assert.deepEqual(Cat.indexes, ['search_tokens']);
+    });
+
+    it('busca todas las palabras, alternativas y prefijos ordenando por relevancia', async () => {
+        let ids = async (text, options) => (await Cat.search(text, options)).pluck('id').toArray();
+
+        assert.deepEqual(await ids('PELUDO negro'), [1]);
+        assert.deepEqual(await ids('felix OR atico'), [1, 2]);
+        assert.deepEqual(await ids('negr*'), [1, 3]);
+        assert.deepEqual(await ids('negr* gata OR blanca'), [3, 4]);
+        assert.deepEqual(await ids('negro blanca', {mode: 'or'}), [1, 4]);
+        assert.deepEqual(await ids('negr', {prefix: true, limit: 1}), [1]);
+        assert.deepEqual(await ids('perro'), []);
+
+        await (await Cat.get(1)).remove();
+        assert.deepEqual(await ids('peludo'), [2]);
+    });
+
+    it('aplica el stemming y agrega el índice a tablas existentes', async () => {
+        Search.useStemmer((token) => token.replace(/[ao]s?$/, ''));
+        await new Cat({id: 5, name: 'Gatos', notes: 'Negros'}).save();
+        assert.deepEqual((await Cat.search('gata negra')).pluck('id').toArray(), [5]);
+
+        let migration = new MigrationVersion(2);
+        migration.addSearchIndex(Cat);
+        assert.deepEqual(migration.describe().map(MigrationVersion.describeOperation), [
+            'createIndex cats.search_tokens(_search_tokens) multiEntry',
+            'transform cats',
+        ]);
+        assert.throws(() => migration.addSearchIndex('cats'), /declaren campos buscables/);
+        await assert.rejects(Search.search(Model, 'x'), /Model no declara campos buscables/);
+    });
+});
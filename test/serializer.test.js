@@ -0,0 +1,122 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {MetaData, Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {Serializer} from "../serializer/Serializer.js";
+import {connect} from "./helpers.js";
+
+class Owner extends Model {
+
+    static fields = {id: 'integer', full_name: 'string', password: 'string'};
+
+    static get table() {
+        return 'owners';
+    }
+
+    static get class() {
+        return 'Owner';
+    }
+}
+
+class Cat extends Model {
+
+    static fields = {id: 'integer', name: 'string', owner_id: 'integer', born: 'date', microchip: 'string'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Note extends Model {
+
+    static get table() {
+        return 'notes';
+    }
+
+    static get class() {
+        return 'Note';
+    }
+}
+
+Owner.register();
+Cat.register();
+Note.register();
+Cat.belongsTo(Owner, 'owner_id', 'owner');
+Owner.hasMany(Cat, 'owner_id', 'cats');
+
+class OwnerApiSerializer extends Serializer {
+    hidden = ['password'];
+    case = Serializer.CASES.camel;
+}
+
+MetaData.registerSerializer(Model, new Serializer({hidden: ['password']}));
+MetaData.registerSerializer(Owner, OwnerApiSerializer, 'api');
+MetaData.registerSerializer(Cat, new Serializer({visible: ['id', 'name', 'owner_id'], case: 'camel'}), 'api');
+MetaData.registerSerializer(Owner, new Serializer({relations: ['cats']}), 'admin');
+
+describe('Serializer', () => {
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Owner);
+        migration.addTable(Cat, 'id', true, ['owner_id']);
+        migration.addTable(Note);
+        await connect(migration);
+        await new Owner({full_name: 'Ana Pérez', password: 'secreto'}).save();
+        await Cat.saveMany([
+            new Cat({name: 'Tom', owner_id: 1, born: new Date(Date.UTC(2020, 0, 1)), microchip: 'C1'}),
+            new Cat({name: 'Kit', owner_id: 1}),
+        ]);
+    });
+
+    it('serializa sin el prefijo de almacenamiento y ocultando campos', async () => {
+        let cat = await Cat.get(1);
+        assert.equal(JSON.stringify(cat), '{"id":1,"name":"Tom","owner_id":1,"born":"2020-01-01T00:00:00.000Z","microchip":"C1"}');
+        assert.deepEqual((await Owner.get(1)).toJSON(), {id: 1, full_name: 'Ana Pérez'});
+        assert.deepEqual(JSON.parse(JSON.stringify({cats: await Cat.all()})).cats.map((c) => c.name), ['Tom', 'Kit']);
+        assert.throws(() => cat.toJSON({serializer: 'admin'}), /Cat no tiene registrado el serializador admin/);
+        assert.throws(() => MetaData.registerSerializer(Cat, {hidden: []}), /deben extender la clase Serializer/);
+    });
+
+    it('usa el serializador de cada endpoint e incluye las relaciones pedidas', async () => {
+        let cat = await Cat.get(1);
+        assert.throws(() => cat.toJSON({serializer: 'api', relations: ['owner']}), /relación owner de Cat no está cargada/);
+
+        await cat.load('owner');
+        assert.deepEqual(cat.toJSON({serializer: 'api', relations: ['owner']}), {id: 1, name: 'Tom', ownerId: 1, owner: {id: 1, fullName: 'Ana Pérez'}});
+
+        let owners = await Owner.with('cats').all();
+        assert.deepEqual(owners.toJSON({serializer: 'api', relations: ['cats']}), [{
+            id: 1,
+            fullName: 'Ana Pérez',
+            cats: [{id: 1, name: 'Tom', ownerId: 1}, {id: 2, name: 'Kit', ownerId: 1}],
+        }]);
+
+        let owner = owners[0];
+        assert.throws(() => owner.toJSON({serializer: 'admin', relations: ['cats.owner']}), /relación owner de Cat no está cargada/);
+        await Cat.eagerLoad(owner.relation('cats'), ['owner']);
+        let admin = owner.toJSON({serializer: 'admin', relations: ['cats.owner']});
+        assert.deepEqual(admin.cats.map((c) => c.owner.full_name), ['Ana Pérez', 'Ana Pérez']);
+        assert.equal(admin.password, 'secreto');
+    });
+
+    it('instancia los payloads de la API', async () => {
+        let cat = Cat.fromJSON({id: 7, name: 'Nube', ownerId: 1, microchip: 'C9', owner: {id: 1}}, {serializer: 'api'});
+        assert.ok(cat instanceof Cat);
+        assert.deepEqual([cat.id, cat.name, cat.owner_id, cat.microchip], [7, 'Nube', 1, null]);
+
+        let owners = Owner.fromJSON('[{"id": 2, "fullName": "Eva", "password": "x"}]', {serializer: 'api'});
+        assert.deepEqual([owners[0].full_name, owners[0].password], ['Eva', null]);
+
+        let born = Cat.fromJSON(JSON.stringify(await Cat.get(1))).born;
+        assert.deepEqual(born, new Date(Date.UTC(2020, 0, 1)));
+
+        let note = Note.fromJSON({id: 3, text: 'hola'});
+        assert.deepEqual(note.toJSON(), {id: 3, text: 'hola'});
+        assert.equal(note._text, 'hola');
+    });
+});
@@ -0,0 +1,214 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {SyncEngine} from "../sync/SyncEngine.js";
+import {Transport, TransportError} from "../sync/Transport.js";
+import {Encryption, StaticKeyProvider} from "../encryption/Encryption.js";
+import {connect} from "./helpers.js";
+
+class Owner extends Model {
+
+    static fields = {name: 'string'};
+
+    static get table() {
+        return 'owners';
+    }
+
+    static get class() {
+        return 'Owner';
+    }
+}
+
+class Cat extends Model {
+
+    static fields = {name: 'string', owner_id: 'integer', updated_at: 'string'};
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Patient extends Model {
+
+    static fields = {name: 'string', ssn: 'string', updated_at: 'string'};
+    static encrypted = ['ssn'];
+    static searchable = ['name'];
+
+    static get table() {
+        return 'patients';
+    }
+
+    static get class() {
+        return 'Patient';
+    }
+}
+
+class Note extends Model {
+
+    static fields = {text: 'string'};
+
+    static get table() {
+        return 'notes';
+    }
+
+    static get class() {
+        return 'Note';
+    }
+}
+
+Owner.register();
+Cat.register();
+Patient.register();
+Note.register();
+Cat.belongsTo(Owner);
+
+/**
+ * Servidor en memoria, asigna claves desde 100 y puede fallar las primeras operaciones
+ */
+class FakeServer extends Transport {
+
+    constructor(failures = 0) {
+        super();
+        this.tables = {owners: new Map(), cats: new Map(), patients: new Map()};
+        this.next = 100;
+        this.failures = failures;
+        this.log = [];
+    }
+
+    async push(change) {
+        this.log.push(change.action + ' ' + change.table + ' ' + change.key);
+        if (this.failures-- > 0) {
+            throw new TransportError('Servidor caído', 503);
+        }
+        let table = this.tables[change.table];
+        if (change.action === 'create') {
+            let record = Object.assign({}, change.record, {id: this.next++});
+            table.set(record.id, record);
+            return {status: 'ok', record: record};
+        }
+        if (change.action === 'delete') {
+            table.delete(change.key);
+            return {status: 'ok', record: null};
+        }
+        if (!change.force && table.get(change.key).updated_at === 'server') {
+            return {status: 'conflict', record: table.get(change.key)};
+        }
+        table.set(change.key, Object.assign({}, change.record));
+        return {status: 'ok', record: change.record};
+    }
+
+    async pull(table, since) {
+        let records = [...this.tables[table].values()].filter((record) => record.updated_at === 'server');
+        return {records: records, deleted: [], cursor: 'c1'};
+    }
+}
+
+describe('SyncEngine', () => {
+
+    let db;
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Owner);
+        migration.addTable(Cat, 'id', true, ['owner_id']);
+        migration.addTable(Patient);
+        migration.addTable(Note);
+        migration.addSyncTables();
+        db = await connect(migration);
+    });
+
+    it('envía los cambios, reintenta y reasigna las claves locales', async () => {
+        let server = new FakeServer(1);
+        let sleeps = [];
+        let sync = new SyncEngine(db, {transport: server, sleep: async (ms) => sleeps.push(ms)});
+        sync.track(Owner, Cat);
+
+        let owner = new Owner({id: await Owner.nextNewId(), name: 'Eze'});
+        await owner.save();
+        let cat = new Cat({id: -1, name: 'Tom', owner_id: owner.id});
+        await cat.save();
+        cat.name = 'Tommy';
+        await cat.update();
+
+        let outbox = await sync.outbox.entries();
+        assert.deepEqual(outbox.map((entry) => [entry._action, entry._table, entry._key]), [['create', 'owners', -1], ['create', 'cats', -1]]);
+
+        assert.deepEqual(await sync.sync(), {pushed: 2, pulled: 0});
+        assert.deepEqual(sleeps, [500]);
+        assert.deepEqual(server.log, ['create owners -1', 'create owners -1', 'create cats -1']);
+        assert.deepEqual(await db.getAll('cats'), [{_id: 101, _name: 'Tommy', _owner_id: 100, _updated_at: null}]);
+        assert.equal(await sync.outbox.count(), 0);
+    });
+
+    it('registra los cambios concurrentes de un registro de a uno y dentro de la transacción en curso', async () => {
+        let sync = new SyncEngine(db, {transport: new FakeServer()});
+        await Promise.all([
+            sync.outbox.record('cats', 'create', -1, {_id: -1, _name: 'Tom'}),
+            sync.outbox.record('cats', 'update', -1, {_id: -1, _name: 'Tommy'}, {_name: 'Tommy'}),
+        ]);
+        let entries = await sync.outbox.entries();
+        assert.deepEqual(entries.map((entry) => [entry._action, entry._record._name, entry._revision]), [['create', 'Tommy', 1]]);
+
+        await sync.outbox.record('cats', 'delete', 5, null);
+        await sync.outbox.record('cats', 'create', 5, {_id: 5, _name: 'Kit'});
+        entries = await sync.outbox.pending('cats', 5);
+        assert.deepEqual(entries.map((entry) => [entry._action, entry._record, entry._changes]), [['update', {_id: 5, _name: 'Kit'}, null]]);
+        await sync.outbox.remove(entries);
+
+        sync.track(Note);
+        await assert.rejects(db.transaction([Note, sync.outbox.table], 'readwrite', async () => {
+            await new Note({id: -1, text: 'Hola'}).save();
+            assert.equal(await sync.outbox.count(), 2);
+            throw new Error('Se cancela');
+        }), /Se cancela/);
+        assert.equal(await sync.outbox.count(), 1);
+        assert.equal(await Note.count(), 0);
+    });
+
+    it('resuelve los conflictos con la estrategia dada', async () => {
+        let server = new FakeServer();
+        server.tables.cats.set(1, {id: 1, name: 'Servidor', owner_id: null, updated_at: 'server'});
+        await new Cat({id: 1, name: 'Tom', updated_at: 'local'}).save();
+
+        let sync = new SyncEngine(db, {transport: server, conflict: 'server-wins'});
+        sync.track(Cat);
+        let cat = await Cat.get(1);
+        cat.name = 'Local';
+        await cat.update();
+
+        await sync.push();
+        assert.equal((await Cat.get(1)).name, 'Servidor');
+        assert.equal(await sync.outbox.count(), 0);
+
+        let merge = new SyncEngine(db, {transport: server, conflict: (local, remote) => Object.assign({}, remote, {name: local.name + '+' + remote.name})});
+        cat = await Cat.get(1);
+        cat.name = 'Mio';
+        await cat.update();
+        await merge.pull(Cat);
+        assert.equal((await Cat.get(1)).name, 'Mio+Servidor');
+    });
+
+    it('cifra y tokeniza los registros sincronizados como cualquier escritura del modelo', async () => {
+        Encryption.use(new StaticKeyProvider({v1: crypto.getRandomValues(new Uint8Array(32))}));
+        let server = new FakeServer();
+        server.tables.patients.set(7, {id: 7, name: 'Eva Gómez', ssn: '555', updated_at: 'server'});
+        let sync = new SyncEngine(db, {transport: server});
+        sync.track(Patient);
+
+        await new Patient({id: -1, name: 'Ana', ssn: '123'}).save();
+        let [entry] = await sync.outbox.entries();
+        assert.ok(Encryption.isEncrypted(entry._record._ssn));
+
+        assert.deepEqual(await sync.sync(), {pushed: 1, pulled: 1});
+        assert.ok(Encryption.isEncrypted(server.tables.patients.get(100).ssn));
+        let records = await db.getAll('patients');
+        assert.deepEqual(records.map((record) => [record._id, Encryption.isEncrypted(record._ssn), record._search_tokens]),
+            [[7, true, ['eva', 'gomez']], [100, true, ['ana']]]);
+        assert.deepEqual((await Patient.all()).pluck('ssn').toArray(), ['555', '123']);
+    });
+});
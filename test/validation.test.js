@@ -0,0 +1,98 @@
+import {describe, it, beforeEach} from "node:test";
+import assert from "node:assert/strict";
+import {Model} from "../model/Model.js";
+import {MigrationVersion} from "../migration/Migration.js";
+import {ValidationError, Validator} from "../validation/Validator.js";
+import {connect} from "./helpers.js";
+
+class Cat extends Model {
+
+    static softDeletes = true;
+    static fields = {id: 'integer', name: 'string', age: 'integer', chip: 'string'};
+
+    static rules = {
+        name: {required: true, length: {min: 2}},
+        age: {min: 0, max: 30},
+        chip: {unique: true, pattern: /^C/},
+        id: {custom: async (value) => value !== 99},
+    };
+
+    static get table() {
+        return 'cats';
+    }
+
+    static get class() {
+        return 'Cat';
+    }
+}
+
+class Dog extends Model {
+
+    static fields = {id: 'integer', chip: 'string'};
+    static rules = {chip: {unique: true}};
+
+    static get table() {
+        return 'dogs';
+    }
+
+    static get class() {
+        return 'Dog';
+    }
+}
+
+Cat.register();
+Dog.register();
+
+describe('Validator', () => {
+
+    beforeEach(async () => {
+        let migration = new MigrationVersion(1);
+        migration.addTable(Cat, 'id', true, ['chip']);
+        migration.addTable(Dog);
+        await connect(migration);
+        await new Cat({name: 'Tom', age: 3, chip: 'C1'}).save();
+    });
+
+    it('reporta las reglas que no se cumplen', async () => {
+        assert.deepEqual(await new Cat({name: 'T', age: 40, chip: 'C1'}).validate(), {
+            name: ['length'],
+            age: ['max'],
+            chip: ['unique'],
+        });
+        assert.deepEqual(await new Cat({id: 99, name: 'Kit', chip: 'C2'}).validate(), {id: ['custom']});
+
+        let length = Validator.RULES.length;
+        assert.deepEqual([length(['ab', 'c'], 2), length('abc', {max: 3}), length(12345, {min: 6})], [true, true, false]);
+    });
+
+    it('rechaza guardar instancias inválidas', async () => {
+        await assert.rejects(new Cat({name: '', chip: 'X'}).save(), (e) => {
+            assert.ok(e instanceof ValidationError);
+            assert.deepEqual(e.errors, {name: ['required'], chip: ['pattern']});
+            return true;
+        });
+        assert.equal(await Cat.count(), 1);
+    });
+
+    it('no considera repetido el valor único de la propia instancia', async () => {
+        let cat = await Cat.get(1);
+        cat.age = 4;
+        await cat.update();
+        assert.equal((await Cat.get(1)).age, 4);
+    });
+
+    it('ignora las entradas eliminadas y detecta los valores repetidos dentro de un lote', async () => {
+        await (await Cat.get(1)).remove();
+        await new Cat({name: 'Kit', chip: 'C1'}).save();
+
+        await assert.rejects(Cat.saveMany([new Cat({name: 'Nube', chip: 'C5'}), new Cat({name: 'Luna', chip: 'C5'})]), (e) => {
+            assert.deepEqual([e.instance.name, e.errors], ['Luna', {chip: ['unique']}]);
+            return true;
+        });
+        let {succeeded, failed} = await Cat.bulkPut([{name: 'Nube', chip: 'C6'}, {name: 'Luna', chip: 'C6'}]);
+        assert.deepEqual([succeeded.map((cat) => cat.name), failed.map((f) => f.item.name)], [['Nube'], ['Luna']]);
+        assert.ok(failed[0].error instanceof ValidationError);
+
+        await assert.rejects(new Dog({chip: 'D1'}).save(), /unique del campo chip de Dog necesita un índice/);
+    });
+});
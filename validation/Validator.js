@@ -0,0 +1,188 @@
+/**
+ * Error con el que se rechaza la persistencia de una instancia inválida, lista cada campo con las reglas que no
+ * cumple
+ * Ej: error.errors -> {name: ['required'], age: ['min', 'max']}
+ */
+export class ValidationError extends Error {
+
+    /**
+     * @param {Object<string, string[]>} errors - reglas fallidas por campo
+     * @param {Model} [instance] - instancia inválida
+     */
+    constructor(errors, instance) {
+        let detail = Object.entries(errors).map(([field, rules]) => field + '(' + rules.join(', ') + ')');
+        super('La instancia no es válida: ' + detail.join(', ') + '.');
+        this.name = 'ValidationError';
+        this.errors = errors;
+        this.instance = instance;
+    }
+}
+
+/**
+ * Valida instancias según las reglas declaradas por su clase
+ *
+ * Ej:
+ * static rules = {
+ *     name: {required: true, length: {min: 2, max: 20}, pattern: /^[a-z ]+$/i},
+ *     age: {min: 0, max: 30},
+ *     color: {enum: ['black', 'white']},
+ *     chip: {unique: true},
+ *     owner_id: {custom: async (value, cat) => await Owner.exists(value)},
+ * }
+ */
+export class Validator {
+
+    /**
+     * Reglas soportadas, cada una recibe el valor, el parámetro de la regla, la instancia y su clase y retorna si
+     * el valor la cumple
+     * @type {Object<string, function(*, *, Model, typeof Model, string): boolean|Promise<boolean>>}
+     */
+    static RULES = {
+        required: (value, required) => !required || !Validator.isEmpty(value),
+        min: (value, min) => Validator.number(value) >= Validator.number(min),
+        max: (value, max) => Validator.number(value) <= Validator.number(max),
+        length: function (value, length) {
+            // Los arrays cuentan sus elementos, los demás escalares la longitud de su texto
+            let size = Array.isArray(value) || typeof value === 'string' ? value.length : String(value).length;
+            if (typeof length === 'number') {
+                return size === length;
+            }
+            return (typeof length.min === 'undefined' || size >= length.min) &&
+                (typeof length.max === 'undefined' || size <= length.max);
+        },
+        pattern: (value, pattern) => new RegExp(pattern).test(String(value)),
+        enum: (value, values) => values.includes(value),
+        unique: (value, unique, instance, model, field) => !unique || Validator.unique(value, instance, model, field),
+        custom: async function (value, validators, instance) {
+            for (let validator of [].concat(validators)) {
+                if (await validator(value, instance) !== true) {
+                    return false;
+                }
+            }
+            return true;
+        },
+    };
+
+    /**
+     * Valido una instancia según las reglas de su clase
+     * @param {Model} instance
+     * @returns {Promise<Object<string, string[]>>} - reglas fallidas por campo, vacío si la instancia es válida
+     * @throws {Error} - Revoleo un error si la clase declara una regla no soportada
+     */
+    static async validate(instance) {
+
+        let model = instance.constructor;
+        let errors = {};
+
+        for (let [field, rules] of Object.entries(model.rules)) {
+
+            let value = Validator.value(instance, field);
+
+            for (let [rule, param] of Object.entries(rules)) {
+
+                if (typeof Validator.RULES[rule] === 'undefined') {
+                    throw new Error('La regla ' + rule + ' del campo ' + field + ' no está soportada.');
+                }
+
+                // Los valores vacíos solo se validan con required
+                if (rule !== 'required' && Validator.isEmpty(value)) {
+                    continue;
+                }
+
+                if (!await Validator.RULES[rule](value, param, instance, model, field)) {
+                    errors[field] = (errors[field] || []).concat(rule);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Valido una instancia y la rechazo si no es válida
+     * @param {Model} instance
+     * @returns {Promise<void>}
+     * @throws {ValidationError}
+     */
+    static async assert(instance) {
+        let errors = await Validator.validate(instance);
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(errors, instance);
+        }
+    }
+
+    /**
+     * Verifico contra el índice del campo que ninguna otra entrada posea el mismo valor, las entradas eliminadas con
+     * softDeletes no cuentan(si el índice se declaró unique la db las sigue rechazando)
+     * @param {*} value
+     * @param {Model} instance
+     * @param {typeof Model} model
+     * @param {string} field
+     * @returns {Promise<boolean>}
+     * @throws {Error} - Revoleo un error si el campo no está indexado
+     */
+    static async unique(value, instance, model, field) {
+        if (!model.indexes.includes(field)) {
+            throw new Error('La regla unique del campo ' + field + ' de ' + model.class_name + ' necesita un índice sobre el campo, agregarlo en una migración.');
+        }
+        let records = model.withoutTrashed(await model.db.getAllFromIndex(model.table_name, field, value));
+        // La única entrada con ese valor puede ser la misma instancia que se está actualizando
+        return records.every((record) => typeof instance.id !== 'undefined' && record['_' + model.key] === instance.id);
+    }
+
+    /**
+     * Busco, entre instancias que se escriben juntas, las que repiten el valor de un campo con la regla unique de
+     * alguna instancia anterior del lote, ya que la db todavía no posee ninguna de las dos
+     * @param {Model[]} instances
+     * @returns {Map<Model, Object<string, string[]>>} - reglas fallidas por campo de cada instancia repetida
+     */
+    static duplicates(instances) {
+        let duplicates = new Map();
+        let seen = new Map();
+        for (let instance of instances) {
+            for (let [field, rules] of Object.entries(instance.constructor.rules)) {
+                let value = Validator.value(instance, field);
+                if (!rules.unique || Validator.isEmpty(value)) {
+                    continue;
+                }
+                let id = field + '\u0000' + (value instanceof Date ? 'date:' + value.getTime() : typeof value + ':' + String(value));
+                if (seen.has(id) && seen.get(id) !== instance) {
+                    let errors = duplicates.get(instance) || {};
+                    errors[field] = ['unique'];
+                    duplicates.set(instance, errors);
+                } else {
+                    seen.set(id, instance);
+                }
+            }
+        }
+        return duplicates;
+    }
+
+    /**
+     * Obtengo el valor de un campo de una instancia, si no posee un accesor lo busco en su propiedad almacenada
+     * @param {Model} instance
+     * @param {string} field
+     * @returns {*}
+     */
+    static value(instance, field) {
+        return field in instance ? instance[field] : instance['_' + field];
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean}
+     */
+    static isEmpty(value) {
+        return value === null || typeof value === 'undefined' || (typeof value === 'string' && value.trim() === '') ||
+            (Array.isArray(value) && value.length === 0);
+    }
+
+    /**
+     * Obtengo el valor numérico de un número, una fecha o un string numérico
+     * @param {*} value
+     * @returns {number}
+     */
+    static number(value) {
+        return value instanceof Date ? value.getTime() : Number(value);
+    }
+}